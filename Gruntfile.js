@@ -44,7 +44,7 @@ module.exports = function(grunt) {
     },
 
     jshint: {
-      all: ['src/**/*.js'],
+      all: ['src/**/*.js', 'test/**/*.js'],
       options: {
         jshintrc: true
       }
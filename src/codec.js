@@ -0,0 +1,479 @@
+/**
+* Encoders and decoders for NAT-PMP (RFC 6886) and PCP (RFC 6887) packets
+* Requests are encoded from plain objects into ArrayBuffers, and responses are
+* decoded into PmpResponse and PcpResponse objects, with the result code named
+*/
+var utils = require('./utils');
+var ipaddr = require('ipaddr.js');
+
+/**
+* Names of the NAT-PMP result codes
+* https://tools.ietf.org/html/rfc6886#section-3.5
+*/
+var PMP_RESULT_CODES = ['SUCCESS', 'UNSUPP_VERSION', 'NOT_AUTHORIZED',
+  'NETWORK_FAILURE', 'NO_RESOURCES', 'UNSUPP_OPCODE'];
+
+/**
+* Names of the PCP result codes
+* https://tools.ietf.org/html/rfc6887#section-7.4
+*/
+var PCP_RESULT_CODES = ['SUCCESS', 'UNSUPP_VERSION', 'NOT_AUTHORIZED',
+  'MALFORMED_REQUEST', 'UNSUPP_OPCODE', 'UNSUPP_OPTION', 'MALFORMED_OPTION',
+  'NETWORK_FAILURE', 'NO_RESOURCES', 'UNSUPP_PROTOCOL', 'USER_EX_QUOTA',
+  'CANNOT_PROVIDE_EXTERNAL', 'ADDRESS_MISMATCH', 'EXCESSIVE_REMOTE_PEERS'];
+
+/**
+* NAT-PMP opcodes (https://tools.ietf.org/html/rfc6886#section-3)
+*/
+var PMP_OPCODE_ADDRESS = 0;
+var PMP_OPCODE_MAP_UDP = 1;
+var PMP_OPCODE_MAP_TCP = 2;
+
+/**
+* PCP opcodes (https://tools.ietf.org/html/rfc6887#section-19.2)
+*/
+var PCP_OPCODE_ANNOUNCE = 0;
+var PCP_OPCODE_MAP = 1;
+var PCP_OPCODE_PEER = 2;
+
+/**
+* The longest PCP message (https://tools.ietf.org/html/rfc6887#section-7)
+*/
+var PCP_MAX_LENGTH = 1100;
+
+/**
+* PCP option codes (https://tools.ietf.org/html/rfc6887#section-13)
+*/
+var OPTION_THIRD_PARTY = 1;
+var OPTION_PREFER_FAILURE = 2;
+var OPTION_FILTER = 3;
+
+/**
+* A decoded NAT-PMP response
+* @typedef {Object} PmpResponse
+* @property {number} length The length of the packet in bytes
+* @property {number} version The version, 0 for NAT-PMP
+* @property {number} opcode The opcode of the request, without the response bit
+* @property {boolean} isResponse Whether the response bit (128) is set
+* @property {number} resultCode The result code
+* @property {string} resultName The name of the result code, e.g. 'SUCCESS'
+* @property {number} epoch Seconds since the router's start of epoch
+* @property {string=} externalIp The external IP (public address responses)
+* @property {string=} transport 'udp' or 'tcp' (mapping responses)
+* @property {number=} internalPort The internal port (mapping responses)
+* @property {number=} externalPort The mapped external port (mapping responses)
+* @property {number=} lifetime The mapping lifetime (mapping responses)
+*/
+
+/**
+* A decoded PCP response
+* @typedef {Object} PcpResponse
+* @property {number} length The length of the packet in bytes
+* @property {number} version The version, 2 for PCP
+* @property {number} opcode The opcode of the request, without the R bit
+* @property {boolean} isResponse Whether the R bit (0x80) is set
+* @property {number} resultCode The result code
+* @property {string} resultName The name of the result code, e.g. 'SUCCESS'
+* @property {number} lifetime The mapping lifetime, or of the error
+* @property {number} epoch Seconds since the router's start of epoch
+* @property {Array<number>=} nonce The echoed nonce, as 3 32-bit numbers
+*                                  (MAP and PEER responses)
+* @property {string=} transport 'udp' or 'tcp' (MAP and PEER responses)
+* @property {number=} internalPort The internal port (MAP and PEER responses)
+* @property {number=} externalPort The assigned external port
+* @property {string=} externalIp The assigned external IP
+* @property {number=} remotePort The remote peer's port (PEER responses)
+* @property {string=} remoteIp The remote peer's IP (PEER responses)
+* @property {PcpOptions} options The options that the router processed
+*/
+
+/**
+* Encode a NAT-PMP public address request
+* https://tools.ietf.org/html/rfc6886#section-3.2
+* @public
+* @method encodePmpAddressRequest
+* @return {ArrayBuffer} The request packet
+*/
+var encodePmpAddressRequest = function () {
+  return utils.createArrayBuffer(2, [[8, 1, PMP_OPCODE_ADDRESS]]);
+};
+
+/**
+* Encode a NAT-PMP request to map a port, or to delete a mapping with
+* a lifetime and external port of 0
+* https://tools.ietf.org/html/rfc6886#section-3.3
+* @public
+* @method encodePmpMapRequest
+* @param {{transport: string, internalPort: number, externalPort: number,
+*          lifetime: number}} request The fields of the request
+* @return {ArrayBuffer} The request packet
+*/
+var encodePmpMapRequest = function (request) {
+  var opcode = (request.transport === 'tcp') ? PMP_OPCODE_MAP_TCP :
+                                               PMP_OPCODE_MAP_UDP;
+  return utils.createArrayBuffer(12, [
+    [8, 1, opcode],
+    [16, 4, request.internalPort],
+    [16, 6, request.externalPort],
+    [32, 8, request.lifetime]
+  ]);
+};
+
+/**
+* Decode a NAT-PMP response, including announcements (unsolicited public
+* address responses); error responses may leave out the opcode's fields
+* @public
+* @method decodePmpResponse
+* @param {ArrayBuffer} buffer The response packet
+* @return {PmpResponse} The decoded response
+* @throws {Error} If the packet is too short to be a NAT-PMP response
+*/
+var decodePmpResponse = function (buffer) {
+  if (buffer.byteLength < 8) {
+    throw new Error('NAT-PMP response is too short');
+  }
+  var view = new DataView(buffer);
+  var response = {
+    length: buffer.byteLength,
+    version: view.getUint8(0),
+    opcode: view.getUint8(1) & 0x7f,
+    isResponse: (view.getUint8(1) & 0x80) !== 0,
+    resultCode: view.getUint16(2),
+    epoch: view.getUint32(4)
+  };
+  response.resultName = resultName(PMP_RESULT_CODES, response.resultCode);
+
+  if (response.opcode === PMP_OPCODE_ADDRESS && buffer.byteLength >= 12) {
+    response.externalIp = [view.getUint8(8), view.getUint8(9),
+                           view.getUint8(10), view.getUint8(11)].join('.');
+  } else if ((response.opcode === PMP_OPCODE_MAP_UDP ||
+              response.opcode === PMP_OPCODE_MAP_TCP) &&
+             buffer.byteLength >= 16) {
+    response.transport = (response.opcode === PMP_OPCODE_MAP_TCP) ?
+        'tcp' : 'udp';
+    response.internalPort = view.getUint16(8);
+    response.externalPort = view.getUint16(10);
+    response.lifetime = view.getUint32(12);
+  }
+  return response;
+};
+
+/**
+* Encode a PCP ANNOUNCE request, which asks the router for its epoch
+* https://tools.ietf.org/html/rfc6887#section-14.1
+* @public
+* @method encodePcpAnnounceRequest
+* @param {{clientIp: string}} request The fields of the request
+* @return {ArrayBuffer} The request packet
+*/
+var encodePcpAnnounceRequest = function (request) {
+  return utils.createArrayBuffer(24, encodePcpHeader(PCP_OPCODE_ANNOUNCE, 0,
+                                                     request.clientIp));
+};
+
+/**
+* Encode a PCP MAP request, to map a port or to delete a mapping with
+* a lifetime of 0
+* https://tools.ietf.org/html/rfc6887#section-11.1
+* @public
+* @method encodePcpMapRequest
+* @param {{clientIp: string, lifetime: number, nonce: Array<number>,
+*          transport: string, internalPort: number, externalPort: number,
+*          externalIp: (string|undefined), options: (PcpOptions|undefined)}}
+*     request The fields of the request; the suggested externalIp defaults to
+*     the unspecified address of the client's IP version
+* @return {ArrayBuffer} The request packet
+*/
+var encodePcpMapRequest = function (request) {
+  return encodePcpMappingRequest(PCP_OPCODE_MAP, request, []);
+};
+
+/**
+* Encode a PCP PEER request, which is a MAP request with the remote peer's
+* port and address appended
+* https://tools.ietf.org/html/rfc6887#section-12.1
+* @public
+* @method encodePcpPeerRequest
+* @param {{clientIp: string, lifetime: number, nonce: Array<number>,
+*          transport: string, internalPort: number, externalPort: number,
+*          externalIp: (string|undefined), remoteIp: string,
+*          remotePort: number, options: (PcpOptions|undefined)}}
+*     request The fields of the request, like encodePcpMapRequest()
+* @return {ArrayBuffer} The request packet
+*/
+var encodePcpPeerRequest = function (request) {
+  return encodePcpMappingRequest(PCP_OPCODE_PEER, request,
+      [[16, 60, request.remotePort]].concat(
+          utils.ipToMatrix(64, request.remoteIp)));
+};
+
+/**
+* Decode a PCP response, including ANNOUNCEs; error responses may leave out
+* the opcode's fields
+* https://tools.ietf.org/html/rfc6887#section-7.2
+* @public
+* @method decodePcpResponse
+* @param {ArrayBuffer} buffer The response packet
+* @return {PcpResponse} The decoded response
+* @throws {Error} If the packet is too short to be a PCP response
+*/
+var decodePcpResponse = function (buffer) {
+  if (buffer.byteLength < 24) {
+    throw new Error('PCP response is too short');
+  }
+  var view = new DataView(buffer);
+  var response = {
+    length: buffer.byteLength,
+    version: view.getUint8(0),
+    opcode: view.getUint8(1) & 0x7f,
+    isResponse: (view.getUint8(1) & 0x80) !== 0,
+    resultCode: view.getUint8(3),
+    lifetime: view.getUint32(4),
+    epoch: view.getUint32(8)
+  };
+  response.resultName = resultName(PCP_RESULT_CODES, response.resultCode);
+
+  // The opcode-specific data is the same for MAP and PEER, and PEER appends
+  // the remote peer; the options come after
+  var optionsOffset = 24;
+  var isMapping = (response.opcode === PCP_OPCODE_MAP ||
+                   response.opcode === PCP_OPCODE_PEER);
+  if (isMapping && buffer.byteLength >= 60) {
+    var protocol = view.getUint8(36);
+    response.nonce = [view.getUint32(24), view.getUint32(28),
+                      view.getUint32(32)];
+    response.transport = (protocol === 6) ? 'tcp' : 'udp';
+    response.internalPort = view.getUint16(40);
+    response.externalPort = view.getUint16(42);
+    response.externalIp = utils.readIp(buffer, 44);
+    optionsOffset = 60;
+  }
+  if (response.opcode === PCP_OPCODE_PEER && buffer.byteLength >= 80) {
+    response.remotePort = view.getUint16(60);
+    response.remoteIp = utils.readIp(buffer, 64);
+    optionsOffset = 80;
+  }
+  response.options = decodePcpOptions(buffer, optionsOffset);
+  return response;
+};
+
+/**
+* Check that a decoded NAT-PMP response answers a request, so that stray and
+* malformed packets aren't taken for the router's answer: the response must
+* have the response bit and the request's opcode, NAT-PMP's version and the
+* length of its opcode, and a mapping response must be for the request's
+* internal port. Error responses may be short (just the 8-byte header), and
+* an UNSUPP_VERSION response may have another version, e.g. from a PCP server
+* https://tools.ietf.org/html/rfc6886#section-3.5
+* @public
+* @method validatePmpResponse
+* @param {PmpResponse} response The decoded response
+* @param {ArrayBuffer} request The request packet that we sent
+* @throws {Error} If the response doesn't answer the request
+*/
+var validatePmpResponse = function (response, request) {
+  var requestView = new DataView(request);
+  var opcode = requestView.getUint8(1);
+  var isSuccess = (response.resultCode === 0);
+
+  if (response.version !== 0 && response.resultName !== 'UNSUPP_VERSION') {
+    throw new Error('NAT-PMP response has version ' + response.version);
+  } else if (!response.isResponse || response.opcode !== opcode) {
+    throw new Error('NAT-PMP response is not for opcode ' + opcode);
+  } else if (isSuccess &&
+             response.length !== (opcode === PMP_OPCODE_ADDRESS ? 12 : 16)) {
+    throw new Error('NAT-PMP response has length ' + response.length);
+  } else if (isSuccess && opcode !== PMP_OPCODE_ADDRESS &&
+             response.internalPort !== requestView.getUint16(4)) {
+    throw new Error('NAT-PMP response is for another internal port');
+  }
+};
+
+/**
+* Check that a decoded PCP response answers a request, so that stray and
+* malformed packets aren't taken for the router's answer: the response must
+* have the R bit and the request's opcode, PCP's version, a valid length, and
+* for MAP and PEER, echo the request's nonce, and on success its protocol and
+* internal port. An UNSUPP_VERSION response may have another version, e.g.
+* from a NAT-PMP server
+* https://tools.ietf.org/html/rfc6887#section-8.3
+* @public
+* @method validatePcpResponse
+* @param {PcpResponse} response The decoded response
+* @param {ArrayBuffer} request The request packet that we sent
+* @throws {Error} If the response doesn't answer the request
+*/
+var validatePcpResponse = function (response, request) {
+  var requestView = new DataView(request);
+  var opcode = requestView.getUint8(1);
+  var isSuccess = (response.resultCode === 0);
+  var minLength = {0: 24, 1: 60, 2: 80}[opcode];
+
+  if (response.version !== 2 && response.resultName !== 'UNSUPP_VERSION') {
+    throw new Error('PCP response has version ' + response.version);
+  } else if (!response.isResponse || response.opcode !== opcode) {
+    throw new Error('PCP response is not for opcode ' + opcode);
+  } else if (response.length % 4 !== 0 || response.length > PCP_MAX_LENGTH ||
+             (isSuccess && response.length < minLength)) {
+    throw new Error('PCP response has length ' + response.length);
+  }
+  if (opcode === PCP_OPCODE_ANNOUNCE || response.nonce === undefined) {
+    return;
+  }
+
+  var nonce = [requestView.getUint32(24), requestView.getUint32(28),
+               requestView.getUint32(32)];
+  var transport = (requestView.getUint8(36) === 6) ? 'tcp' : 'udp';
+  if (response.nonce.join() !== nonce.join()) {
+    throw new Error('PCP response nonce does not match the request');
+  } else if (isSuccess && (response.transport !== transport ||
+             response.internalPort !== requestView.getUint16(40))) {
+    throw new Error('PCP response is for another protocol or internal port');
+  }
+};
+
+/**
+* Return the name of a result code, or 'result code N' if it's unknown
+* @private
+* @method resultName
+* @param {Array<string>} names The names of the protocol's result codes
+* @param {number} resultCode The result code
+* @return {string} The name
+*/
+var resultName = function (names, resultCode) {
+  return names[resultCode] || 'result code ' + resultCode;
+};
+
+/**
+* Return the rows of a PCP request header for utils.createArrayBuffer()
+* https://tools.ietf.org/html/rfc6887#section-7.1
+* @private
+* @method encodePcpHeader
+* @param {number} opcode The opcode
+* @param {number} lifetime The requested lifetime
+* @param {string} clientIp The client's IP address, IPv4 or IPv6
+* @return {Array<Array<number>>} The matrix rows
+*/
+var encodePcpHeader = function (opcode, lifetime, clientIp) {
+  return [[8, 0, 2], [8, 1, opcode], [32, 4, lifetime]].
+      concat(utils.ipToMatrix(8, clientIp));
+};
+
+/**
+* Encode a PCP MAP or PEER request
+* Addresses are 16 bytes, with IPv4 addresses IPv4-mapped
+* @private
+* @method encodePcpMappingRequest
+* @param {number} opcode PCP_OPCODE_MAP or PCP_OPCODE_PEER
+* @param {Object} request The fields of the request
+* @param {Array<Array<number>>} peerMatrix The rows of the PEER fields, if any
+* @return {ArrayBuffer} The request packet
+*/
+var encodePcpMappingRequest = function (opcode, request, peerMatrix) {
+  var isIpv6 = ipaddr.IPv6.isValid(request.clientIp);
+  var externalIp = request.externalIp || (isIpv6 ? '::' : '0.0.0.0');
+  var optionsOffset = (opcode === PCP_OPCODE_PEER) ? 80 : 60;
+  var encodedOptions = encodePcpOptions(request.options, optionsOffset);
+  var matrix = encodePcpHeader(opcode, request.lifetime, request.clientIp).
+      concat([
+        [32, 24, request.nonce[0]],
+        [32, 28, request.nonce[1]],
+        [32, 32, request.nonce[2]],
+        [8, 36, request.transport === 'tcp' ? 6 : 17],  // IANA protocol number
+        [16, 40, request.internalPort],
+        [16, 42, request.externalPort]
+      ], utils.ipToMatrix(44, externalIp), peerMatrix, encodedOptions.matrix);
+  return utils.createArrayBuffer(optionsOffset + encodedOptions.length, matrix);
+};
+
+/**
+* Encode PCP options as rows for utils.createArrayBuffer()
+* Each option is a 4-byte header (code, reserved, length) and its data
+* https://tools.ietf.org/html/rfc6887#section-7.3
+* @private
+* @method encodePcpOptions
+* @param {PcpOptions} options The options to encode, or undefined for none
+* @param {number} offset The byte offset of the first option in the packet
+* @return {{matrix: Array<Array<number>>, length: number}} The matrix rows, and
+*                                                        the options' length
+*/
+var encodePcpOptions = function (options, offset) {
+  var matrix = [];
+  var start = offset;
+  options = options || {};
+
+  if (options.thirdPartyIp !== undefined) {
+    matrix.push([8, offset, OPTION_THIRD_PARTY], [16, offset + 2, 16]);
+    matrix = matrix.concat(utils.ipToMatrix(offset + 4, options.thirdPartyIp));
+    offset += 20;
+  }
+  if (options.preferFailure) {
+    matrix.push([8, offset, OPTION_PREFER_FAILURE], [16, offset + 2, 0]);
+    offset += 4;
+  }
+  (options.filters || []).forEach(function (filter) {
+    // The prefix length counts bits of the 16-byte address field, so an IPv4
+    // prefix is offset by the 96 bits of the IPv4-mapped prefix
+    var isIpv4 = ipaddr.IPv4.isValid(filter.remoteIp);
+    var prefixLength = (filter.prefixLength === undefined) ?
+        (isIpv4 ? 32 : 128) : filter.prefixLength;
+    matrix.push([8, offset, OPTION_FILTER], [16, offset + 2, 20],
+                [8, offset + 5, isIpv4 ? prefixLength + 96 : prefixLength],
+                [16, offset + 6, filter.remotePort || 0]);
+    matrix = matrix.concat(utils.ipToMatrix(offset + 8, filter.remoteIp));
+    offset += 24;
+  });
+
+  return {matrix: matrix, length: offset - start};
+};
+
+/**
+* Decode the options of a PCP response, which are the options from our
+* request that the router processed
+* @private
+* @method decodePcpOptions
+* @param {ArrayBuffer} buffer The PCP response
+* @param {number} offset The byte offset of the first option in the response
+* @return {PcpOptions} The decoded options; unknown options are skipped
+*/
+var decodePcpOptions = function (buffer, offset) {
+  var view = new DataView(buffer);
+  var options = {};
+
+  while (offset + 4 <= buffer.byteLength) {
+    var code = view.getUint8(offset);
+    var length = view.getUint16(offset + 2);
+    var data = offset + 4;
+    if (data + length > buffer.byteLength) { break; }
+
+    if (code === OPTION_THIRD_PARTY && length >= 16) {
+      options.thirdPartyIp = utils.readIp(buffer, data);
+    } else if (code === OPTION_PREFER_FAILURE) {
+      options.preferFailure = true;
+    } else if (code === OPTION_FILTER && length >= 20) {
+      var remoteIp = utils.readIp(buffer, data + 4);
+      var prefixLength = view.getUint8(data + 1);
+      if (ipaddr.IPv4.isValid(remoteIp)) { prefixLength -= 96; }
+      options.filters = options.filters || [];
+      options.filters.push({remoteIp: remoteIp, prefixLength: prefixLength,
+                            remotePort: view.getUint16(data + 2)});
+    }
+    // Option data is padded to a multiple of 4 bytes
+    offset = data + Math.ceil(length / 4) * 4;
+  }
+  return options;
+};
+
+module.exports = {
+  PMP_RESULT_CODES: PMP_RESULT_CODES,
+  PCP_RESULT_CODES: PCP_RESULT_CODES,
+  encodePmpAddressRequest: encodePmpAddressRequest,
+  encodePmpMapRequest: encodePmpMapRequest,
+  decodePmpResponse: decodePmpResponse,
+  validatePmpResponse: validatePmpResponse,
+  encodePcpAnnounceRequest: encodePcpAnnounceRequest,
+  encodePcpMapRequest: encodePcpMapRequest,
+  encodePcpPeerRequest: encodePcpPeerRequest,
+  decodePcpResponse: decodePcpResponse,
+  validatePcpResponse: validatePcpResponse
+};
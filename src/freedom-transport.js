@@ -0,0 +1,106 @@
+/**
+* The freedom.js transport (see transport.js), which uses the core.udpsocket
+* and core.rtcpeerconnection providers and XMLHttpRequest
+*/
+
+/**
+* Create a UDP socket with freedom's core.udpsocket
+* @public
+* @method createUdpSocket
+* @return {UdpSocket} The socket, which isn't bound yet
+*/
+var createUdpSocket = function () {
+  var socket = freedom['core.udpsocket']();
+  return {
+    bind: function (address, port) {
+      return socket.bind(address, port);
+    },
+    sendTo: function (data, address, port) {
+      return socket.sendTo(data, address, port);
+    },
+    on: function (eventName, handler) {
+      socket.on(eventName, handler);
+    },
+    close: function () {
+      return socket.destroy().then(function () {
+        freedom['core.udpsocket'].close(socket);
+      });
+    }
+  };
+};
+
+/**
+* Send an HTTP request with XMLHttpRequest
+* @public
+* @method httpRequest
+* @param {string} method The HTTP method, e.g. 'GET'
+* @param {string} url The URL to send the request to
+* @param {Object} headers The request headers, by name
+* @param {string=} body Optional: the request body
+* @return {Promise<HttpResponse>} A promise for the response, which rejects
+*                                 if the request failed
+*/
+var httpRequest = function (method, url, headers, body) {
+  return new Promise(function (F, R) {
+    var xhr = new XMLHttpRequest();
+    xhr.open(method, url, true);
+    for (var name in headers) {
+      if (headers.hasOwnProperty(name)) {
+        xhr.setRequestHeader(name, headers[name]);
+      }
+    }
+    xhr.onreadystatechange = function () {
+      if (xhr.readyState === 4) {
+        F({status: xhr.status, body: xhr.responseText});
+      }
+    };
+    xhr.onerror = function () {
+      R(new Error('HTTP request to ' + url + ' failed'));
+    };
+    xhr.send(body);
+  });
+};
+
+/**
+* Return the IP addresses of the computer, from the "host" ICE candidates of
+* an RTCPeerConnection, which we gather for 2 seconds
+* @public
+* @method getPrivateIps
+* @return {Promise<Array<string>>} A promise for the IP addresses
+*/
+var getPrivateIps = function () {
+  var privateIps = [];
+  var pc = freedom['core.rtcpeerconnection']({iceServers: []});
+
+  // Find all the ICE candidates that are "host" candidates
+  pc.on('onicecandidate', function (candidate) {
+    if (candidate.candidate) {
+      var cand = candidate.candidate.candidate.split(' ');
+      if (cand[7] === 'host') {
+        privateIps.push(cand[4]);
+      }
+    }
+  });
+
+  // Set up the PeerConnection to start generating ICE candidates
+  pc.createDataChannel('dummy data channel').
+      then(pc.createOffer).
+      then(pc.setLocalDescription);
+
+  // Gather candidates for 2 seconds before returning privateIps
+  return new Promise(function (F, R) {
+    setTimeout(function () {
+      var cleanup = function() {
+        freedom['core.rtcpeerconnection'].close(pc);
+      };
+      pc.close().then(cleanup, cleanup);
+      F(privateIps);
+    }, 2000);
+  });
+};
+
+module.exports = {
+  createUdpSocket: createUdpSocket,
+  httpRequest: httpRequest,
+  getPrivateIps: getPrivateIps
+};
@@ -1,18 +1,39 @@
 var utils = require('./utils');
-var ipaddr = require('ipaddr.js');
+var codec = require('./codec');
 
 /**
-* Probe if NAT-PMP is supported by the router
+* The default Retransmission schedule of NAT-PMP requests (see utils.js):
+* RFC 6886 retransmits after 250 ms, doubling the wait each time, for up to
+* 9 attempts; we give up after 2 seconds by default, so that an unsupported
+* router doesn't hold up the other protocols
+* https://tools.ietf.org/html/rfc6886#section-3.1
+*/
+var RETRANSMISSION = {
+  initialInterval: 250,
+  maxInterval: 0,
+  maxAttempts: 9,
+  deadline: 2000,
+  jitter: 0
+};
+
+/**
+* The errInfo of an 'exact' mapping whose external port the router didn't map
+*/
+var PORT_CONFLICT_ERROR = 'NAT-PMP Error: external port is not available';
+
+/**
+* Probe if NAT-PMP is supported by the router, with a public address request,
+* which doesn't map anything
 * @public
 * @method probeSupport
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
 * @return {Promise<boolean>} A promise for a boolean
 */
-var probeSupport = function (activeMappings, routerIpCache) {
-  return addMapping(utils.NAT_PMP_PROBE_PORT, utils.NAT_PMP_PROBE_PORT, 120,
-                       activeMappings, routerIpCache).
-      then(function (mapping) { return mapping.externalPort !== -1; });
+var probeSupport = function (portControl) {
+  return getExternalIp(portControl).
+      then(function (externalIp) { return true; },
+           function (err) { return false; });
 };
 
 /**
@@ -24,69 +45,142 @@ var probeSupport = function (activeMappings, routerIpCache) {
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity, i.e. a refresh every 24 hours
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port,
+*                                 {type: 'any'} by default (see utils.js)
 * @return {Promise<Mapping>} A promise for the port mapping object
-*                            Mapping.externalPort === -1 on failure
+*                            Mapping.externalPort === -1 on failure, and
+*                            Mapping.errInfo says why, e.g. the result code
+* Every gateway that answers makes the mapping, and is recorded in
+* Mapping.gateways
 */
-var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpCache) {
+var addMapping = function (intPort, extPort, lifetime, transport, portControl,
+                           portPolicy) {
+  var activeMappings = portControl.activeMappings;
+  var routerIpCache = portControl.routerIpCache;
+  var dispatchEvent = portControl.dispatchEvent;
   var mapping = new utils.Mapping();
   mapping.internalPort = intPort;
   mapping.protocol = 'natPmp';
+  mapping.transport = transport = transport || 'udp';
+  portPolicy = portPolicy || {type: 'any'};
+
+  mapping.errInfo = utils.checkPortPolicy(portPolicy);
+  if (mapping.errInfo !== undefined) {
+    return Promise.resolve(mapping);
+  }
+  // Try each port of a range as an exact mapping until one is available
+  if (portPolicy.type === 'range') {
+    return utils.walkPortRange(portPolicy, extPort, function (port) {
+      return addMapping(intPort, port, lifetime, transport, portControl,
+                        {type: 'exact'});
+    }, isPortConflict);
+  }
 
   // If lifetime is zero, we want to refresh every 24 hours
   var reqLifetime = (lifetime === 0) ? 24*60*60 : lifetime;
+  var deadline = Date.now() + reqLifetime*1000;
 
   // Send NAT-PMP requests to a list of router IPs and parse the first response
   function _sendPmpRequests(routerIps) {
-    // Construct an array of ArrayBuffers, which are the responses of
+    // Construct an array of PmpResponses, which are the responses of
     // sendPmpRequest() calls on all the router IPs. An error result
     // is caught and re-passed as null.
     return Promise.all(routerIps.map(function (routerIp) {
-        return sendPmpRequest(routerIp, intPort, extPort, reqLifetime).
+        return sendPmpRequest(routerIp, intPort, extPort, reqLifetime, transport,
+                              portControl.retransmission.natPmp).
             then(function (pmpResponse) { return pmpResponse; }).
             catch(function (err) { return null; });
-    // Check if any of the responses are successful (not null)
-    // and parse the external port, router IP, and lifetime in the response
+    // Check which responses are successful (not null, and with result code
+    // SUCCESS) and read the external port and lifetime of each gateway; the
+    // first one fills in the Mapping, and the mapping lasts as long as the
+    // shortest lifetime of any gateway
     })).then(function (responses) {
+      mapping.gateways = [];
       for (var i = 0; i < responses.length; i++) {
-        if (responses[i] !== null) {
-          var responseView = new DataView(responses[i]);
-          mapping.externalPort = responseView.getUint16(10);
-          mapping.lifetime = responseView.getUint32(12);
-
-          var routerIntIp = routerIps[i];
-          if (routerIpCache.indexOf(routerIntIp) === -1) {
-            routerIpCache.push(routerIntIp);
+        if (responses[i] !== null && responses[i].resultCode !== 0) {
+          mapping.errInfo = 'NAT-PMP Error: ' + responses[i].resultName;
+        } else if (responses[i] !== null && portPolicy.type === 'exact' &&
+                   responses[i].externalPort !== extPort) {
+          // NAT-PMP can't ask for an exact port, so the router mapped another
+          // one for us; give it back, since we can only use extPort
+          _releaseMapping(routerIps[i], responses[i].externalPort);
+          mapping.errInfo = PORT_CONFLICT_ERROR;
+        } else if (responses[i] !== null) {
+          if (mapping.externalPort === -1) {
+            mapping.externalPort = responses[i].externalPort;
+            mapping.lifetime = responses[i].lifetime;
+            mapping.routerIp = routerIps[i];
+          }
+          mapping.lifetime = Math.min(mapping.lifetime, responses[i].lifetime);
+          mapping.gateways.push({
+            routerIp: routerIps[i],
+            internalIp: undefined,
+            externalIp: undefined,
+            externalPort: responses[i].externalPort,
+            lifetime: responses[i].lifetime
+          });
+          checkEpoch(responses[i], routerIps[i], portControl,
+                     utils.mappingKey(extPort, transport));
+          if (routerIpCache.indexOf(routerIps[i]) === -1) {
+            routerIpCache.push(routerIps[i]);
           }
-          return routerIntIp;
         }
       }
+      if (mapping.externalPort !== -1) {
+        mapping.errInfo = undefined;
+      } else if (mapping.errInfo === undefined) {
+        mapping.errInfo = 'No NAT-PMP response';
+      }
     // Find the longest prefix match for all the client's internal IPs with
-    // the router IP. This was the internal IP for the new mapping. (We want
+    // each router IP. This was the internal IP for the new mapping. (We want
     // to identify which network interface the socket bound to, since NAT-PMP
     // uses the request's source IP, not a specified one, for the mapping.)
-    }).then(function (routerIntIp) {
-      if (routerIntIp !== undefined) {
-        return utils.getPrivateIps().then(function (privateIps) {
-          mapping.internalIp = utils.longestPrefixMatch(privateIps, routerIntIp);
-          return mapping;
+    // Also ask the same routers for their external IPs, since the mapping
+    // response doesn't contain them
+    }).then(function () {
+      return Promise.all([utils.getPrivateIps()].concat(
+          mapping.gateways.map(function (gateway) {
+            return sendPmpAddressRequest(gateway.routerIp,
+                                         portControl.retransmission.natPmp).
+                then(function (pmpResponse) { return pmpResponse.externalIp; }).
+                catch(function (err) { return undefined; });
+          }))).then(function (results) {
+        mapping.gateways.forEach(function (gateway, i) {
+          gateway.internalIp = utils.longestPrefixMatch(results[0],
+                                                        gateway.routerIp);
+          gateway.externalIp = results[i + 1];
         });
-      }
-      return mapping;
+        if (mapping.gateways.length > 0) {
+          mapping.internalIp = mapping.gateways[0].internalIp;
+          mapping.externalIp = mapping.gateways[0].externalIp;
+        }
+        return mapping;
+      });
     }).catch(function (err) {
       return mapping;
     });
   }
 
+  // Delete a mapping that the router made but we can't use; we name the
+  // external port that it granted, rather than 0, which would ask it to delete
+  // every mapping of intPort (https://tools.ietf.org/html/rfc6886#section-3.4)
+  function _releaseMapping(routerIp, grantedPort) {
+    sendPmpRequest(routerIp, intPort, grantedPort, 0, transport,
+                   portControl.retransmission.natPmp).catch(function (err) {});
+  }
+
   // Basically calls _sendPcpRequests on matchedRouterIps first, and if that 
   // doesn't work, calls it on otherRouterIps
   function _sendPmpRequestsInWaves() {
     return utils.getPrivateIps().then(function (privateIps) {
-      // Try matchedRouterIps first (routerIpCache + router IPs that match the 
-      // user's IPs), then otherRouterIps if it doesn't work. This avoids flooding
+      // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+      // then otherRouterIps if it doesn't work. This avoids flooding
       // the local network with NAT-PMP requests
-      var matchedRouterIps = utils.arrAdd(routerIpCache, utils.filterRouterIps(privateIps));
+      // NAT-PMP is IPv4 only, so leave out any IPv6 gateways
+      var matchedRouterIps = utils.getGatewayIps(portControl, privateIps, true);
       var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
       return _sendPmpRequests(matchedRouterIps).then(function (mapping) {
         if (mapping.externalPort !== -1) { return mapping; }
@@ -99,61 +193,125 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpC
   // setting a refresh if necessary, and a timeout for deletion, and saving the 
   // mapping object to activeMappings if the mapping succeeded
   function _saveAndRefreshMapping(mapping) {
-    // If the actual lifetime is less than the requested lifetime,
-    // setTimeout to refresh the mapping when it expires
+    // If the actual lifetime is less than the requested lifetime, or the
+    // original lifetime is 0 (i.e. indefinitely), setTimeout to refresh the
+    // mapping with the rest of its lifetime before it expires
     var dLifetime = reqLifetime - mapping.lifetime;
-    if (mapping.externalPort !== -1 && dLifetime > 0) {
-      mapping.timeoutId = setTimeout(addMapping.bind({}, intPort,
-        mapping.externalPort, dLifetime, activeMappings), mapping.lifetime*1000);
-    }
-    // If the original lifetime is 0, refresh every 24 hrs indefinitely
-    else if (mapping.externalPort !== -1 && lifetime === 0) {
-      mapping.timeoutId = setTimeout(addMapping.bind({}, intPort, 
-                       mapping.externalPort, 0, activeMappings), 24*60*60*1000);
+    var key = utils.mappingKey(mapping.externalPort, transport);
+    if (mapping.externalPort !== -1 && (dLifetime > 0 || lifetime === 0)) {
+      mapping.timeoutId = setTimeout(
+          _recreateMapping.bind({}, mapping, 'mappingRefreshed'),
+          utils.getRefreshDelay(mapping.lifetime));
     }
     // If we're not refreshing, delete the entry from activeMapping at expiration
     else if (mapping.externalPort !== -1) {
-      setTimeout(function () { delete activeMappings[mapping.externalPort]; }, 
-                 mapping.lifetime*1000);
+      mapping.timeoutId = setTimeout(_expireMapping.bind({}, mapping),
+                                     mapping.lifetime*1000);
     }
 
-    // If mapping succeeded, attach a deleter function and add to activeMappings
+    // If mapping succeeded, attach deleter and refresher functions,
+    // and add to activeMappings
     if (mapping.externalPort !== -1) {
-      mapping.deleter = deleteMapping.bind({}, mapping.externalPort, 
-                                           activeMappings, routerIpCache);
-      activeMappings[mapping.externalPort] = mapping;
+      mapping.deleter = deleteMapping.bind({}, mapping.externalPort, transport,
+                                           portControl);
+      mapping.refresher = _recreateMapping.bind({}, mapping);
+      activeMappings[key] = mapping;
     }
     return mapping;
   }
 
+  // Request the mapping again with the remaining lifetime, which replaces the
+  // old Mapping in activeMappings, and emit an event for the result
+  // (successEvent, or mappingRefreshFailed)
+  function _refreshMapping(oldMapping, refreshLifetime, successEvent) {
+    var oldKey = utils.mappingKey(oldMapping.externalPort, transport);
+    return addMapping(intPort, oldMapping.externalPort, refreshLifetime,
+                      transport, portControl, portPolicy).
+        then(function (newMapping) {
+          // The old mapping has lapsed if the refresh failed, or if the router
+          // gave us a different external port this time
+          if (newMapping.externalPort !== oldMapping.externalPort &&
+              activeMappings[oldKey] === oldMapping) {
+            delete activeMappings[oldKey];
+          }
+          if (newMapping.externalPort !== -1) {
+            dispatchEvent(successEvent, newMapping);
+          } else {
+            dispatchEvent('mappingRefreshFailed', oldMapping);
+          }
+          return newMapping;
+        });
+  }
+
+  // Request the mapping again with the rest of its lifetime, when its refresh
+  // is due, or right away, e.g. after the router lost it in a reboot
+  function _recreateMapping(oldMapping, successEvent) {
+    clearTimeout(oldMapping.timeoutId);
+    var remainingLifetime = (lifetime === 0) ? 0 :
+        Math.max(1, Math.ceil((deadline - Date.now()) / 1000));
+    return _refreshMapping(oldMapping, remainingLifetime,
+                           successEvent || 'mappingRecovered');
+  }
+
+  // Delete a mapping that we aren't refreshing from activeMappings when its
+  // lifetime is up, unless it has already been deleted or replaced
+  function _expireMapping(oldMapping) {
+    var oldKey = utils.mappingKey(oldMapping.externalPort, transport);
+    if (activeMappings[oldKey] === oldMapping) {
+      delete activeMappings[oldKey];
+      dispatchEvent('mappingExpired', oldMapping);
+    }
+  }
+
   // Try NAT-PMP requests to matchedRouterIps, then otherRouterIps. 
   // After receiving a NAT-PMP response, set timeouts to delete/refresh the 
   // mapping, add it to activeMappings, and return the mapping object
   return _sendPmpRequestsInWaves().then(_saveAndRefreshMapping);
 };
 
+/**
+* Return whether a mapping failed because its external port wasn't available
+* @private
+* @method isPortConflict
+* @param {Mapping} mapping A failed Mapping from addMapping()
+* @return {boolean}
+*/
+var isPortConflict = function (mapping) {
+  return mapping.errInfo === PORT_CONFLICT_ERROR;
+};
+
 /**
 * Deletes a port mapping in the NAT with NAT-PMP
 * @public
 * @method deleteMapping
 * @param {number} extPort The external port of the mapping to delete
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
 * @return {Promise<boolean>} True on success, false on failure
 */
-var deleteMapping = function (extPort, activeMappings, routerIpCache) {
+var deleteMapping = function (extPort, transport, portControl) {
+  var activeMappings = portControl.activeMappings;
+  var routerIpCache = portControl.routerIpCache;
+  var dispatchEvent = portControl.dispatchEvent;
+  var key = utils.mappingKey(extPort, transport);
+
   // Send NAT-PMP requests to a list of router IPs and parse the first response
   function _sendDeletionRequests(routerIps) {
     return new Promise(function (F, R) {
       // Retrieve internal port of this mapping; this may error
-      F(activeMappings[extPort].internalPort);
+      F(activeMappings[key].internalPort);
     }).then(function (intPort) {
-      // Construct an array of ArrayBuffers, which are the responses of
+      // Construct an array of PmpResponses, which are the responses of
       // sendPmpRequest() calls on all the router IPs. An error result
       // is caught and re-passed as null.
       return Promise.all(routerIps.map(function (routerIp) {
-        return sendPmpRequest(routerIp, intPort, 0, 0).
-            then(function (pmpResponse) { return pmpResponse; }).
+        return sendPmpRequest(routerIp, intPort, 0, 0, transport,
+                              portControl.retransmission.natPmp).
+            then(function (pmpResponse) {
+              checkEpoch(pmpResponse, routerIp, portControl, key);
+              return pmpResponse;
+            }).
             catch(function (err) { return null; });
       }));
     });
@@ -163,10 +321,11 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
   // doesn't work, calls it on otherRouterIps
   function _sendDeletionRequestsInWaves() {
     return utils.getPrivateIps().then(function (privateIps) {
-      // Try matchedRouterIps first (routerIpCache + router IPs that match the 
-      // user's IPs), then otherRouterIps if it doesn't work. This avoids flooding
+      // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+      // then otherRouterIps if it doesn't work. This avoids flooding
       // the local network with PCP requests
-      var matchedRouterIps = utils.arrAdd(routerIpCache, utils.filterRouterIps(privateIps));
+      // NAT-PMP is IPv4 only, so leave out any IPv6 gateways
+      var matchedRouterIps = utils.getGatewayIps(portControl, privateIps, true);
       var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
       return _sendDeletionRequests(matchedRouterIps).then(function (mapping) {
         if (mapping.externalPort !== -1) { return mapping; }
@@ -180,11 +339,11 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
   function _deleteFromActiveMappings(responses) {
     for (var i = 0; i < responses.length; i++) {
       if (responses[i] !== null) {
-        var responseView = new DataView(responses[i]);
-        var successCode = responseView.getUint16(2);
-        if (successCode === 0) {
-          clearTimeout(activeMappings[extPort].timeoutId);
-          delete activeMappings[extPort];
+        if (responses[i].resultCode === 0) {
+          var mapping = activeMappings[key];
+          clearTimeout(mapping.timeoutId);
+          delete activeMappings[key];
+          dispatchEvent('mappingDeleted', mapping);
           return true;
         }
       }
@@ -192,6 +351,12 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
     return false;
   }
 
+  // Stop refreshing the mapping first, so that a refresh can't re-create it
+  // on the router while the deletion requests are in flight
+  if (activeMappings[key] !== undefined) {
+    clearTimeout(activeMappings[key].timeoutId);
+  }
+
   // Send NAT-PMP deletion requests to matchedRouterIps, then otherRouterIps;
   // if that succeeds, delete the corresponding Mapping from activeMappings
   return _sendDeletionRequestsInWaves().
@@ -199,6 +364,135 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
       catch(function (err) { return false; });
 };
 
+/**
+* Get the external IP address of the router with a NAT-PMP public address request
+* @public
+* @method getExternalIp
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @return {Promise<string>} A promise for the external IP address,
+*                           rejects if no router responded
+*/
+var getExternalIp = function (portControl) {
+  var routerIpCache = portControl.routerIpCache;
+
+  // Send public address requests to a list of router IPs, and return the
+  // external IP from the first successful response (undefined if none)
+  function _sendAddressRequests(routerIps) {
+    return Promise.all(routerIps.map(function (routerIp) {
+      var retransmission = portControl.retransmission.natPmp;
+      return sendPmpAddressRequest(routerIp, retransmission).
+          then(function (pmpResponse) {
+            checkEpoch(pmpResponse, routerIp, portControl);
+            return pmpResponse.externalIp;
+          }).catch(function (err) { return null; });
+    })).then(function (externalIps) {
+      for (var i = 0; i < externalIps.length; i++) {
+        if (externalIps[i] !== null) {
+          if (routerIpCache.indexOf(routerIps[i]) === -1) {
+            routerIpCache.push(routerIps[i]);
+          }
+          return externalIps[i];
+        }
+      }
+    });
+  }
+
+  // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+  // then otherRouterIps if it doesn't work
+  return utils.getPrivateIps().then(function (privateIps) {
+    // NAT-PMP is IPv4 only, so leave out any IPv6 gateways
+    var matchedRouterIps = utils.getGatewayIps(portControl, privateIps, true);
+    var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
+    return _sendAddressRequests(matchedRouterIps).then(function (externalIp) {
+      if (externalIp !== undefined) { return externalIp; }
+      return _sendAddressRequests(otherRouterIps);
+    });
+  }).then(function (externalIp) {
+    if (externalIp === undefined) {
+      return Promise.reject(new Error('No NAT-PMP external IP response'));
+    }
+    return externalIp;
+  });
+};
+
+/**
+* Handle an unsolicited NAT-PMP announcement of the router's external IP, which
+* the router multicasts to 224.0.0.1:5350 when it starts up or its external IP
+* changes (https://tools.ietf.org/html/rfc6886#section-3.2.1)
+* If the external IP differs from the one that the router last announced, or
+* from its mappings' if it hasn't announced one, emit externalIpChanged and
+* refresh the router's mappings right away; if the router has reset, re-create
+* them
+* @public
+* @method handleAnnouncement
+* @param {ArrayBuffer} pmpAnnouncement The announcement packet
+* @param {string} routerIp The IP address that sent the announcement
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+*/
+var handleAnnouncement = function (pmpAnnouncement, routerIp, portControl) {
+  var activeMappings = portControl.activeMappings;
+  var routerMappings = utils.getRouterMappings(activeMappings, routerIp);
+  var announcement;
+  try {
+    announcement = codec.decodePmpResponse(pmpAnnouncement);
+  } catch (err) {
+    return;
+  }
+
+  // Only listen to routers that we've used, and to well-formed announcements
+  // (a public address response with result SUCCESS)
+  if ((portControl.routerIpCache.indexOf(routerIp) === -1 &&
+       routerMappings.length === 0) ||
+      !announcement.isResponse || announcement.opcode !== 0 ||
+      announcement.resultCode !== 0 || announcement.externalIp === undefined) {
+    return;
+  }
+
+  var externalIp = announcement.externalIp;
+  var lastExternalIp = portControl.routerExternalIps[routerIp];
+  var isNewExternalIp = (lastExternalIp !== undefined) ?
+      lastExternalIp !== externalIp :
+      !routerMappings.some(function (mapping) {
+        return utils.getGatewayExternalIp(mapping, routerIp) === externalIp;
+      });
+  portControl.routerExternalIps[routerIp] = externalIp;
+  if (isNewExternalIp) {
+    portControl.dispatchEvent('externalIpChanged',
+                              {routerIp: routerIp, externalIp: externalIp});
+  }
+
+  // The router re-sends each announcement a few times, so we only refresh
+  // when something has changed
+  if (utils.updateEpoch(portControl.routerEpochs.natPmp, routerIp,
+                        announcement.epoch)) {
+    utils.recoverMappings(activeMappings, routerIp);
+  } else if (isNewExternalIp) {
+    utils.recoverMappings(activeMappings, routerIp, undefined, 'mappingRefreshed');
+  }
+};
+
+/**
+* Record the epoch (seconds since start of epoch) of a NAT-PMP response, and if
+* the router has reset since its last response, re-create the mappings it lost
+* https://tools.ietf.org/html/rfc6886#section-3.6
+* @private
+* @method checkEpoch
+* @param {PmpResponse} pmpResponse A NAT-PMP response from the router
+* @param {string} routerIp The IP address of the router that sent the response
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerEpochs, etc.
+* @param {string=} exceptKey Optional: the activeMappings key of a mapping that
+*                            the caller is already re-creating or deleting
+*/
+var checkEpoch = function (pmpResponse, routerIp, portControl, exceptKey) {
+  if (utils.updateEpoch(portControl.routerEpochs.natPmp, routerIp,
+                        pmpResponse.epoch)) {
+    utils.recoverMappings(portControl.activeMappings, routerIp, exceptKey);
+  }
+};
+
 /**
 * Send a NAT-PMP request to the router to add or delete a port mapping
 * @private
@@ -207,49 +501,106 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
 * @param {number} intPort The internal port on the computer to map to
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
-* @return {Promise<{"resultCode": number, "address": string, "port": number, "data": ArrayBuffer}>}
-*         A promise that fulfills with the full NAT-PMP response object, or rejects on timeout
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PmpResponse>} A promise that fulfills with the decoded
+*                                NAT-PMP response, or rejects on timeout
+*/
+var sendPmpRequest = function (routerIp, intPort, extPort, lifetime, transport,
+                               retransmission) {
+  var pmpBuffer = codec.encodePmpMapRequest({
+    transport: transport,
+    internalPort: intPort,
+    externalPort: extPort,
+    lifetime: lifetime
+  });
+  return sendPmpPacket(routerIp, pmpBuffer, retransmission);
+};
+
+/**
+* Send a NAT-PMP public address request (opcode 0) to the router
+* @private
+* @method sendPmpAddressRequest
+* @param {string} routerIp The IP address that the router can be reached at
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PmpResponse>} A promise that fulfills with the decoded
+*                                NAT-PMP response, or rejects on timeout or an
+*                                error result code
 */
-var sendPmpRequest = function (routerIp, intPort, extPort, lifetime) {
-  var socket;
+var sendPmpAddressRequest = function (routerIp, retransmission) {
+  return sendPmpPacket(routerIp, codec.encodePmpAddressRequest(),
+                       retransmission).
+      then(function (pmpResponse) {
+        if (pmpResponse.resultCode !== 0 ||
+            pmpResponse.externalIp === undefined) {
+          return Promise.reject(new Error('NAT-PMP external IP request ' +
+                                          'failed: ' + pmpResponse.resultName));
+        }
+        return pmpResponse;
+      });
+};
 
-  // Binds a socket and sends the NAT-PMP request from that socket to routerIp
-  var _sendPmpRequest = new Promise(function (F, R) {
-    socket = freedom['core.udpsocket']();
+/**
+* Send a NAT-PMP packet to the router, retransmitting it until the router
+* responds or the Retransmission schedule runs out
+* @private
+* @method sendPmpPacket
+* @param {string} routerIp The IP address that the router can be reached at
+* @param {ArrayBuffer} pmpBuffer The NAT-PMP request packet
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PmpResponse>} A promise that fulfills with the decoded
+*                                NAT-PMP response, or rejects on timeout
+*/
+var sendPmpPacket = function (routerIp, pmpBuffer, retransmission) {
+  var socket = utils.createUdpSocket();
+  var retransmitter;
 
-    // Fulfill when we get any reply (failure is on timeout in wrapper function)
+  return new Promise(function (F, R) {
+    // Fulfill when we get a valid response from the router; ignore packets
+    // from anywhere else, and malformed ones or ones that don't answer our
+    // request (e.g. a late response to an earlier request)
     socket.on('onData', function (pmpResponse) {
-      utils.closeSocket(socket);
-      F(pmpResponse.data);
+      if (!utils.isSameIp(pmpResponse.address, routerIp) ||
+          pmpResponse.port !== 5351) {
+        return;
+      }
+      var response;
+      try {
+        response = codec.decodePmpResponse(pmpResponse.data);
+        codec.validatePmpResponse(response, pmpBuffer);
+      } catch (err) {
+        return;
+      }
+      F(response);
     });
 
     // TODO(kennysong): Handle an error case for all socket.bind() when this issue is fixed:
     // https://github.com/uProxy/uproxy/issues/1687
 
-    // Bind a UDP port and send a NAT-PMP request
+    // Bind a UDP port and send the NAT-PMP request, and again on the
+    // retransmission schedule until we get a response or give up
     socket.bind('0.0.0.0', 0).then(function (result) {
-      // NAT-PMP packet structure: https://tools.ietf.org/html/rfc6886#section-3.3
-      var pmpBuffer = utils.createArrayBuffer(12, [
-        [8, 1, 1],
-        [16, 4, intPort],
-        [16, 6, extPort],
-        [32, 8, lifetime]
-      ]);
-      socket.sendTo(pmpBuffer, routerIp, 5351);
-    });
+      retransmitter = utils.retransmit(function () {
+        socket.sendTo(pmpBuffer, routerIp, 5351).catch(function (err) {});
+      }, retransmission, 'No NAT-PMP response');
+      return retransmitter.promise;
+    }).catch(R);
+  }).then(function (response) {
+    retransmitter.stop();
+    utils.closeSocket(socket);
+    return response;
+  }, function (err) {
+    if (retransmitter !== undefined) { retransmitter.stop(); }
+    utils.closeSocket(socket);
+    return Promise.reject(err);
   });
-
-  // Give _sendPmpRequest 2 seconds before timing out
-  return Promise.race([
-    utils.countdownReject(2000, 'No NAT-PMP response', function () {
-      utils.closeSocket(socket);
-    }),
-    _sendPmpRequest
-  ]);
 };
 
 module.exports = {
+  RETRANSMISSION: RETRANSMISSION,
   probeSupport: probeSupport,
   addMapping: addMapping,
-  deleteMapping: deleteMapping
+  deleteMapping: deleteMapping,
+  getExternalIp: getExternalIp,
+  handleAnnouncement: handleAnnouncement
 };
@@ -0,0 +1,121 @@
+/**
+* The Node.js transport (see transport.js), which uses dgram, http and
+* os.networkInterfaces()
+*/
+var dgram = require('dgram');
+var http = require('http');
+var os = require('os');
+var url = require('url');
+
+/**
+* Create a UDP socket with dgram; the socket is IPv6 if it's bound to an IPv6
+* address, e.g. '::'
+* @public
+* @method createUdpSocket
+* @return {UdpSocket} The socket, which isn't bound yet
+*/
+var createUdpSocket = function () {
+  var socket;
+  var handlers = [];
+
+  return {
+    bind: function (address, port) {
+      socket = dgram.createSocket({
+        type: (address.indexOf(':') !== -1) ? 'udp6' : 'udp4',
+        reuseAddr: true
+      });
+      socket.on('message', function (msg, rinfo) {
+        // Copy the message into its own ArrayBuffer, like freedom gives us
+        var data = new Uint8Array(msg).buffer;
+        handlers.forEach(function (handler) {
+          handler({address: rinfo.address, port: rinfo.port, data: data});
+        });
+      });
+      return new Promise(function (F, R) {
+        socket.once('error', R);
+        socket.bind(port, address, function () {
+          socket.removeListener('error', R);
+          // Ignore later errors, e.g. ICMP unreachable; requests time out
+          socket.on('error', function (err) {});
+          F(0);
+        });
+      });
+    },
+    sendTo: function (data, address, port) {
+      return new Promise(function (F, R) {
+        socket.send(Buffer.from(data), port, address, function (err, bytes) {
+          if (err) { R(err); }
+          else { F(bytes); }
+        });
+      });
+    },
+    on: function (eventName, handler) {
+      if (eventName === 'onData') { handlers.push(handler); }
+    },
+    close: function () {
+      return new Promise(function (F, R) {
+        if (socket === undefined) { F(); return; }
+        try {
+          socket.close(function () { F(); });
+        } catch (err) {
+          F();  // Already closed
+        }
+      });
+    }
+  };
+};
+
+/**
+* Send an HTTP request with the http module
+* @public
+* @method httpRequest
+* @param {string} method The HTTP method, e.g. 'GET'
+* @param {string} requestUrl The URL to send the request to
+* @param {Object} headers The request headers, by name
+* @param {string=} body Optional: the request body
+* @return {Promise<HttpResponse>} A promise for the response, which rejects
+*                                 if the request failed
+*/
+var httpRequest = function (method, requestUrl, headers, body) {
+  return new Promise(function (F, R) {
+    var options = url.parse(requestUrl);
+    options.method = method;
+    options.headers = headers;
+    var req = http.request(options, function (res) {
+      var chunks = [];
+      res.on('data', function (chunk) { chunks.push(chunk); });
+      res.on('end', function () {
+        F({status: res.statusCode, body: Buffer.concat(chunks).toString()});
+      });
+    });
+    req.on('error', R);
+    req.end(body);
+  });
+};
+
+/**
+* Return the IP addresses of the computer's network interfaces, leaving out
+* loopback addresses
+* @public
+* @method getPrivateIps
+* @return {Promise<Array<string>>} A promise for the IP addresses
+*/
+var getPrivateIps = function () {
+  var privateIps = [];
+  var interfaces = os.networkInterfaces();
+  Object.keys(interfaces).forEach(function (name) {
+    interfaces[name].forEach(function (iface) {
+      if (!iface.internal) {
+        // Drop the zone index of IPv6 link-local addresses, e.g. '%eth0'
+        privateIps.push(iface.address.split('%')[0]);
+      }
+    });
+  });
+  return Promise.resolve(privateIps);
+};
+
+module.exports = {
+  createUdpSocket: createUdpSocket,
+  httpRequest: httpRequest,
+  getPrivateIps: getPrivateIps
+};
@@ -1,18 +1,89 @@
 var utils = require('./utils');
+var codec = require('./codec');
 var ipaddr = require('ipaddr.js');
 
 /**
-* Probe if PCP is supported by the router
+* The default Retransmission schedule of PCP requests (see utils.js): RFC 6887
+* retransmits after 3 seconds (IRT), doubling the wait up to 1024 seconds
+* (MRT) with +/- 10% randomization, with no limit on attempts (MRC = 0); we
+* give up after 5 seconds by default, so that an unsupported router doesn't
+* hold up the other protocols
+* https://tools.ietf.org/html/rfc6887#section-8.1.1
+*/
+var RETRANSMISSION = {
+  initialInterval: 3000,
+  maxInterval: 1024000,
+  maxAttempts: 0,
+  deadline: 5000,
+  jitter: 0.1
+};
+
+/**
+* Options for a PCP request, which are also what the router echoes back in
+* Mapping.pcpOptions for the options that it processed
+* @typedef {Object} PcpOptions
+* @property {string=} thirdPartyIp THIRD_PARTY: map on behalf of this LAN host
+* @property {boolean=} preferFailure PREFER_FAILURE: fail rather than get a
+*                                    different external port (MAP only)
+* @property {Array<{remoteIp: string, prefixLength: number, remotePort: number}>=}
+*     filters FILTER: only let in traffic from these remote peers (MAP only);
+*     prefixLength defaults to the whole address, remotePort 0 is any port
+*/
+
+/**
+* Probe if PCP is supported by the router, with an ANNOUNCE request, or if
+* the router doesn't support ANNOUNCE, a MAP request with a lifetime of 0;
+* neither maps anything
+* https://tools.ietf.org/html/rfc6887#section-14.1
 * @public
 * @method probeSupport
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
 * @return {Promise<boolean>} A promise for a boolean
 */
-var probeSupport = function (activeMappings, routerIpCache) {
-  return addMapping(utils.PCP_PROBE_PORT, utils.PCP_PROBE_PORT, 120,
-                       activeMappings, routerIpCache).
-      then(function (mapping) { return mapping.externalPort !== -1; });
+var probeSupport = function (portControl) {
+  var routerIpCache = portControl.routerIpCache;
+  var retransmission = portControl.retransmission.pcp;
+
+  // Send a probe to each of a list of router IPs, and return whether any
+  // router answered it with SUCCESS
+  function _sendProbes(routerIps, privateIps) {
+    return Promise.all(routerIps.map(function (routerIp) {
+      var privateIp = utils.longestPrefixMatch(privateIps, routerIp);
+      if (privateIp === undefined) { return false; }
+      return sendPcpPacket(routerIp,
+                           codec.encodePcpAnnounceRequest({clientIp: privateIp}),
+                           retransmission).
+          then(function (pcpResponse) {
+            if (pcpResponse.resultName !== 'UNSUPP_OPCODE') {
+              return pcpResponse;
+            }
+            return sendPcpRequest(routerIp, privateIp, utils.PCP_PROBE_PORT,
+                                  0, 0, 'udp', undefined, undefined,
+                                  undefined, undefined, retransmission);
+          }).then(function (pcpResponse) {
+            checkEpoch(pcpResponse, routerIp, portControl);
+            return pcpResponse.resultCode === 0;
+          }).catch(function (err) { return false; });
+    })).then(function (supported) {
+      for (var i = 0; i < supported.length; i++) {
+        if (supported[i] && routerIpCache.indexOf(routerIps[i]) === -1) {
+          routerIpCache.push(routerIps[i]);
+        }
+      }
+      return supported.indexOf(true) !== -1;
+    });
+  }
+
+  // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+  // then otherRouterIps if none of them answer
+  return utils.getPrivateIps().then(function (privateIps) {
+    var matchedRouterIps = utils.getGatewayIps(portControl, privateIps);
+    var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
+    return _sendProbes(matchedRouterIps, privateIps).then(function (supported) {
+      return supported || _sendProbes(otherRouterIps, privateIps);
+    });
+  });
 };
 
 /**
@@ -24,31 +95,93 @@ var probeSupport = function (activeMappings, routerIpCache) {
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity, i.e. a refresh every 24 hours
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @param {string=} remoteIp Optional: for a PEER mapping (see addPeerMapping()),
+*                           the IP address of the remote peer
+* @param {number=} remotePort Optional: the port of the remote peer
+* @param {PcpOptions=} options Optional: PCP options to send with the request
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port,
+*                                 {type: 'any'} by default (see utils.js)
+* @param {UpstreamNat=} upstream Optional: map on the NAT in front of one of
+*     our gateways instead, for our address there (see utils.js)
+* @param {Array<number>=} nonce Optional: the nonce of a mapping that we're
+*                               refreshing, which the router checks before it
+*                               renews the mapping; a new one by default
 * @return {Promise<Mapping>} A promise for the port mapping object 
-*                            mapping.externalPort is -1 on failure
+*                            mapping.externalPort is -1 on failure, and
+*                            mapping.errInfo says why, e.g. the result code
+* Every gateway that answers makes the mapping, and is recorded in
+* mapping.gateways
 */
-var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpCache) {
+var addMapping = function (intPort, extPort, lifetime, transport, portControl,
+                           remoteIp, remotePort, options, portPolicy,
+                           upstream, nonce) {
+  var activeMappings = portControl.activeMappings;
+  var routerIpCache = portControl.routerIpCache;
+  var dispatchEvent = portControl.dispatchEvent;
   var mapping = new utils.Mapping();
   mapping.internalPort = intPort;
   mapping.protocol = 'pcp';
+  mapping.transport = transport = transport || 'udp';
+  mapping.remoteIp = remoteIp;
+  mapping.remotePort = remotePort;
+  mapping.upstreamClientIp = upstream && upstream.clientIp;
+  portPolicy = portPolicy || {type: 'any'};
+
+  mapping.errInfo = utils.checkPortPolicy(portPolicy);
+  if (mapping.errInfo !== undefined) {
+    return Promise.resolve(mapping);
+  }
+  // Try each port of a range as an exact mapping until one is available
+  if (portPolicy.type === 'range') {
+    return utils.walkPortRange(portPolicy, extPort, function (port) {
+      return addMapping(intPort, port, lifetime, transport, portControl,
+                        remoteIp, remotePort, options, {type: 'exact'},
+                        upstream, nonce);
+    }, isPortConflict);
+  }
+  // An exact MAP request asks the router to fail rather than map another port
+  if (portPolicy.type === 'exact' && remoteIp === undefined) {
+    options = options || {};
+    options = {thirdPartyIp: options.thirdPartyIp, preferFailure: true,
+               filters: options.filters};
+  }
 
   // If lifetime is zero, we want to refresh every 24 hours
   var reqLifetime = (lifetime === 0) ? 24*60*60 : lifetime;
+  var deadline = Date.now() + reqLifetime*1000;
 
-  // Send PCP requests to a list of router IPs and parse the first response
+  // Every gateway gets the same nonce, so that any of them can delete it
+  if (nonce === undefined) {
+    nonce = [utils.randInt(0, 0xffffffff), utils.randInt(0, 0xffffffff),
+             utils.randInt(0, 0xffffffff)];
+  }
+
+  // Return the key of this mapping in activeMappings, for an external port
+  function _mappingKey(port) {
+    return utils.mappingKey(port, transport, remoteIp, remotePort,
+                            mapping.upstreamClientIp);
+  }
+
+  // Send PCP requests to a list of router IPs and record every gateway that
+  // made the mapping, filling in the Mapping from the first one
   function _sendPcpRequests(routerIps) {
     return utils.getPrivateIps().then(function (privateIps) {
-      // Construct an array of ArrayBuffers, which are the responses of
+      // Construct an array of PcpResponses, which are the responses of
       // sendPcpRequest() calls on all the router IPs. An error result
       // is caught and re-passed as null.
       return Promise.all(routerIps.map(function (routerIp) {
         // Choose a privateIp based on the currently selected routerIp,
-        // using a longest prefix match, and send a PCP request with that IP
-        var privateIp = utils.longestPrefixMatch(privateIps, routerIp);
-        return sendPcpRequest(routerIp, privateIp, intPort, extPort, 
-                                    reqLifetime).
+        // using a longest prefix match, and send a PCP request with that IP;
+        // an upstream NAT sees us as our gateway's external IP instead
+        var privateIp = (upstream !== undefined) ? upstream.clientIp :
+            utils.longestPrefixMatch(privateIps, routerIp);
+        return sendPcpRequest(routerIp, privateIp, intPort, extPort,
+                              reqLifetime, transport, nonce, remoteIp,
+                              remotePort, options,
+                              portControl.retransmission.pcp).
             then(function (pcpResponse) {
               return {"pcpResponse": pcpResponse, "privateIp": privateIp};
             }).
@@ -57,28 +190,55 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpC
             });
       }));
     }).then(function (responses) {
-      // Check if any of the responses are successful (not null), and return
-      // it as a Mapping object
+      // Check which responses are successful (not null, and with result
+      // code SUCCESS); the first one fills in the Mapping object, and the
+      // mapping lasts as long as the shortest lifetime of any gateway
+      mapping.gateways = [];
       for (var i = 0; i < responses.length; i++) {
         if (responses[i] !== null) {
-          var responseView = new DataView(responses[i].pcpResponse);
-          var ipOctets = [responseView.getUint8(56), responseView.getUint8(57),
-                          responseView.getUint8(58), responseView.getUint8(59)];
-          var extIp = ipOctets.join('.');
-
-          mapping.externalPort = responseView.getUint16(42);
-          mapping.externalIp = extIp;
-          mapping.internalIp = responses[i].privateIp;
-          mapping.lifetime = responseView.getUint32(4);
-          mapping.nonce = [responseView.getUint32(24), 
-                           responseView.getUint32(28),
-                           responseView.getUint32(32)];
+          var pcpResponse = responses[i].pcpResponse;
+          if (pcpResponse.resultCode !== 0) {
+            if (mapping.externalPort === -1) {
+              mapping.errInfo = 'PCP Error: ' + pcpResponse.resultName;
+            }
+            continue;
+          }
 
-          if (routerIpCache.indexOf(routerIps[i]) === -1) {
+          var internalIp = responses[i].privateIp;
+          if (pcpResponse.options.thirdPartyIp !== undefined) {
+            internalIp = pcpResponse.options.thirdPartyIp;
+          }
+          if (mapping.externalPort === -1) {
+            mapping.externalPort = pcpResponse.externalPort;
+            mapping.externalIp = pcpResponse.externalIp;
+            mapping.internalIp = internalIp;
+            mapping.pcpOptions = pcpResponse.options;
+            mapping.errInfo = undefined;
+            mapping.lifetime = pcpResponse.lifetime;
+            mapping.nonce = pcpResponse.nonce;
+            mapping.routerIp = routerIps[i];
+          }
+          mapping.lifetime = Math.min(mapping.lifetime, pcpResponse.lifetime);
+          mapping.gateways.push({
+            routerIp: routerIps[i],
+            internalIp: internalIp,
+            externalIp: pcpResponse.externalIp,
+            externalPort: pcpResponse.externalPort,
+            lifetime: pcpResponse.lifetime
+          });
+          checkEpoch(responses[i].pcpResponse, routerIps[i], portControl,
+                     _mappingKey(extPort));
+
+          // Upstream routers aren't our gateways
+          if (upstream === undefined &&
+              routerIpCache.indexOf(routerIps[i]) === -1) {
             routerIpCache.push(routerIps[i]);
           }
         }
       }
+      if (mapping.externalPort === -1 && mapping.errInfo === undefined) {
+        mapping.errInfo = 'No PCP response';
+      }
       return mapping;
     }).catch(function (err) {
       return mapping;
@@ -88,11 +248,15 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpC
   // Basically calls _sendPcpRequests on matchedRouterIps first, and if that 
   // doesn't work, calls it on otherRouterIps
   function _sendPcpRequestsInWaves() {
+    // There's no list of popular routers for an upstream NAT to fall back to
+    if (upstream !== undefined) {
+      return _sendPcpRequests(upstream.routerIps);
+    }
     return utils.getPrivateIps().then(function (privateIps) {
-      // Try matchedRouterIps first (routerIpCache + router IPs that match the 
-      // user's IPs), then otherRouterIps if it doesn't work. This avoids flooding
+      // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+      // then otherRouterIps if it doesn't work. This avoids flooding
       // the local network with PCP requests
-      var matchedRouterIps = utils.arrAdd(routerIpCache, utils.filterRouterIps(privateIps));
+      var matchedRouterIps = utils.getGatewayIps(portControl, privateIps);
       var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
       return _sendPcpRequests(matchedRouterIps).then(function (mapping) {
         if (mapping.externalPort !== -1) { return mapping; }
@@ -105,65 +269,188 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings, routerIpC
   // setting a refresh if necessary, and a timeout for deletion, and saving the 
   // mapping object to activeMappings if the mapping succeeded
   function _saveAndRefreshMapping(mapping) {
-    // If the actual lifetime is less than the requested lifetime,
-    // setTimeout to refresh the mapping when it expires
+    // If the actual lifetime is less than the requested lifetime, or the
+    // original lifetime is 0 (i.e. indefinitely), setTimeout to refresh the
+    // mapping with the rest of its lifetime before it expires
     var dLifetime = reqLifetime - mapping.lifetime;
-    if (mapping.externalPort !== -1 && dLifetime > 0) {
-      mapping.timeoutId = setTimeout(addMapping.bind({}, intPort,
-        mapping.externalPort, dLifetime, activeMappings), mapping.lifetime*1000);
-    }
-    // If the original lifetime is 0, refresh every 24 hrs indefinitely
-    else if (mapping.externalPort !== -1 && lifetime === 0) {
-      mapping.timeoutId = setTimeout(addMapping.bind({}, intPort,
-                       mapping.externalPort, 0, activeMappings), 24*60*60*1000);
+    var key = _mappingKey(mapping.externalPort);
+    if (mapping.externalPort !== -1 && (dLifetime > 0 || lifetime === 0)) {
+      mapping.timeoutId = setTimeout(
+          _recreateMapping.bind({}, mapping, 'mappingRefreshed'),
+          utils.getRefreshDelay(mapping.lifetime));
     }
     // If we're not refreshing, delete the entry in activeMapping at expiration
     else if (mapping.externalPort !== -1) {
-      setTimeout(function () { delete activeMappings[mapping.externalPort]; },
-                 mapping.lifetime*1000);
+      mapping.timeoutId = setTimeout(_expireMapping.bind({}, mapping),
+                                     mapping.lifetime*1000);
     }
 
-    // If mapping succeeded, attach a deleter function and add to activeMappings
+    // If mapping succeeded, attach deleter and refresher functions,
+    // and add to activeMappings
     if (mapping.externalPort !== -1) {
-      mapping.deleter = deleteMapping.bind({}, mapping.externalPort,
-                                           activeMappings, routerIpCache);
-      activeMappings[mapping.externalPort] = mapping;
+      mapping.deleter = deleteMapping.bind({}, mapping.externalPort, transport,
+                                           portControl, remoteIp, remotePort,
+                                           upstream);
+      mapping.refresher = _recreateMapping.bind({}, mapping);
+      activeMappings[key] = mapping;
     }
     return mapping;
   }
 
+  // Request the mapping again with the remaining lifetime, which replaces the
+  // old Mapping in activeMappings, and emit an event for the result
+  // (successEvent, or mappingRefreshFailed); the request keeps the old nonce,
+  // or a router that still holds the mapping refuses it as NOT_AUTHORIZED
+  function _refreshMapping(oldMapping, refreshLifetime, successEvent) {
+    var oldKey = _mappingKey(oldMapping.externalPort);
+    return addMapping(intPort, oldMapping.externalPort, refreshLifetime,
+                      transport, portControl, remoteIp, remotePort, options,
+                      portPolicy, upstream, oldMapping.nonce).
+        then(function (newMapping) {
+          // The old mapping has lapsed if the refresh failed, or if the router
+          // gave us a different external port this time
+          if (newMapping.externalPort !== oldMapping.externalPort &&
+              activeMappings[oldKey] === oldMapping) {
+            delete activeMappings[oldKey];
+          }
+          if (newMapping.externalPort !== -1) {
+            dispatchEvent(successEvent, newMapping);
+          } else {
+            dispatchEvent('mappingRefreshFailed', oldMapping);
+          }
+          return newMapping;
+        });
+  }
+
+  // Request the mapping again with the rest of its lifetime, when its refresh
+  // is due, or right away, e.g. after the router lost it in a reboot
+  function _recreateMapping(oldMapping, successEvent) {
+    clearTimeout(oldMapping.timeoutId);
+    var remainingLifetime = (lifetime === 0) ? 0 :
+        Math.max(1, Math.ceil((deadline - Date.now()) / 1000));
+    return _refreshMapping(oldMapping, remainingLifetime,
+                           successEvent || 'mappingRecovered');
+  }
+
+  // Delete a mapping that we aren't refreshing from activeMappings when its
+  // lifetime is up, unless it has already been deleted or replaced
+  function _expireMapping(oldMapping) {
+    var oldKey = _mappingKey(oldMapping.externalPort);
+    if (activeMappings[oldKey] === oldMapping) {
+      delete activeMappings[oldKey];
+      dispatchEvent('mappingExpired', oldMapping);
+    }
+  }
+
   // Try PCP requests to matchedRouterIps, then otherRouterIps. 
   // After receiving a PCP response, set timeouts to delete/refresh the 
   // mapping, add it to activeMappings, and return the mapping object
   return _sendPcpRequestsInWaves().then(_saveAndRefreshMapping);
 };
 
+/**
+* Return whether a mapping failed because its external port wasn't available
+* @private
+* @method isPortConflict
+* @param {Mapping} mapping A failed Mapping from addMapping()
+* @return {boolean}
+*/
+var isPortConflict = function (mapping) {
+  return mapping.errInfo === 'PCP Error: CANNOT_PROVIDE_EXTERNAL';
+};
+
+/**
+* Makes an outbound mapping to a specific remote peer in the NAT with the PCP
+* PEER opcode, or keeps an existing one alive, and automatically refreshes it
+* like addMapping() does (https://tools.ietf.org/html/rfc6887#section-12)
+* @public
+* @method addPeerMapping
+* @param {number} intPort The internal port on the computer
+* @param {string} remoteIp The IP address of the remote peer
+* @param {number} remotePort The port of the remote peer
+* @param {number} lifetime Seconds that the mapping will last
+*                          0 is infinity, i.e. a refresh every 24 hours
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @param {PcpOptions=} options Optional: PCP options to send with the request;
+*                              only thirdPartyIp is allowed with PEER
+* @return {Promise<Mapping>} A promise for the port mapping object
+*                            mapping.externalPort is -1 on failure
+*/
+var addPeerMapping = function (intPort, remoteIp, remotePort, lifetime,
+                               transport, portControl, options) {
+  var peerOptions = (options === undefined) ? undefined :
+      {thirdPartyIp: options.thirdPartyIp};
+  // Suggest the internal port as the external port, like most NATs would
+  return addMapping(intPort, intPort, lifetime, transport, portControl,
+                    remoteIp, remotePort, peerOptions);
+};
+
+/**
+* Deletes a PEER mapping in the NAT with PCP
+* @public
+* @method deletePeerMapping
+* @param {number} extPort The external port of the mapping to delete
+* @param {string} remoteIp The IP address of the remote peer
+* @param {number} remotePort The port of the remote peer
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @return {Promise<boolean>} True on success, false on failure
+*/
+var deletePeerMapping = function (extPort, remoteIp, remotePort, transport,
+                                  portControl) {
+  return deleteMapping(extPort, transport, portControl, remoteIp, remotePort);
+};
+
 /**
 * Deletes a port mapping in the NAT with PCP
 * @public
 * @method deleteMapping
 * @param {number} extPort The external port of the mapping to delete
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @param {string=} remoteIp Optional: the remote peer IP of a PEER mapping
+* @param {number=} remotePort Optional: the remote peer port of a PEER mapping
+* @param {UpstreamNat=} upstream Optional: the upstream NAT of a mapping that
+*                                chains another one (see addMapping())
 * @return {Promise<boolean>} True on success, false on failure
 */
-var deleteMapping = function (extPort, activeMappings, routerIpCache) {
+var deleteMapping = function (extPort, transport, portControl, remoteIp,
+                              remotePort, upstream) {
+  var activeMappings = portControl.activeMappings;
+  var routerIpCache = portControl.routerIpCache;
+  var dispatchEvent = portControl.dispatchEvent;
+  var key = utils.mappingKey(extPort, transport, remoteIp, remotePort,
+                             upstream && upstream.clientIp);
+
   // Send PCP requests to a list of router IPs and parse the first response
   function _sendDeletionRequests(routerIps) {
     return utils.getPrivateIps().then(function (privateIps) {
       // Get the internal port and nonce for this mapping; this may error
-      var intPort = activeMappings[extPort].internalPort;
-      var nonce = activeMappings[extPort].nonce;
+      var intPort = activeMappings[key].internalPort;
+      var nonce = activeMappings[key].nonce;
+      // A mapping made for a third party must be deleted on its behalf too
+      var pcpOptions = activeMappings[key].pcpOptions || {};
+      var options = {thirdPartyIp: pcpOptions.thirdPartyIp};
 
-      // Construct an array of ArrayBuffers, which are the responses of
-      // sendPmpRequest() calls on all the router IPs. An error result
+      // Construct an array of PcpResponses, which are the responses of
+      // sendPcpRequest() calls on all the router IPs. An error result
       // is caught and re-passed as null.
       return Promise.all(routerIps.map(function (routerIp) {
           // Choose a privateIp based on the currently selected routerIp,
           // using a longest prefix match, and send a PCP request with that IP
-          var privateIp = utils.longestPrefixMatch(privateIps, routerIp);
-          return sendPcpRequest(routerIp, privateIp, intPort, 0, 0, nonce).
-              then(function (pcpResponse) { return pcpResponse; }).
+          var privateIp = (upstream !== undefined) ? upstream.clientIp :
+              utils.longestPrefixMatch(privateIps, routerIp);
+          return sendPcpRequest(routerIp, privateIp, intPort, 0, 0, transport,
+                                nonce, remoteIp, remotePort, options,
+                                portControl.retransmission.pcp).
+              then(function (pcpResponse) {
+                checkEpoch(pcpResponse, routerIp, portControl, key);
+                return pcpResponse;
+              }).
               catch(function (err) { return null; });
         }));
    });
@@ -172,11 +459,14 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
   // Basically calls _sendDeletionRequests on matchedRouterIps first, and if that 
   // doesn't work, calls it on otherRouterIps
   function _sendDeletionRequestsInWaves() {
+    if (upstream !== undefined) {
+      return _sendDeletionRequests(upstream.routerIps);
+    }
     return utils.getPrivateIps().then(function (privateIps) {
-      // Try matchedRouterIps first (routerIpCache + router IPs that match the 
-      // user's IPs), then otherRouterIps if it doesn't work. This avoids flooding
+      // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+      // then otherRouterIps if it doesn't work. This avoids flooding
       // the local network with PCP requests
-      var matchedRouterIps = utils.arrAdd(routerIpCache, utils.filterRouterIps(privateIps));
+      var matchedRouterIps = utils.getGatewayIps(portControl, privateIps);
       var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
       return _sendDeletionRequests(matchedRouterIps).then(function (mapping) {
         if (mapping.externalPort !== -1) { return mapping; }
@@ -190,13 +480,14 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
   function _deleteFromActiveMappings(responses) {
     for (var i = 0; i < responses.length; i++) {
       if (responses[i] !== null) {
-        // Success code 8 (NO_RESOURCES) may denote that the mapping does not
+        // Result NO_RESOURCES may denote that the mapping does not
         // exist on the router, so we accept it as well
-        var responseView = new DataView(responses[i]);
-        var successCode = responseView.getUint8(3);
-        if (successCode === 0 || successCode === 8) {
-          clearTimeout(activeMappings[extPort].timeoutId);
-          delete activeMappings[extPort];
+        var resultName = responses[i].resultName;
+        if (resultName === 'SUCCESS' || resultName === 'NO_RESOURCES') {
+          var mapping = activeMappings[key];
+          clearTimeout(mapping.timeoutId);
+          delete activeMappings[key];
+          dispatchEvent('mappingDeleted', mapping);
           return true;
         } 
       }
@@ -204,6 +495,12 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
     return false;
   }
 
+  // Stop refreshing the mapping first, so that a refresh can't re-create it
+  // on the router while the deletion requests are in flight
+  if (activeMappings[key] !== undefined) {
+    clearTimeout(activeMappings[key].timeoutId);
+  }
+
   // Send PCP deletion requests to matchedRouterIps, then otherRouterIps;
   // if that succeeds, delete the corresponding Mapping from activeMappings
   return _sendDeletionRequestsInWaves().
@@ -212,74 +509,280 @@ var deleteMapping = function (extPort, activeMappings, routerIpCache) {
 };
 
 /**
-* Send a PCP request to the router to map a port
+* Get the external IP address of the router with PCP
+* PCP has no opcode that only returns the external IP, so we send a MAP request
+* with a lifetime of 0 on the probe port, which maps nothing, and read the
+* assigned external IP from the response
+* (https://tools.ietf.org/html/rfc6887#section-11.1). Some routers answer it
+* with the unspecified address instead; only then do we make a short mapping
+* to learn the external IP, and delete it again right away
+* @public
+* @method getExternalIp
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @return {Promise<string>} A promise for the external IP address,
+*                           rejects if no router responded
+*/
+var getExternalIp = function (portControl) {
+  var routerIpCache = portControl.routerIpCache;
+
+  // Send PCP requests to a list of router IPs, and return the external IP
+  // from the first successful response (undefined if none)
+  function _sendAddressRequests(routerIps, privateIps) {
+    var retransmission = portControl.retransmission.pcp;
+    return Promise.all(routerIps.map(function (routerIp) {
+      var privateIp = utils.longestPrefixMatch(privateIps, routerIp);
+      var nonce = [utils.randInt(0, 0xffffffff),
+                   utils.randInt(0, 0xffffffff),
+                   utils.randInt(0, 0xffffffff)];
+
+      // Send a MAP request for the probe port, and return the response if it
+      // succeeded (null otherwise)
+      function _sendMapRequest(lifetime) {
+        return sendPcpRequest(routerIp, privateIp, utils.PCP_PROBE_PORT,
+                              utils.PCP_PROBE_PORT, lifetime, 'udp', nonce,
+                              undefined, undefined, undefined, retransmission).
+            then(function (pcpResponse) {
+              checkEpoch(pcpResponse, routerIp, portControl);
+              return (pcpResponse.resultCode === 0) ? pcpResponse : null;
+            });
+      }
+
+      return _sendMapRequest(0).then(function (pcpResponse) {
+        if (pcpResponse === null) { return null; }
+        if (ipaddr.parse(pcpResponse.externalIp).range() !== 'unspecified') {
+          return pcpResponse.externalIp;
+        }
+        return _sendMapRequest(30).then(function (pcpResponse) {
+          if (pcpResponse === null) { return null; }
+
+          // Delete the mapping, ignoring the result
+          sendPcpRequest(routerIp, privateIp, utils.PCP_PROBE_PORT, 0, 0,
+                         'udp', nonce, undefined, undefined, undefined,
+                         retransmission).catch(function (err) {});
+          return pcpResponse.externalIp;
+        });
+      }).catch(function (err) { return null; });
+    })).then(function (externalIps) {
+      for (var i = 0; i < externalIps.length; i++) {
+        if (externalIps[i] !== null) {
+          if (routerIpCache.indexOf(routerIps[i]) === -1) {
+            routerIpCache.push(routerIps[i]);
+          }
+          return externalIps[i];
+        }
+      }
+    });
+  }
+
+  // Try matchedRouterIps first (the likely gateways, see getGatewayIps()),
+  // then otherRouterIps if it doesn't work
+  return utils.getPrivateIps().then(function (privateIps) {
+    var matchedRouterIps = utils.getGatewayIps(portControl, privateIps);
+    var otherRouterIps = utils.arrDiff(utils.ROUTER_IPS, matchedRouterIps);
+    return _sendAddressRequests(matchedRouterIps, privateIps).
+        then(function (externalIp) {
+          if (externalIp !== undefined) { return externalIp; }
+          return _sendAddressRequests(otherRouterIps, privateIps);
+        });
+  }).then(function (externalIp) {
+    if (externalIp === undefined) {
+      return Promise.reject(new Error('No PCP external IP response'));
+    }
+    return externalIp;
+  });
+};
+
+/**
+* Handle an unsolicited PCP ANNOUNCE, which the router multicasts to
+* 224.0.0.1:5350 after it restarts or loses its state
+* (https://tools.ietf.org/html/rfc6887#section-14.1.3)
+* If its epoch shows that the router has reset, re-create the router's mappings
+* right away, and emit externalIpChanged if they come back with a different
+* external IP; the router repeats each ANNOUNCE, so we ignore the others
+* @public
+* @method handleAnnouncement
+* @param {ArrayBuffer} pcpAnnouncement The ANNOUNCE packet
+* @param {string} routerIp The IP address that sent the ANNOUNCE
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+*/
+var handleAnnouncement = function (pcpAnnouncement, routerIp, portControl) {
+  var activeMappings = portControl.activeMappings;
+  var routerMappings = utils.getRouterMappings(activeMappings, routerIp);
+  var announcement;
+  try {
+    announcement = codec.decodePcpResponse(pcpAnnouncement);
+  } catch (err) {
+    return;
+  }
+
+  // Only listen to routers that we've used, and to well-formed ANNOUNCEs
+  // (a response with opcode 0 and result SUCCESS)
+  if ((portControl.routerIpCache.indexOf(routerIp) === -1 &&
+       routerMappings.length === 0) ||
+      !announcement.isResponse || announcement.opcode !== 0 ||
+      announcement.resultCode !== 0) {
+    return;
+  }
+
+  if (!utils.updateEpoch(portControl.routerEpochs.pcp, routerIp,
+                         announcement.epoch)) {
+    return;
+  }
+
+  var oldExternalIps = routerMappings.map(function (mapping) {
+    return utils.getGatewayExternalIp(mapping, routerIp);
+  });
+  utils.recoverMappings(activeMappings, routerIp).
+      then(function (mappings) {
+        for (var i = 0; i < mappings.length; i++) {
+          var externalIp = utils.getGatewayExternalIp(mappings[i], routerIp);
+          if (externalIp !== undefined &&
+              oldExternalIps.indexOf(externalIp) === -1) {
+            portControl.dispatchEvent('externalIpChanged',
+                {routerIp: routerIp, externalIp: externalIp});
+            return;
+          }
+        }
+      });
+};
+
+/**
+* Record the epoch time of a PCP response, and if the router has reset since
+* its last response, re-create the mappings it lost
+* https://tools.ietf.org/html/rfc6887#section-8.5
+* @private
+* @method checkEpoch
+* @param {PcpResponse} pcpResponse A PCP response from the router
+* @param {string} routerIp The IP address of the router that sent the response
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerEpochs, etc.
+* @param {string=} exceptKey Optional: the activeMappings key of a mapping that
+*                            the caller is already re-creating or deleting
+*/
+var checkEpoch = function (pcpResponse, routerIp, portControl, exceptKey) {
+  if (utils.updateEpoch(portControl.routerEpochs.pcp, routerIp,
+                        pcpResponse.epoch)) {
+    utils.recoverMappings(portControl.activeMappings, routerIp, exceptKey);
+  }
+};
+
+/**
+* Send a PCP request to the router to map a port; this is a MAP request, or a
+* PEER request if remoteIp is given
 * @private
 * @method sendPcpRequest
-* @param {string} routerIp The IP address that the router can be reached at
-* @param {string} privateIp The private IP address of the user's computer
+* @param {string} routerIp The IP address that the router can be reached at,
+*                          IPv4 or IPv6
+* @param {string} privateIp The private IP address of the user's computer, of
+*                           the same IP version as routerIp
 * @param {number} intPort The internal port on the computer to map to
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
 * @param {array} nonce (Optional) A specified nonce for the PCP request
-* @return {Promise<ArrayBuffer>} A promise that fulfills with the PCP response
-*                                or rejects on timeout
+* @param {string} remoteIp (Optional) The remote peer IP of a PEER request
+* @param {number} remotePort (Optional) The remote peer port of a PEER request
+* @param {PcpOptions} options (Optional) PCP options to append to the request
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PcpResponse>} A promise that fulfills with the decoded PCP
+*                                response, or rejects on timeout
 */
-var sendPcpRequest = function (routerIp, privateIp, intPort, extPort, lifetime, 
-                               nonce) {
-  var socket;
+var sendPcpRequest = function (routerIp, privateIp, intPort, extPort, lifetime,
+                               transport, nonce, remoteIp, remotePort, options,
+                               retransmission) {
+  // We need a private IP of the router's IP version to put in the request
+  if (privateIp === undefined) {
+    return Promise.reject(new Error('No private IP for PCP router ' + routerIp));
+  }
+  var encodeRequest = (remoteIp === undefined) ? codec.encodePcpMapRequest :
+                                                 codec.encodePcpPeerRequest;
 
-  // Pre-process nonce and privateIp arguments
+  // Pre-process nonce argument
   if (nonce === undefined) {
     nonce = [utils.randInt(0, 0xffffffff), 
              utils.randInt(0, 0xffffffff), 
              utils.randInt(0, 0xffffffff)];
   }
-  var ipOctets = ipaddr.IPv4.parse(privateIp).octets;
 
-  // Bind a socket and send the PCP request from that socket to routerIp
-  var _sendPcpRequest = new Promise(function (F, R) {
-    socket = freedom['core.udpsocket']();
+  var pcpBuffer = encodeRequest({
+    clientIp: privateIp,
+    lifetime: lifetime,
+    nonce: nonce,
+    transport: transport,
+    internalPort: intPort,
+    externalPort: extPort,
+    remoteIp: remoteIp,
+    remotePort: remotePort,
+    options: options
+  });
+  return sendPcpPacket(routerIp, pcpBuffer, retransmission);
+};
 
-    // Fulfill when we get any reply (failure is on timeout in wrapper function)
+/**
+* Send a PCP packet to the router, retransmitting it until the router
+* responds or the Retransmission schedule runs out
+* @private
+* @method sendPcpPacket
+* @param {string} routerIp The IP address that the router can be reached at,
+*                          IPv4 or IPv6
+* @param {ArrayBuffer} pcpBuffer The PCP request packet
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PcpResponse>} A promise that fulfills with the decoded PCP
+*                                response, or rejects on timeout
+*/
+var sendPcpPacket = function (routerIp, pcpBuffer, retransmission) {
+  var socket = utils.createUdpSocket();
+  var retransmitter;
+  var isIpv6 = ipaddr.IPv6.isValid(routerIp);
+
+  return new Promise(function (F, R) {
+    // Fulfill when we get a valid response from the router; ignore packets
+    // from anywhere else, and malformed ones or ones that don't answer our
+    // request, e.g. with another nonce
     socket.on('onData', function (pcpResponse) {
-      utils.closeSocket(socket);
-      F(pcpResponse.data);
+      if (!utils.isSameIp(pcpResponse.address, routerIp) ||
+          pcpResponse.port !== 5351) {
+        return;
+      }
+      var response;
+      try {
+        response = codec.decodePcpResponse(pcpResponse.data);
+        codec.validatePcpResponse(response, pcpBuffer);
+      } catch (err) {
+        return;
+      }
+      F(response);
     });
 
-    // Bind a UDP port and send a PCP request
-    socket.bind('0.0.0.0', 0).then(function (result) {
-      // PCP packet structure: https://tools.ietf.org/html/rfc6887#section-11.1
-      var pcpBuffer = utils.createArrayBuffer(60, [
-        [32, 0, 0x2010000],
-        [32, 4, lifetime],
-        [16, 18, 0xffff],
-        [8, 20, ipOctets[0]],
-        [8, 21, ipOctets[1]],
-        [8, 22, ipOctets[2]],
-        [8, 23, ipOctets[3]],
-        [32, 24, nonce[0]],
-        [32, 28, nonce[1]],
-        [32, 32, nonce[2]],
-        [8, 36, 17],
-        [16, 40, intPort],
-        [16, 42, extPort],
-        [16, 54, 0xffff],
-      ]);
-      socket.sendTo(pcpBuffer, routerIp, 5351);
-    });
+    // Bind a UDP port and send the PCP request, and again on the
+    // retransmission schedule until we get a response or give up; the
+    // retransmissions are identical, so they keep the same nonce
+    socket.bind(isIpv6 ? '::' : '0.0.0.0', 0).then(function (result) {
+      retransmitter = utils.retransmit(function () {
+        socket.sendTo(pcpBuffer, routerIp, 5351).catch(function (err) {});
+      }, retransmission, 'No PCP response');
+      return retransmitter.promise;
+    }).catch(R);
+  }).then(function (response) {
+    retransmitter.stop();
+    utils.closeSocket(socket);
+    return response;
+  }, function (err) {
+    if (retransmitter !== undefined) { retransmitter.stop(); }
+    utils.closeSocket(socket);
+    return Promise.reject(err);
   });
-
-  // Give _sendPcpRequest 2 seconds before timing out
-  return Promise.race([
-    utils.countdownReject(2000, 'No PCP response', function () {
-      utils.closeSocket(socket);
-    }),
-    _sendPcpRequest
-  ]);
 };
 
 module.exports = {
+  RETRANSMISSION: RETRANSMISSION,
   probeSupport: probeSupport,
   addMapping: addMapping,
-  deleteMapping: deleteMapping
+  deleteMapping: deleteMapping,
+  addPeerMapping: addPeerMapping,
+  deletePeerMapping: deletePeerMapping,
+  getExternalIp: getExternalIp,
+  handleAnnouncement: handleAnnouncement
 };
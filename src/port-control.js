@@ -3,90 +3,219 @@ var utils = require('./utils');
 var natPmp = require('./nat-pmp');
 var pcp = require('./pcp');
 var upnp = require('./upnp');
+var stun = require('./stun');
+var transport = require('./transport');
 
-var PortControl = function (dispatchEvent) {
-  this.dispatchEvent = dispatchEvent;
-};
+/**
+* The protocols that addMapping() can use, in its default order
+*/
+var PROTOCOLS = ['natPmp', 'pcp', 'upnp'];
 
 /**
-* A table that keeps track of information about active Mappings
-* The Mapping type is defined in utils.js
-* { externalPortNumber1: Mapping1, 
-*   externalPortNumber2: Mapping2,
-*   ...
-* }
+* How many milliseconds addMapping() waits between starting each protocol when
+* it races them, by default
 */
-PortControl.prototype.activeMappings = {};
+var DEFAULT_STAGGER = 250;
 
 /**
- * An array of previous router IPs that have worked; we try these first when 
- * sending NAT-PMP and PCP requests
- */
-PortControl.prototype.routerIpCache = [];
+* The port control module, which runs as a freedom.js module or as a plain
+* CommonJS class in Node.js, e.g. new PortControl(function (name, data) {...})
+* Emits these events through dispatchEvent, each with a Mapping object:
+*   mappingCreated: a new mapping was added to activeMappings
+*   mappingRefreshed: a mapping was refreshed before it expired
+*   mappingRefreshFailed: a refresh failed; the mapping was removed
+*   mappingExpired: a mapping that wasn't refreshed reached the end of its lifetime
+*   mappingRecovered: a mapping was re-created after its router reset
+*   mappingDeleted: a mapping was deleted from the router and activeMappings
+* and this event with a {routerIp, externalIp} object:
+*   externalIpChanged: a router announced a new external IP
+* Each instance keeps its own mappings and caches (see PortControlState), so
+* independent components can each use their own PortControl; to share some
+* of that state on purpose, pass it in from another instance's getState()
+* @constructor
+* @param {function=} dispatchEvent Optional: emits events to the freedom app,
+*                                 or to the caller as (eventName, data)
+* @param {Object=} sharedState Optional: any of the fields of another
+*                              instance's PortControlState, to share with it
+*/
+var PortControl = function (dispatchEvent, sharedState) {
+  this.dispatchEvent = dispatchEvent || function () {};
+  sharedState = sharedState || {};
+
+  // The names of the state fields that this instance shares with others
+  var defaultState = createState();
+  this.sharedState = Object.keys(defaultState).filter(function (name) {
+    return sharedState[name] !== undefined;
+  });
+  Object.keys(defaultState).forEach(function (name) {
+    this[name] = (sharedState[name] !== undefined) ? sharedState[name] :
+                                                    defaultState[name];
+  }, this);
+
+  /**
+   * Router IPs that the caller supplied with setRouterIps(); we try these
+   * before any other gateway (see utils.getGatewayIps())
+   */
+  this.userRouterIps = [];
+
+  /**
+  * When to retransmit NAT-PMP, PCP and STUN requests, and when to give up on
+  * them; the Retransmission type is defined in utils.js, and
+  * setRetransmission() changes it
+  * { natPmp: Retransmission, pcp: Retransmission, stun: Retransmission }
+  */
+  this.retransmission = {
+    natPmp: natPmp.RETRANSMISSION,
+    pcp: pcp.RETRANSMISSION,
+    stun: stun.RETRANSMISSION
+  };
+
+  /**
+  * Which protocols addMapping() tries and how, when protocolSupportCache
+  * hasn't found one that works: in order, one after another, or all at once
+  * with a stagger of some milliseconds between them; setProtocolPreference()
+  * changes it
+  * { order: Array<string>, race: boolean, stagger: number }
+  */
+  this.protocolPreference = {
+    order: PROTOCOLS.slice(),
+    race: false,
+    stagger: DEFAULT_STAGGER
+  };
+};
 
 /**
- * An object that keeps track of which protocols are supported
- * This is updated every time this.probeProtocolSupport() is called
- * @property {boolean} natPmp A boolean stating if NAT-PMP is supported
- * @property {boolean} pcp A boolean stating if PCP is supported
- * @property {boolean} upnp A boolean stating if UPnP is supported
-  * @property {string} [upnpControlUrl] The UPnP router's control URL
- */
-PortControl.prototype.protocolSupportCache = {
-  natPmp: undefined,
-  pcp: undefined,
-  upnp: undefined,
-  upnpControlUrl: undefined
+* What a PortControl knows about its mappings and the network
+* @typedef {Object} PortControlState
+* @property {Object<string, Mapping>} activeMappings A table that keeps track
+*     of information about active Mappings; the Mapping type is defined in
+*     utils.js, and the keys are the external port and transport protocol of
+*     each mapping (see utils.mappingKey()), e.g.
+*     { 'externalPortNumber1/udp': Mapping1,
+*       'externalPortNumber2/tcp': Mapping2,
+*       ...
+*     }
+* @property {Array<string>} routerIpCache Previous router IPs that have
+*     worked; we try these first when sending NAT-PMP and PCP requests
+* @property {Array<string>} ssdpRouterIps The IPs of UPnP devices that
+*     answered our SSDP searches, which are likely gateways for NAT-PMP and
+*     PCP too
+* @property {Object} routerEpochs The last epoch (seconds since start of
+*     epoch) that each router sent in its NAT-PMP and PCP responses, which
+*     tells us when a router has reset
+*     { natPmp: { routerIp1: {epoch: number, time: number}, ... },
+*       pcp: { routerIp1: {epoch: number, time: number}, ... }
+*     }
+* @property {Object<string, string>} routerExternalIps The external IP that
+*     each router last announced over NAT-PMP, so that we only emit
+*     externalIpChanged when it changes
+* @property {Object} protocolSupportCache Which protocols are supported, as
+*     found by the last probeProtocolSupport(), and how the NAT behaves, as
+*     found by the last classifyNat() (the NatBehavior type is in stun.js)
+*     { natPmp: boolean, pcp: boolean, upnp: boolean, upnpControlUrl: string,
+*       natBehavior: NatBehavior }
+* @property {Object<string, string>} upnpServiceTypes The service type of
+*     each UPnP control URL that we've discovered, since SOAP actions must
+*     name the service that the control URL belongs to; control URLs that we
+*     didn't discover are assumed to be WANIPConnection:1
+*/
+
+/**
+* Return a new, empty PortControlState
+* @private
+* @method createState
+* @return {PortControlState}
+*/
+var createState = function () {
+  return {
+    activeMappings: {},
+    routerIpCache: [],
+    ssdpRouterIps: [],
+    routerEpochs: {
+      natPmp: {},
+      pcp: {}
+    },
+    routerExternalIps: {},
+    protocolSupportCache: {
+      natPmp: undefined,
+      pcp: undefined,
+      upnp: undefined,
+      upnpControlUrl: undefined,
+      natBehavior: undefined
+    },
+    upnpServiceTypes: {}
+  };
 };
 
 /**
-* Add a port mapping through the NAT, using a protocol that probeProtocolSupport()
-* found. If probeProtocolSupport() has not been previously called, i.e. 
-* protocolSupportCache is empty, then we try each protocol until one works
+* Add a port mapping through the NAT, using the first protocol in the
+* preferred order (see setProtocolPreference()) that probeProtocolSupport() or
+* an earlier mapping found to work. If none has been found yet, we try each
+* protocol that isn't known not to work, one after another until one works,
+* or at once in race mode, keeping the first mapping and deleting the others.
+* The protocol that works is recorded in protocolSupportCache
 * @public
 * @method addMapping
 * @param {number} intPort The internal port on the computer to map to
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity; handled differently per protocol
+* @param {string=} transport Optional: the transport protocol to map,
+*                            'udp' (default) or 'tcp'
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port,
+*     {type: 'exact'}, {type: 'any'} (default) or {type: 'range', min, max}
 * @return {Promise<Mapping>} A promise for the port mapping object
 *                            Mapping.externalPort === -1 on failure
 **/
-PortControl.prototype.addMapping = function (intPort, extPort, lifetime) {
+PortControl.prototype.addMapping = function (intPort, extPort, lifetime,
+                                             transport, portPolicy) {
   var _this = this;
+  var protocolSupportCache = this.protocolSupportCache;
+  var order = this.protocolPreference.order;
 
-  if (_this.protocolSupportCache.natPmp === undefined) {
-    // We have no data in the protocolSupportCache,
-    // so try to open a port with NAT-PMP, then PCP, then UPnP in that order
-    return _this.addMappingPmp(intPort, extPort, lifetime).
-      then(function (mapping) {
-        if (mapping.externalPort !== -1) { 
-          return mapping; 
-        }
-        return _this.addMappingPcp(intPort, extPort, lifetime);
-      }).
-      then(function (mapping) {
-        if (mapping.externalPort !== -1) { 
-          return mapping; 
+  // We have data from probing the router for protocol support, or from an
+  // earlier mapping, so we can directly try one protocol
+  var supported = order.filter(function (protocol) {
+    return protocolSupportCache[protocol] === true;
+  });
+  if (supported.length > 0) {
+    return addMappingWith(this, supported[0], intPort, extPort, lifetime,
+                          transport, portPolicy);
+  }
+
+  // Otherwise try the protocols that haven't failed a probe, or return a
+  // failure Mapping if they all have
+  var protocols = order.filter(function (protocol) {
+    return protocolSupportCache[protocol] !== false;
+  });
+  if (protocols.length === 0) {
+    var failureMapping = new utils.Mapping();
+    failureMapping.errInfo = 'No protocols are supported from last probe';
+    return Promise.resolve(failureMapping);
+  }
+
+  var adding;
+  if (this.protocolPreference.race) {
+    adding = raceProtocols(this, protocols, intPort, extPort, lifetime,
+                           transport, portPolicy);
+  } else {
+    // Try each protocol after the previous one failed
+    adding = protocols.reduce(function (previous, protocol) {
+      return previous.then(function (mapping) {
+        if (mapping !== undefined && mapping.externalPort !== -1) {
+          return mapping;
         }
-        return _this.addMappingUpnp(intPort, extPort, lifetime);
+        return addMappingWith(_this, protocol, intPort, extPort, lifetime,
+                              transport, portPolicy);
       });
-  } else {
-    // We have data from probing the router for protocol support,
-    // so we can directly try one protocol, or return a failure Mapping
-    if (_this.protocolSupportCache.natPmp) {
-      return _this.addMappingPmp(intPort, extPort, lifetime);
-    } else if (_this.protocolSupportCache.pcp) {
-      return _this.addMappingPcp(intPort, extPort, lifetime);
-    } else if (_this.protocolSupportCache.upnp) {
-      return _this.addMappingUpnp(intPort, extPort, lifetime,
-                                  _this.protocolSupportCache.upnpControlUrl);
-    } else {
-      var failureMapping = new utils.Mapping();
-      failureMapping.errInfo = "No protocols are supported from last probe";
-      return failureMapping;
-    }
+    }, Promise.resolve());
   }
+  return adding.then(function (mapping) {
+    if (mapping.externalPort !== -1) {
+      protocolSupportCache[mapping.protocol] = true;
+    }
+    return mapping;
+  });
 };
 
 /**
@@ -95,14 +224,16 @@ PortControl.prototype.addMapping = function (intPort, extPort, lifetime) {
 * @public
 * @method deleteMapping
 * @param {number} extPort The external port of the mapping to delete
+* @param {string=} transport Optional: the transport protocol of the mapping,
+*                            'udp' (default) or 'tcp'
 * @return {Promise<boolean>} True on success, false on failure
 **/
-PortControl.prototype.deleteMapping = function (extPort) {
-  var mapping = this.activeMappings[extPort];
+PortControl.prototype.deleteMapping = function (extPort, transport) {
+  var mapping = this.activeMappings[utils.mappingKey(extPort, transport)];
   if (mapping === undefined) { 
     return Promise.resolve(false); 
   }
-  return mapping.deleter();
+  return deleteMappingChain(this, mapping);
 };
 
 /**
@@ -138,7 +269,7 @@ PortControl.prototype.probeProtocolSupport = function () {
 * @return {Promise<boolean>} A promise for a boolean
 */
 PortControl.prototype.probePmpSupport = function () {
-  return natPmp.probeSupport(this.activeMappings, this.routerIpCache);
+  return natPmp.probeSupport(this);
 };
 
 /**
@@ -150,12 +281,24 @@ PortControl.prototype.probePmpSupport = function () {
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity, i.e. a refresh every 24 hours
+* @param {string=} transport Optional: the transport protocol to map,
+*                            'udp' (default) or 'tcp'
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port
+*                                 (see addMapping())
 * @return {Promise<Mapping>} A promise for the port mapping object
 *                            Mapping.externalPort === -1 on failure
 */
-PortControl.prototype.addMappingPmp = function (intPort, extPort, lifetime) {
-  return natPmp.addMapping(intPort, extPort, lifetime, this.activeMappings,
-                           this.routerIpCache);
+PortControl.prototype.addMappingPmp = function (intPort, extPort, lifetime,
+                                                transport, portPolicy) {
+  var _this = this;
+  return natPmp.addMapping(intPort, extPort, lifetime, transport, this,
+                           portPolicy).
+      then(function (mapping) {
+        if (mapping.externalPort !== -1) {
+          _this.dispatchEvent('mappingCreated', mapping);
+        }
+        return addUpstreamMappings(_this, mapping, lifetime);
+      });
 };
 
 /**
@@ -164,14 +307,16 @@ PortControl.prototype.addMappingPmp = function (intPort, extPort, lifetime) {
 * @public
 * @method deleteMappingPmp
 * @param {number} extPort The external port of the mapping to delete
+* @param {string=} transport Optional: the transport protocol of the mapping,
+*                            'udp' (default) or 'tcp'
 * @return {Promise<boolean>} True on success, false on failure
 */
-PortControl.prototype.deleteMappingPmp = function (extPort) {
-  var mapping = this.activeMappings[extPort];
+PortControl.prototype.deleteMappingPmp = function (extPort, transport) {
+  var mapping = this.activeMappings[utils.mappingKey(extPort, transport)];
   if (mapping === undefined || mapping.protocol !== 'natPmp') { 
     return Promise.resolve(false); 
   }
-  return mapping.deleter();
+  return deleteMappingChain(this, mapping);
 };
 
 /**
@@ -181,7 +326,7 @@ PortControl.prototype.deleteMappingPmp = function (extPort) {
 * @return {Promise<boolean>} A promise for a boolean
 */
 PortControl.prototype.probePcpSupport = function () {
-  return pcp.probeSupport(this.activeMappings, this.routerIpCache);
+  return pcp.probeSupport(this);
 };
 
 /**
@@ -193,12 +338,27 @@ PortControl.prototype.probePcpSupport = function () {
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity, i.e. a refresh every 24 hours
+* @param {string=} transport Optional: the transport protocol to map,
+*                            'udp' (default) or 'tcp'
+* @param {PcpOptions=} options Optional: PCP options to send, i.e.
+*                              {thirdPartyIp, preferFailure, filters}
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port
+*                                 (see addMapping())
 * @return {Promise<Mapping>} A promise for the port mapping object 
 *                            mapping.externalPort is -1 on failure
 */
-PortControl.prototype.addMappingPcp = function (intPort, extPort, lifetime) {
-  return pcp.addMapping(intPort, extPort, lifetime, this.activeMappings,
-                        this.routerIpCache);
+PortControl.prototype.addMappingPcp = function (intPort, extPort, lifetime,
+                                                transport, options,
+                                                portPolicy) {
+  var _this = this;
+  return pcp.addMapping(intPort, extPort, lifetime, transport, this,
+                        undefined, undefined, options, portPolicy).
+      then(function (mapping) {
+        if (mapping.externalPort !== -1) {
+          _this.dispatchEvent('mappingCreated', mapping);
+        }
+        return addUpstreamMappings(_this, mapping, lifetime);
+      });
 };
 
 /**
@@ -207,13 +367,67 @@ PortControl.prototype.addMappingPcp = function (intPort, extPort, lifetime) {
 * @public
 * @method deleteMappingPcp
 * @param {number} extPort The external port of the mapping to delete
+* @param {string=} transport Optional: the transport protocol of the mapping,
+*                            'udp' (default) or 'tcp'
 * @return {Promise<boolean>} True on success, false on failure
 */
-PortControl.prototype.deleteMappingPcp = function (extPort) {
-  var mapping = this.activeMappings[extPort];
+PortControl.prototype.deleteMappingPcp = function (extPort, transport) {
+  var mapping = this.activeMappings[utils.mappingKey(extPort, transport)];
   if (mapping === undefined || mapping.protocol !== 'pcp') { 
     return Promise.resolve(false); 
   }
+  return deleteMappingChain(this, mapping);
+};
+
+/**
+* Makes an outbound mapping to a specific remote peer in the NAT with the
+* PCP PEER opcode, and automatically refreshes it like addMappingPcp()
+* @public
+* @method addPeerMapping
+* @param {number} intPort The internal port on the computer
+* @param {string} remoteIp The IP address of the remote peer
+* @param {number} remotePort The port of the remote peer
+* @param {number} lifetime Seconds that the mapping will last
+*                          0 is infinity, i.e. a refresh every 24 hours
+* @param {string=} transport Optional: the transport protocol to map,
+*                            'udp' (default) or 'tcp'
+* @param {PcpOptions=} options Optional: PCP options to send, i.e.
+*                              {thirdPartyIp}
+* @return {Promise<Mapping>} A promise for the port mapping object
+*                            mapping.externalPort is -1 on failure
+*/
+PortControl.prototype.addPeerMapping = function (intPort, remoteIp, remotePort,
+                                                 lifetime, transport, options) {
+  var _this = this;
+  return pcp.addPeerMapping(intPort, remoteIp, remotePort, lifetime, transport,
+                            this, options).
+      then(function (mapping) {
+        if (mapping.externalPort !== -1) {
+          _this.dispatchEvent('mappingCreated', mapping);
+        }
+        return mapping;
+      });
+};
+
+/**
+* Deletes a PCP PEER mapping in the NAT
+* The mapping must have a Mapping object in this.activeMappings
+* @public
+* @method deletePeerMapping
+* @param {number} extPort The external port of the mapping to delete
+* @param {string} remoteIp The IP address of the remote peer
+* @param {number} remotePort The port of the remote peer
+* @param {string=} transport Optional: the transport protocol of the mapping,
+*                            'udp' (default) or 'tcp'
+* @return {Promise<boolean>} True on success, false on failure
+*/
+PortControl.prototype.deletePeerMapping = function (extPort, remoteIp,
+                                                    remotePort, transport) {
+  var mapping = this.activeMappings[utils.mappingKey(extPort, transport,
+                                                     remoteIp, remotePort)];
+  if (mapping === undefined || mapping.protocol !== 'pcp') {
+    return Promise.resolve(false);
+  }
   return mapping.deleter();
 };
 
@@ -224,7 +438,7 @@ PortControl.prototype.deleteMappingPcp = function (extPort) {
 * @return {Promise<boolean>} A promise for a boolean
 */
 PortControl.prototype.probeUpnpSupport = function () {
-  return upnp.probeSupport(this.activeMappings);
+  return upnp.probeSupport(this);
 };
 
 /**
@@ -236,13 +450,24 @@ PortControl.prototype.probeUpnpSupport = function () {
 * @param {number} lifetime Seconds that the mapping will last
 *                          0 is infinity; a static AddPortMapping request
 * @param {string=} controlUrl Optional: a control URL for the router
+* @param {string=} transport Optional: the transport protocol to map,
+*                            'udp' (default) or 'tcp'
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port
+*                                 (see addMapping())
 * @return {Promise<Mapping>} A promise for the port mapping object 
 *                               mapping.externalPort is -1 on failure
 */
 PortControl.prototype.addMappingUpnp = function (intPort, extPort, lifetime,
-                                                 controlUrl) {
-  return upnp.addMapping(intPort, extPort, lifetime, this.activeMappings,
-                         controlUrl);
+                                                 controlUrl, transport,
+                                                 portPolicy) {
+  var _this = this;
+  return upnp.addMapping(intPort, extPort, lifetime, transport, controlUrl,
+                         this, portPolicy).then(function (mapping) {
+    if (mapping.externalPort !== -1) {
+      _this.dispatchEvent('mappingCreated', mapping);
+    }
+    return addUpstreamMappings(_this, mapping, lifetime);
+  });
 };
 
 /**
@@ -251,14 +476,16 @@ PortControl.prototype.addMappingUpnp = function (intPort, extPort, lifetime,
 * @public
 * @method deleteMappingUpnp
 * @param {number} extPort The external port of the mapping to delete
+* @param {string=} transport Optional: the transport protocol of the mapping,
+*                            'udp' (default) or 'tcp'
 * @return {Promise<boolean>} True on success, false on failure
 */
-PortControl.prototype.deleteMappingUpnp = function (extPort) {
-  var mapping = this.activeMappings[extPort];
+PortControl.prototype.deleteMappingUpnp = function (extPort, transport) {
+  var mapping = this.activeMappings[utils.mappingKey(extPort, transport)];
   if (mapping === undefined || mapping.protocol !== 'upnp') { 
     return Promise.resolve(false); 
   }
-  return mapping.deleter();
+  return deleteMappingChain(this, mapping);
 };
 
 /**
@@ -268,7 +495,156 @@ PortControl.prototype.deleteMappingUpnp = function (extPort) {
  * @return {Promise<string>} A promise for the URL, empty string if not supported
  */
 PortControl.prototype.getUpnpControlUrl = function () {
-  return upnp.getUpnpControlUrl();
+  return upnp.getUpnpControlUrl(this);
+};
+
+/**
+* Return the external IP address of the router, using the first protocol in
+* the preferred order (see setProtocolPreference()) that
+* probeProtocolSupport() or an earlier mapping found to work. If none has
+* been found yet, we try each protocol that isn't known not to work, in that
+* order, until one works
+* @public
+* @method getExternalIp
+* @return {Promise<string>} A promise for the external IP address,
+*                           rejects if no protocol worked
+*/
+PortControl.prototype.getExternalIp = function () {
+  var _this = this;
+  var protocolSupportCache = this.protocolSupportCache;
+  var order = this.protocolPreference.order;
+
+  var supported = order.filter(function (protocol) {
+    return protocolSupportCache[protocol] === true;
+  });
+  var protocols = (supported.length > 0) ? supported.slice(0, 1) :
+      order.filter(function (protocol) {
+        return protocolSupportCache[protocol] !== false;
+      });
+
+  // Try each protocol after the previous one failed
+  return protocols.reduce(function (previous, protocol) {
+    return previous.catch(function (err) {
+      return getExternalIpWith(_this, protocol);
+    });
+  }, Promise.reject(new Error('No protocols are supported from last probe')));
+};
+
+/**
+* Ask a STUN server which public IP and port a local port's packets come
+* from, i.e. our address as seen from outside every NAT
+* @public
+* @method getPublicAddress
+* @param {StunServer} stunServer The STUN server, {address, port}; the
+*                                StunServer type is defined in stun.js
+* @param {number=} localPort Optional: the local UDP port to send from,
+*                            0 (any port) by default
+* @return {Promise<PublicAddress>} A promise for {localPort, publicIp,
+*     publicPort}, which rejects if the server didn't answer
+*/
+PortControl.prototype.getPublicAddress = function (stunServer, localPort) {
+  return stun.getPublicAddress(stunServer, localPort,
+                               this.retransmission.stun);
+};
+
+/**
+* Check a local UDP port's public address with a STUN server against the
+* router's external IP and our mapping of that port, e.g. to confirm that a
+* mapping works from outside, or to find a double NAT or carrier-grade NAT
+* @public
+* @method checkPublicAddress
+* @param {StunServer} stunServer The STUN server, {address, port}
+* @param {number} localPort The local UDP port, e.g. a mapping's internal port
+* @return {Promise<PublicAddressReport>} A promise for the report (see
+*     stun.js), which rejects if the server didn't answer
+*/
+PortControl.prototype.checkPublicAddress = function (stunServer, localPort) {
+  return stun.checkPublicAddress(stunServer, localPort, this);
+};
+
+/**
+* Classify how the NAT behaves (RFC 4787), i.e. its mapping and filtering
+* behavior, hairpinning, and how long it keeps idle bindings, with the tests
+* of RFC 5780 against a STUN server that has a second IP and port. The
+* result is also kept in protocolSupportCache.natBehavior
+* @public
+* @method classifyNat
+* @param {StunServer} stunServer The STUN server, {address, port}
+* @param {{lifetimeTests: Array<number>}=} options Optional: the waits in
+*     seconds to test the binding lifetime with, e.g. [30, 60, 120]; the
+*     lifetime isn't tested by default
+* @return {Promise<NatBehavior>} A promise for the NAT's behavior (see
+*     stun.js), which rejects if the server didn't answer
+*/
+PortControl.prototype.classifyNat = function (stunServer, options) {
+  return stun.classifyNat(stunServer, options, this);
+};
+
+/**
+* List the port mappings on the router with UPnP GetGenericPortMappingEntry,
+* including ones made by other hosts or programs, e.g. to find conflicts
+* before mapping a port
+* @public
+* @method listRouterMappings
+* @return {Promise<Array<RouterMapping>>} A promise for the router's mappings,
+*                                         rejects if UPnP is not supported
+*/
+PortControl.prototype.listRouterMappings = function () {
+  return upnp.listRouterMappings(this.protocolSupportCache.upnpControlUrl,
+                                 this);
+};
+
+/**
+* Start listening for unsolicited announcements from routers, i.e. PCP ANNOUNCE
+* and NAT-PMP external IP announcements, which routers multicast to
+* 224.0.0.1:5350 after they restart or their external IP changes.
+* The affected mappings are refreshed right away, and changes to the external
+* IP are emitted as externalIpChanged events
+* @public
+* @method listenForAnnouncements
+* @return {Promise<boolean>} A promise for true if we're listening,
+*                            false if we couldn't bind to port 5350
+*/
+PortControl.prototype.listenForAnnouncements = function () {
+  var _this = this;
+  if (this.announcementSocket !== undefined) { return Promise.resolve(true); }
+
+  // 224.0.0.1 is the all-hosts group, so we don't need to join it; we only
+  // need to bind to the port that announcements are sent to
+  var socket = utils.createUdpSocket();
+  socket.on('onData', function (announcement) {
+    // The version field tells us which protocol the announcement is from;
+    // packets too short to have one are dropped, and the protocol modules
+    // drop any other malformed ones
+    if (announcement.data.byteLength === 0) { return; }
+    var version = new DataView(announcement.data).getUint8(0);
+    if (version === 0) {
+      natPmp.handleAnnouncement(announcement.data, announcement.address, _this);
+    } else if (version === 2) {
+      pcp.handleAnnouncement(announcement.data, announcement.address, _this);
+    }
+  });
+
+  return socket.bind('0.0.0.0', 5350).then(function () {
+    _this.announcementSocket = socket;
+    return true;
+  }).catch(function (err) {
+    utils.closeSocket(socket);
+    return false;
+  });
+};
+
+/**
+* Stop listening for announcements from routers
+* @public
+* @method stopListeningForAnnouncements
+*/
+PortControl.prototype.stopListeningForAnnouncements = function () {
+  if (this.announcementSocket !== undefined) {
+    utils.closeSocket(this.announcementSocket);
+    this.announcementSocket = undefined;
+  }
+  return Promise.resolve();
 };
 
 /**
@@ -281,6 +657,128 @@ PortControl.prototype.getActiveMappings = function () {
   return Promise.resolve(this.activeMappings);
 };
 
+/**
+* Return this instance's state, to inspect it or to share some of it with
+* another PortControl (see the constructor); these are the objects that this
+* instance uses, not copies
+* @public
+* @method getState
+* @return {Promise<PortControlState>} A promise for the state
+*/
+PortControl.prototype.getState = function () {
+  var _this = this;
+  var state = {};
+  Object.keys(createState()).forEach(function (name) {
+    state[name] = _this[name];
+  });
+  return Promise.resolve(state);
+};
+
+/**
+* Forget this instance's mappings and caches, and stop refreshing its
+* mappings, without deleting them from the router (use close() for that);
+* they expire at the end of their current lifetime. State that was shared
+* with other instances is left to them, and this instance gets its own again.
+* Also stops listening for announcements from routers, which would refresh
+* the forgotten mappings
+* @public
+* @method reset
+*/
+PortControl.prototype.reset = function () {
+  var _this = this;
+  this.stopListeningForAnnouncements();
+  if (this.sharedState.indexOf('activeMappings') === -1) {
+    Object.keys(this.activeMappings).forEach(function (key) {
+      clearTimeout(_this.activeMappings[key].timeoutId);
+    });
+  }
+
+  var state = createState();
+  Object.keys(state).forEach(function (name) {
+    _this[name] = state[name];
+  });
+  this.sharedState = [];
+};
+
+/**
+* Set the router IPs to send NAT-PMP and PCP requests to before any others,
+* e.g. a default gateway that the app already knows; this replaces the IPs
+* from any previous call
+* @public
+* @method setRouterIps
+* @param {Array<string>} routerIps The router IPs, IPv4 or IPv6
+*/
+PortControl.prototype.setRouterIps = function (routerIps) {
+  this.userRouterIps = routerIps.slice();
+};
+
+/**
+* Change when NAT-PMP, PCP and STUN requests are retransmitted, e.g. to give
+* up sooner on a network without a NAT-PMP router; fields that are left out
+* keep their current values
+* @public
+* @method setRetransmission
+* @param {{natPmp: Object=, pcp: Object=, stun: Object=}} retransmission Any
+*     of the fields of a Retransmission (see utils.js) for each protocol
+*/
+PortControl.prototype.setRetransmission = function (retransmission) {
+  var current = this.retransmission;
+  var updated = {};
+  Object.keys(current).forEach(function (protocol) {
+    var changes = retransmission[protocol] || {};
+    updated[protocol] = {};
+    Object.keys(current[protocol]).forEach(function (field) {
+      updated[protocol][field] = changes.hasOwnProperty(field) ?
+          changes[field] : current[protocol][field];
+    });
+  });
+  this.retransmission = updated;
+};
+
+/**
+* Change which protocols addMapping() tries, and how, while it hasn't found
+* one that works (see addMapping()), and the order that getExternalIp() tries
+* them in; fields that are left out keep their current values
+* @public
+* @method setProtocolPreference
+* @param {{order: Array<string>=, race: boolean=, stagger: number=}}
+*     preference The protocols to try in order, any of 'natPmp', 'pcp' and
+*     'upnp'; whether to race them; and how many milliseconds to wait between
+*     starting each one in a race
+* @throws {Error} If the order has an unknown protocol
+*/
+PortControl.prototype.setProtocolPreference = function (preference) {
+  var current = this.protocolPreference;
+  var order = preference.order || current.order;
+  order.forEach(function (protocol) {
+    if (PROTOCOLS.indexOf(protocol) === -1) {
+      throw new Error('Unknown protocol: ' + protocol);
+    }
+  });
+  this.protocolPreference = {
+    order: order.slice(),
+    race: preference.hasOwnProperty('race') ? preference.race : current.race,
+    stagger: preference.hasOwnProperty('stagger') ? preference.stagger :
+                                                    current.stagger
+  };
+};
+
+/**
+* Return the shared list of likely gateways that NAT-PMP, PCP and UPnP use,
+* i.e. the caller's router IPs, routers that have answered before, UPnP SSDP
+* responders, and guesses from the subnets of the computer's private IPs
+* @public
+* @method getGatewayIps
+* @return {Promise<Array<string>>} A promise for the gateway IPs, most likely
+*                                  first
+*/
+PortControl.prototype.getGatewayIps = function () {
+  var _this = this;
+  return utils.getPrivateIps().then(function (privateIps) {
+    return utils.getGatewayIps(_this, privateIps);
+  });
+};
+
 /**
 * Return the router IP cache
 * @public
@@ -313,29 +811,261 @@ PortControl.prototype.getPrivateIps = function () {
 };
 
 /**
-* Deletes all the currently active port mappings
+* Deletes all the currently active port mappings,
+* and stops listening for announcements from routers
 * @public
 * @method close
 */
 PortControl.prototype.close = function () {
   var _this = this;
+  this.stopListeningForAnnouncements();
 
   return new Promise(function (F, R) {
-    // Get all the keys (extPorts) of activeMappings
-    var extPorts = [];
-    for (var extPort in _this.activeMappings) {
-      if (_this.activeMappings.hasOwnProperty(extPort)) {
-        extPorts.push(extPort);
+    // Get all the Mappings in activeMappings
+    var mappings = [];
+    for (var key in _this.activeMappings) {
+      if (_this.activeMappings.hasOwnProperty(key)) {
+        mappings.push(_this.activeMappings[key]);
       }
     }
 
     // Delete them all
-    Promise.all(extPorts.map(_this.deleteMapping.bind(_this))).then(function () {
+    Promise.all(mappings.map(function (mapping) {
+      return mapping.deleter();
+    })).then(function () {
       F();
     });
   });
 };
 
+/**
+* The most NATs that we chain a mapping through, counting our own gateway
+*/
+var MAX_NAT_DEPTH = 3;
+
+/**
+* Chain a new mapping through the NAT in front of each of its gateways whose
+* external IP is private, i.e. a double NAT such as a home router behind an
+* ISP's router or a carrier-grade NAT: map the gateway's external port on the
+* next NAT out, with PCP, or else with UPnP if our SSDP search found a UPnP
+* router there, and so on out to MAX_NAT_DEPTH NATs. Upstream mappings are
+* kept in activeMappings and refreshed like any other mapping
+* @private
+* @method addUpstreamMappings
+* @param {PortControl} portControl The PortControl instance
+* @param {Mapping} mapping The new mapping
+* @param {number} lifetime The lifetime that was requested for the mapping
+* @param {number=} depth Optional: how many NATs the mapping goes through, 1
+*                        by default
+* @return {Promise<Mapping>} A promise for the mapping, with the upstream
+*                            mappings that chain it in upstreamMappings
+*/
+var addUpstreamMappings = function (portControl, mapping, lifetime, depth) {
+  depth = depth || 1;
+  if (mapping.externalPort === -1 || depth >= MAX_NAT_DEPTH) {
+    return Promise.resolve(mapping);
+  }
+  var gatewayIps = mapping.gateways.map(function (gateway) {
+    return gateway.routerIp;
+  });
+  var natGateways = mapping.gateways.filter(function (gateway) {
+    return gateway.externalIp !== undefined &&
+           utils.isPrivateIp(gateway.externalIp);
+  });
+
+  return Promise.all(natGateways.map(function (gateway) {
+    var port = gateway.externalPort;
+    var routerIps = utils.getUpstreamRouterIps(portControl, gateway.externalIp,
+                                               gatewayIps);
+    return pcp.addMapping(port, port, lifetime, mapping.transport, portControl,
+                          undefined, undefined, undefined, undefined,
+                          {clientIp: gateway.externalIp, routerIps: routerIps}).
+        then(function (upstreamMapping) {
+          var controlUrl = upnp.getControlUrls(routerIps, portControl)[0];
+          if (upstreamMapping.externalPort !== -1 || controlUrl === undefined) {
+            return upstreamMapping;
+          }
+          return upnp.addMapping(port, port, lifetime, mapping.transport,
+                                 undefined, portControl, undefined,
+                                 {clientIp: gateway.externalIp,
+                                  controlUrl: controlUrl});
+        }).then(function (upstreamMapping) {
+          if (upstreamMapping.externalPort === -1) { return undefined; }
+          portControl.dispatchEvent('mappingCreated', upstreamMapping);
+          return addUpstreamMappings(portControl, upstreamMapping, lifetime,
+                                     depth + 1);
+        });
+  })).then(function (upstreamMappings) {
+    mapping.upstreamMappings = upstreamMappings.filter(function (upstream) {
+      return upstream !== undefined;
+    });
+    return mapping;
+  });
+};
+
+/**
+* Delete a mapping along with the upstream mappings that chain it through
+* nested NATs (see addUpstreamMappings()), which we find in activeMappings
+* since a refresh replaces the Mapping object
+* @private
+* @method deleteMappingChain
+* @param {PortControl} portControl The PortControl instance
+* @param {Mapping} mapping The mapping to delete
+* @return {Promise<boolean>} Whether the mapping itself was deleted
+*/
+var deleteMappingChain = function (portControl, mapping) {
+  var activeMappings = portControl.activeMappings;
+  var upstreamMappings = Object.keys(activeMappings).map(function (key) {
+    return activeMappings[key];
+  }).filter(function (upstreamMapping) {
+    return upstreamMapping.transport === mapping.transport &&
+           mapping.gateways.some(function (gateway) {
+             return upstreamMapping.upstreamClientIp === gateway.externalIp &&
+                    upstreamMapping.internalPort === gateway.externalPort;
+           });
+  });
+
+  return Promise.all([mapping.deleter()].concat(
+      upstreamMappings.map(function (upstreamMapping) {
+        return deleteMappingChain(portControl, upstreamMapping);
+      }))).then(function (deleted) { return deleted[0]; });
+};
+
+/**
+* Add a mapping with one protocol, through its addMapping method
+* @private
+* @method addMappingWith
+* @param {PortControl} portControl The PortControl instance
+* @param {string} protocol 'natPmp', 'pcp' or 'upnp'
+* @param {number} intPort The internal port on the computer to map to
+* @param {number} extPort The external port on the router to map to
+* @param {number} lifetime Seconds that the mapping will last
+* @param {string=} transport Optional: the transport protocol to map
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port
+* @return {Promise<Mapping>} A promise for the port mapping object
+*/
+var addMappingWith = function (portControl, protocol, intPort, extPort,
+                               lifetime, transport, portPolicy) {
+  if (protocol === 'natPmp') {
+    return portControl.addMappingPmp(intPort, extPort, lifetime, transport,
+                                     portPolicy);
+  } else if (protocol === 'pcp') {
+    return portControl.addMappingPcp(intPort, extPort, lifetime, transport,
+                                     undefined, portPolicy);
+  }
+  return portControl.addMappingUpnp(
+      intPort, extPort, lifetime,
+      portControl.protocolSupportCache.upnpControlUrl, transport, portPolicy);
+};
+
+/**
+* Get the router's external IP with one protocol
+* @private
+* @method getExternalIpWith
+* @param {PortControl} portControl The PortControl instance
+* @param {string} protocol 'natPmp', 'pcp' or 'upnp'
+* @return {Promise<string>} A promise for the external IP address
+*/
+var getExternalIpWith = function (portControl, protocol) {
+  if (protocol === 'natPmp') {
+    return natPmp.getExternalIp(portControl);
+  } else if (protocol === 'pcp') {
+    return pcp.getExternalIp(portControl);
+  }
+  return upnp.getExternalIp(portControl.protocolSupportCache.upnpControlUrl,
+                            portControl);
+};
+
+/**
+* Start adding a mapping with each protocol, each some milliseconds after the
+* previous one, and fulfill with the first one that works. Protocols that
+* haven't started when one works aren't tried, and the mappings of the ones
+* that work later are discarded; if none work, fulfill with the last failure,
+* where an attempt that rejects counts as a failed mapping
+* @private
+* @method raceProtocols
+* @param {PortControl} portControl The PortControl instance
+* @param {Array<string>} protocols The protocols, in the order to start them
+* @param {number} intPort The internal port on the computer to map to
+* @param {number} extPort The external port on the router to map to
+* @param {number} lifetime Seconds that the mapping will last
+* @param {string=} transport Optional: the transport protocol to map
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port
+* @return {Promise<Mapping>} A promise for the port mapping object
+*/
+var raceProtocols = function (portControl, protocols, intPort, extPort,
+                              lifetime, transport, portPolicy) {
+  var winner;
+  var remaining = protocols.length;
+
+  return new Promise(function (F, R) {
+    protocols.forEach(function (protocol, i) {
+      setTimeout(function () {
+        if (winner !== undefined) {
+          remaining--;
+          return;
+        }
+        addMappingWith(portControl, protocol, intPort, extPort, lifetime,
+                       transport, portPolicy).catch(function (err) {
+          var failure = new utils.Mapping();
+          failure.internalPort = intPort;
+          failure.protocol = protocol;
+          failure.transport = transport;
+          failure.errInfo = err.message;
+          return failure;
+        }).then(function (mapping) {
+          remaining--;
+          if (mapping.externalPort === -1) {
+            if (remaining === 0 && winner === undefined) { F(mapping); }
+          } else if (winner === undefined) {
+            winner = mapping;
+            F(mapping);
+          } else {
+            discardMapping(portControl, mapping, winner);
+          }
+        });
+      }, i * portControl.protocolPreference.stagger);
+    });
+  });
+};
+
+/**
+* Discard a mapping that lost a race. If it has the winner's external port,
+* it may be the winner's mapping itself, on routers that keep one redirect
+* table for every protocol, so we only stop refreshing it and put the winner
+* back in activeMappings; otherwise we delete it from the router
+* @private
+* @method discardMapping
+* @param {PortControl} portControl The PortControl instance
+* @param {Mapping} mapping The mapping to discard
+* @param {Mapping} winner The mapping to keep
+* @return {Promise<boolean>} True if the mapping was deleted from the router
+*/
+var discardMapping = function (portControl, mapping, winner) {
+  if (mapping.externalPort === winner.externalPort) {
+    var key = utils.mappingKey(winner.externalPort, winner.transport);
+    clearTimeout(mapping.timeoutId);
+    if (portControl.activeMappings[key] === mapping) {
+      portControl.activeMappings[key] = winner;
+    }
+    return Promise.resolve(false);
+  }
+  return deleteMappingChain(portControl, mapping);
+};
+
+/**
+* Set the network transport that every PortControl sends its requests through
+* (see transport.js); the default is freedom's in a freedom.js module, and
+* Node's dgram, http and os modules otherwise
+* @public
+* @static
+* @method setTransport
+* @param {Transport} newTransport The transport
+*/
+PortControl.setTransport = transport.setTransport;
+
 if (typeof freedom !== 'undefined') {
   freedom().providePromises(PortControl);
 }
+
+module.exports = PortControl;
@@ -0,0 +1,667 @@
+/**
+* A STUN (RFC 5389) Binding client, which asks a STUN server outside the NAT
+* which public IP and port a local socket's packets come from. Comparing that
+* with what the router reports tells us if a mapping works from outside, and
+* if there's another NAT (e.g. a carrier-grade NAT) beyond the router.
+* With a server that has a second address, it also classifies the NAT's
+* behavior (RFC 4787) with the tests of RFC 5780
+*/
+var utils = require('./utils');
+var ipaddr = require('ipaddr.js');
+
+/**
+* The default Retransmission schedule of STUN requests (see utils.js):
+* RFC 5389 retransmits after 500 ms, doubling the wait each time, for up to
+* 7 attempts, and waits 16 times the initial interval after the last one
+* https://tools.ietf.org/html/rfc5389#section-7.2.1
+*/
+var RETRANSMISSION = {
+  initialInterval: 500,
+  maxInterval: 0,
+  maxAttempts: 7,
+  deadline: 39500,
+  jitter: 0
+};
+
+/**
+* The STUN port that servers listen on by default
+*/
+var DEFAULT_PORT = 3478;
+
+/**
+* The magic cookie that every STUN message carries after its length
+* https://tools.ietf.org/html/rfc5389#section-6
+*/
+var MAGIC_COOKIE = 0x2112a442;
+
+/**
+* STUN message types of the Binding method
+*/
+var BINDING_REQUEST = 0x0001;
+var BINDING_SUCCESS = 0x0101;
+var BINDING_ERROR = 0x0111;
+
+/**
+* STUN attribute types (https://tools.ietf.org/html/rfc5389#section-18.2)
+*/
+var ATTR_MAPPED_ADDRESS = 0x0001;
+var ATTR_ERROR_CODE = 0x0009;
+var ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+
+/**
+* STUN attribute types for NAT behavior discovery
+* https://tools.ietf.org/html/rfc5780#section-9.1
+*/
+var ATTR_CHANGE_REQUEST = 0x0003;
+var ATTR_RESPONSE_PORT = 0x0027;
+var ATTR_OTHER_ADDRESS = 0x802c;
+
+/**
+* Flags of CHANGE-REQUEST (https://tools.ietf.org/html/rfc5780#section-7.2)
+*/
+var CHANGE_IP = 0x4;
+var CHANGE_PORT = 0x2;
+
+/**
+* A STUN server
+* @typedef {Object} StunServer
+* @property {string} address The server's IP address
+* @property {number=} port Optional: the server's port, 3478 by default
+*/
+
+/**
+* A decoded STUN message
+* @typedef {Object} StunMessage
+* @property {number} messageType The message type, e.g. 0x0101 for a Binding
+*                                success response
+* @property {Array<number>} transactionId The 96-bit transaction ID, as three
+*                                         32-bit numbers
+* @property {string} mappedIp The public IP that the server saw, from
+*                             XOR-MAPPED-ADDRESS or else MAPPED-ADDRESS
+* @property {number} mappedPort The public port that the server saw
+* @property {string} otherIp The server's other IP, from OTHER-ADDRESS
+* @property {number} otherPort The server's other port, from OTHER-ADDRESS
+* @property {number} errorCode The error code of an error response
+* @property {string} errorReason The reason phrase of an error response
+*/
+
+/**
+* What a STUN server saw of a local socket
+* @typedef {Object} PublicAddress
+* @property {number} localPort The port that the socket was bound to,
+*                              0 for any port
+* @property {string} publicIp The public IP that the server saw
+* @property {number} publicPort The public port that the server saw
+*/
+
+/**
+* A PublicAddress, compared with what the router reports
+* @typedef {Object} PublicAddressReport
+* @property {number} localPort The port that the socket was bound to
+* @property {string} publicIp The public IP that the STUN server saw
+* @property {number} publicPort The public port that the STUN server saw
+* @property {string} routerExternalIp The external IP that the router reports,
+*                                     or undefined if we couldn't get it
+* @property {number} routerExternalPort The external port of our mapping of
+*                                       localPort, or undefined if there's none
+* @property {boolean} mappingWorks Whether packets from the mapping reach the
+*     outside on the mapping's external IP and port (of the last NAT that we
+*     chained it through), or undefined if there's no mapping of localPort
+* @property {boolean} doubleNat Whether there's a NAT beyond the router, i.e.
+*     the router's external IP is private or isn't the one the server saw
+* @property {boolean} cgnat Whether the router's external IP is in the shared
+*     address space that carrier-grade NATs use (RFC 6598)
+*/
+
+/**
+* Optional attributes of a Binding request
+* @typedef {Object} BindingAttributes
+* @property {boolean=} changeIp Ask the server to answer from its other IP
+* @property {boolean=} changePort Ask the server to answer from its other port
+* @property {number=} responsePort Ask the server to answer to this port
+*/
+
+/**
+* How the NAT behaves, as RFC 4787 describes it. Mapping and filtering
+* behaviors are 'endpoint-independent', 'address-dependent' or
+* 'address-and-port-dependent'
+* @typedef {Object} NatBehavior
+* @property {string} publicIp The public IP that the server saw
+* @property {number} publicPort The public port that the server saw
+* @property {boolean} natDetected Whether the public IP isn't one of ours
+* @property {string} mapping Whether the NAT keeps the same public address for
+*     packets to other servers, or undefined if the server has no other address
+* @property {string} filtering Which servers' packets the NAT lets in after we
+*     send to one, or undefined if the server has no other address
+* @property {boolean} hairpinning Whether the NAT delivers packets that we send
+*     to our own public address
+* @property {number} bindingLifetime The longest of the waits in lifetimeTests
+*     that an idle binding survived, 0 if none, or undefined if not tested
+* @property {string} errInfo Why some of the tests couldn't run, if they
+*                            couldn't
+*/
+
+/**
+* Ask a STUN server which public IP and port a local port's packets come from
+* @public
+* @method getPublicAddress
+* @param {StunServer} server The STUN server
+* @param {number=} localPort Optional: the local port to send from,
+*                            0 (any port) by default
+* @param {Retransmission} retransmission When to retransmit the request
+* @return {Promise<PublicAddress>} A promise for the public address, which
+*                                  rejects if the server didn't answer
+*/
+var getPublicAddress = function (server, localPort, retransmission) {
+  localPort = localPort || 0;
+  return openStunSocket(server.address, localPort, {}).then(function (socket) {
+    return socket.request(server, {}, retransmission).then(function (response) {
+      socket.close();
+      return {
+        localPort: localPort,
+        publicIp: response.mappedIp,
+        publicPort: response.mappedPort
+      };
+    }, function (err) {
+      socket.close();
+      return Promise.reject(err);
+    });
+  });
+};
+
+/**
+* Ask a STUN server for the public address of a local port, and compare it
+* with the router's external IP and our mapping of that port, if we have one
+* @public
+* @method checkPublicAddress
+* @param {StunServer} server The STUN server
+* @param {number} localPort The local port to check, e.g. a mapping's
+*                           internal port
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, routerIpCache, etc.
+* @return {Promise<PublicAddressReport>} A promise for the report, which
+*                                        rejects if the server didn't answer
+*/
+var checkPublicAddress = function (server, localPort, portControl) {
+  var mapping = findUdpMapping(portControl.activeMappings, localPort);
+
+  // Without a mapping, ask the router for its external IP
+  var getRouterIp = (mapping !== undefined) ?
+      Promise.resolve(mapping.externalIp) :
+      portControl.getExternalIp().catch(function (err) { return undefined; });
+
+  return Promise.all([
+    getPublicAddress(server, localPort, portControl.retransmission.stun),
+    getRouterIp
+  ]).then(function (results) {
+    var report = results[0];
+    var routerIp = results[1];
+    report.routerExternalIp = routerIp;
+    report.routerExternalPort = mapping && mapping.externalPort;
+
+    // The last NAT that the mapping is chained through is the one that the
+    // server sees our packets come from
+    if (mapping !== undefined) {
+      var outerMapping = mapping;
+      while (outerMapping.upstreamMappings !== undefined &&
+             outerMapping.upstreamMappings.length > 0) {
+        outerMapping = outerMapping.upstreamMappings[0];
+      }
+      report.mappingWorks = outerMapping.externalIp !== undefined &&
+          utils.isSameIp(report.publicIp, outerMapping.externalIp) &&
+          report.publicPort === outerMapping.externalPort;
+    }
+    report.doubleNat = routerIp !== undefined &&
+        (utils.isPrivateIp(routerIp) ||
+         !utils.isSameIp(report.publicIp, routerIp));
+    report.cgnat = routerIp !== undefined && utils.isCgnIp(routerIp);
+    return report;
+  });
+};
+
+/**
+* Classify the NAT's mapping and filtering behavior, hairpinning and binding
+* lifetime with the tests of RFC 5780, against a STUN server that has a
+* second IP and port. Tests that wait for a response that the NAT filters
+* out take as long as the STUN Retransmission schedule, so this can take a
+* couple of minutes by default
+* https://tools.ietf.org/html/rfc5780#section-4
+* @public
+* @method classifyNat
+* @param {StunServer} server The STUN server
+* @param {{lifetimeTests: Array<number>}=} options Optional: the waits in
+*     seconds to test how long an idle binding lasts, none by default
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  protocolSupportCache, retransmission, etc.
+* @return {Promise<NatBehavior>} A promise for the NAT's behavior, which
+*                                rejects if the server didn't answer
+*/
+var classifyNat = function (server, options, portControl) {
+  var lifetimeTests = (options && options.lifetimeTests) || [];
+  var retransmission = portControl.retransmission.stun;
+  var serverPort = server.port || DEFAULT_PORT;
+  // The sockets of all the tests share their transactions, so that a test can
+  // look for a response or a request on another test's socket
+  var transactions = {};
+  var sockets = [];
+  var behavior = {};
+
+  // Open a socket on any local port
+  function _openSocket() {
+    return openStunSocket(server.address, 0, transactions).
+        then(function (socket) {
+          sockets.push(socket);
+          return socket;
+        });
+  }
+
+  // Resolve to whether a request got an answer, rather than rejecting
+  function _isAnswered(request) {
+    return request.then(function () { return true; },
+                        function (err) { return false; });
+  }
+
+  // Return whether two responses have the same mapped address
+  function _isSameAddress(responseA, responseB) {
+    return utils.isSameIp(responseA.mappedIp, responseB.mappedIp) &&
+           responseA.mappedPort === responseB.mappedPort;
+  }
+
+  // Mapping tests II and III: send from the same socket to the server's
+  // other IP, then to its other IP and port, and compare the mapped addresses
+  // https://tools.ietf.org/html/rfc5780#section-4.3
+  function _testMapping(socket, response, otherAddress) {
+    return socket.request({address: otherAddress.address, port: serverPort},
+                          {}, retransmission).
+        then(function (responseII) {
+          if (_isSameAddress(responseII, response)) {
+            return 'endpoint-independent';
+          }
+          return socket.request(otherAddress, {}, retransmission).
+              then(function (responseIII) {
+                return _isSameAddress(responseIII, responseII) ?
+                    'address-dependent' : 'address-and-port-dependent';
+              });
+        }).catch(function (err) { return undefined; });
+  }
+
+  // Filtering tests II and III: from a socket that has only sent to the
+  // server's primary address, ask for an answer from its other IP and port,
+  // then from only its other port
+  // https://tools.ietf.org/html/rfc5780#section-4.4
+  function _testFiltering() {
+    return _openSocket().then(function (socket) {
+      return socket.request(server, {}, retransmission).then(function () {
+        return _isAnswered(socket.request(
+            server, {changeIp: true, changePort: true}, retransmission, true));
+      }).then(function (answeredII) {
+        if (answeredII) { return 'endpoint-independent'; }
+        return _isAnswered(socket.request(server, {changePort: true},
+                                          retransmission, true)).
+            then(function (answeredIII) {
+              return answeredIII ? 'address-dependent' :
+                                   'address-and-port-dependent';
+            });
+      });
+    }).catch(function (err) { return undefined; });
+  }
+
+  // Send a request from another socket to our public address, and see if it
+  // arrives on the socket that has that address
+  // https://tools.ietf.org/html/rfc5780#section-4.5
+  function _testHairpinning(response) {
+    return _openSocket().then(function (socket) {
+      return _isAnswered(socket.request(
+          {address: response.mappedIp, port: response.mappedPort}, {},
+          retransmission, true));
+    }).catch(function (err) { return undefined; });
+  }
+
+  // Let a binding idle for a wait, then ask the server to answer another
+  // socket's request to the binding's public port, and see if it arrives
+  // https://tools.ietf.org/html/rfc5780#section-4.6
+  function _testBindingLifetime(wait) {
+    return _openSocket().then(function (socket) {
+      return socket.request(server, {}, retransmission);
+    }).then(function (response) {
+      return new Promise(function (F, R) {
+        setTimeout(F, wait*1000);
+      }).then(_openSocket).then(function (socket) {
+        return _isAnswered(socket.request(
+            server, {responsePort: response.mappedPort}, retransmission,
+            true));
+      });
+    }).catch(function (err) { return false; });
+  }
+
+  // Test I: our public address, and the server's other address
+  // https://tools.ietf.org/html/rfc5780#section-4.2
+  return _openSocket().then(function (socket) {
+    return socket.request(server, {}, retransmission).
+        then(function (response) {
+          behavior.publicIp = response.mappedIp;
+          behavior.publicPort = response.mappedPort;
+          var otherAddress;
+          if (response.otherIp !== undefined) {
+            otherAddress = {address: response.otherIp,
+                            port: response.otherPort};
+          } else {
+            behavior.errInfo = 'STUN server has no OTHER-ADDRESS';
+          }
+          return Promise.all([
+            utils.getPrivateIps(),
+            otherAddress && _testMapping(socket, response, otherAddress),
+            otherAddress && _testFiltering(),
+            _testHairpinning(response),
+            Promise.all(lifetimeTests.map(_testBindingLifetime))
+          ]);
+        });
+  }).then(function (results) {
+    behavior.natDetected = !results[0].some(function (privateIp) {
+      return utils.isSameIp(privateIp, behavior.publicIp);
+    });
+    behavior.mapping = results[1];
+    behavior.filtering = results[2];
+    behavior.hairpinning = results[3];
+    if (lifetimeTests.length > 0) {
+      behavior.bindingLifetime = 0;
+      results[4].forEach(function (survived, i) {
+        if (survived) {
+          behavior.bindingLifetime = Math.max(behavior.bindingLifetime,
+                                              lifetimeTests[i]);
+        }
+      });
+    }
+    sockets.forEach(function (socket) { socket.close(); });
+    portControl.protocolSupportCache.natBehavior = behavior;
+    return behavior;
+  }, function (err) {
+    sockets.forEach(function (socket) { socket.close(); });
+    return Promise.reject(err);
+  });
+};
+
+/**
+* Return our UDP mapping of an internal port in activeMappings, leaving out
+* the mappings that chain others through upstream NATs
+* @private
+* @method findUdpMapping
+* @param {Object<string, Mapping>} activeMappings The active mappings
+* @param {number} intPort The internal port
+* @return {Mapping} The mapping, or undefined if there's none
+*/
+var findUdpMapping = function (activeMappings, intPort) {
+  for (var key in activeMappings) {
+    if (activeMappings.hasOwnProperty(key)) {
+      var mapping = activeMappings[key];
+      if (mapping.internalPort === intPort && mapping.transport === 'udp' &&
+          mapping.upstreamClientIp === undefined &&
+          mapping.remoteIp === undefined) {
+        return mapping;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+* Encode a STUN Binding request, with the CHANGE-REQUEST and RESPONSE-PORT
+* attributes of RFC 5780 if they're asked for
+* https://tools.ietf.org/html/rfc5389#section-6
+* @public
+* @method encodeBindingRequest
+* @param {Array<number>} transactionId The 96-bit transaction ID, as three
+*                                      32-bit numbers
+* @param {BindingAttributes=} attributes Optional: attributes to add
+* @return {ArrayBuffer} The request packet
+*/
+var encodeBindingRequest = function (transactionId, attributes) {
+  attributes = attributes || {};
+  var matrix = [
+    [16, 0, BINDING_REQUEST],
+    [32, 4, MAGIC_COOKIE],
+    [32, 8, transactionId[0]],
+    [32, 12, transactionId[1]],
+    [32, 16, transactionId[2]]
+  ];
+  var length = 0;
+  if (attributes.changeIp || attributes.changePort) {
+    matrix.push([16, 20 + length, ATTR_CHANGE_REQUEST],
+                [16, 22 + length, 4],
+                [32, 24 + length, (attributes.changeIp ? CHANGE_IP : 0) |
+                                  (attributes.changePort ? CHANGE_PORT : 0)]);
+    length += 8;
+  }
+  if (attributes.responsePort !== undefined) {
+    matrix.push([16, 20 + length, ATTR_RESPONSE_PORT],
+                [16, 22 + length, 4],
+                [16, 24 + length, attributes.responsePort]);
+    length += 8;
+  }
+  matrix.push([16, 2, length]);
+  return utils.createArrayBuffer(20 + length, matrix);
+};
+
+/**
+* Decode a STUN message, and the address and error attributes of a Binding
+* response; other attributes are skipped
+* https://tools.ietf.org/html/rfc5389#section-15
+* @public
+* @method decodeMessage
+* @param {ArrayBuffer} buffer The message
+* @return {StunMessage} The decoded message
+* @throws {Error} If the packet isn't a well-formed STUN message
+*/
+var decodeMessage = function (buffer) {
+  var view = new DataView(buffer);
+  if (buffer.byteLength < 20 || (view.getUint8(0) & 0xc0) !== 0 ||
+      view.getUint32(4) !== MAGIC_COOKIE) {
+    throw new Error('Not a STUN message');
+  } else if (view.getUint16(2) !== buffer.byteLength - 20 ||
+             buffer.byteLength % 4 !== 0) {
+    throw new Error('STUN message has length ' + buffer.byteLength);
+  }
+
+  var message = {
+    messageType: view.getUint16(0),
+    transactionId: [view.getUint32(8), view.getUint32(12),
+                    view.getUint32(16)]
+  };
+
+  // Read the attributes, each padded to a multiple of 4 bytes
+  var offset = 20;
+  while (offset + 4 <= buffer.byteLength) {
+    var type = view.getUint16(offset);
+    var length = view.getUint16(offset + 2);
+    var start = offset + 4;
+    if (start + length > buffer.byteLength) {
+      throw new Error('STUN attribute ' + type + ' is too long');
+    }
+
+    if (type === ATTR_XOR_MAPPED_ADDRESS) {
+      var xorAddress = decodeAddress(buffer, start, length, message);
+      message.mappedIp = xorAddress.ip;
+      message.mappedPort = xorAddress.port;
+    } else if (type === ATTR_MAPPED_ADDRESS && message.mappedIp === undefined) {
+      var address = decodeAddress(buffer, start, length);
+      message.mappedIp = address.ip;
+      message.mappedPort = address.port;
+    } else if (type === ATTR_OTHER_ADDRESS) {
+      var otherAddress = decodeAddress(buffer, start, length);
+      message.otherIp = otherAddress.ip;
+      message.otherPort = otherAddress.port;
+    } else if (type === ATTR_ERROR_CODE && length >= 4) {
+      message.errorCode = (view.getUint8(start + 2) & 0x7)*100 +
+                          view.getUint8(start + 3);
+      message.errorReason = utils.arrayBufferToString(
+          buffer.slice(start + 4, start + length));
+    }
+    offset = start + 4*Math.ceil(length/4);
+  }
+  return message;
+};
+
+/**
+* Decode the value of an address attribute, e.g. MAPPED-ADDRESS; the address
+* of XOR-MAPPED-ADDRESS is XORed with the magic cookie and transaction ID
+* https://tools.ietf.org/html/rfc5389#section-15.2
+* @private
+* @method decodeAddress
+* @param {ArrayBuffer} buffer The message
+* @param {number} offset The byte offset of the attribute's value
+* @param {number} length The length of the attribute's value
+* @param {StunMessage=} xorMessage Optional: the message whose transaction ID
+*                                  the address is XORed with
+* @return {{ip: string, port: number}} The address
+* @throws {Error} If the family or length is invalid
+*/
+var decodeAddress = function (buffer, offset, length, xorMessage) {
+  var view = new DataView(buffer);
+  var family = view.getUint8(offset + 1);
+  if (!((family === 1 && length === 8) || (family === 2 && length === 20))) {
+    throw new Error('STUN address attribute has family ' + family +
+                    ' and length ' + length);
+  }
+
+  var port = view.getUint16(offset + 2);
+  var words = [];
+  for (var i = 0; i < length/4 - 1; i++) {
+    words.push(view.getUint32(offset + 4 + 4*i));
+  }
+  if (xorMessage !== undefined) {
+    var mask = [MAGIC_COOKIE].concat(xorMessage.transactionId);
+    port ^= MAGIC_COOKIE >>> 16;
+    words = words.map(function (word, index) {
+      return (word ^ mask[index]) >>> 0;
+    });
+  }
+
+  var bytes = [];
+  words.forEach(function (word) {
+    bytes.push(word >>> 24, (word >>> 16) & 0xff, (word >>> 8) & 0xff,
+               word & 0xff);
+  });
+  var ip = (family === 1) ? new ipaddr.IPv4(bytes) : new ipaddr.IPv6(
+      [0, 2, 4, 6, 8, 10, 12, 14].map(function (j) {
+        return bytes[j]*256 + bytes[j + 1];
+      }));
+  return {ip: ip.toString(), port: port};
+};
+
+/**
+* A socket that sends STUN Binding requests
+* @typedef {Object} StunSocket
+* @property {function(StunServer, BindingAttributes, Retransmission,
+*     boolean=): Promise<StunMessage>} request Sends a Binding request,
+*     retransmitting it until it's answered or the Retransmission schedule
+*     runs out; the promise rejects on an error response or timeout. If the
+*     last argument is true, the answer may come from any address, e.g. from
+*     the server's other address, or be the request itself, hairpinned
+* @property {function()} close Closes the socket, rejecting its requests
+*/
+
+/**
+* Bind a socket to send STUN Binding requests from. Each request is a
+* transaction in a table, which sockets can share, so that an answer to one
+* socket's request settles it if it arrives on another, e.g. when it was sent
+* to another port with RESPONSE-PORT
+* @private
+* @method openStunSocket
+* @param {string} serverAddress The server's IP, to bind IPv4 or IPv6
+* @param {number} localPort The local port to bind to, 0 for any port
+* @param {Object} transactions The table of pending transactions, by
+*                              transaction ID
+* @return {Promise<StunSocket>} A promise for the socket, which rejects if it
+*                               couldn't be bound
+*/
+var openStunSocket = function (serverAddress, localPort, transactions) {
+  var socket = utils.createUdpSocket();
+  var stunSocket;
+
+  // Settle the transaction that a message answers; ignore malformed packets,
+  // and unless the transaction allows any source, packets from anywhere but
+  // its server
+  socket.on('onData', function (packet) {
+    var message;
+    try {
+      message = decodeMessage(packet.data);
+    } catch (err) {
+      return;
+    }
+    var transaction = transactions[message.transactionId.join()];
+    if (transaction === undefined ||
+        (!transaction.anySource &&
+         (!utils.isSameIp(packet.address, transaction.server.address) ||
+          packet.port !== transaction.serverPort))) {
+      return;
+    }
+    if (message.messageType === BINDING_ERROR) {
+      transaction.R(new Error('STUN Error: ' + message.errorCode + ' ' +
+                              message.errorReason));
+    } else if ((message.messageType === BINDING_SUCCESS &&
+                message.mappedIp !== undefined) ||
+               (message.messageType === BINDING_REQUEST &&
+                transaction.anySource)) {
+      transaction.F(message);
+    }
+  });
+
+  // Send a Binding request, and again on the retransmission schedule until
+  // it's answered or we give up
+  var request = function (server, attributes, retransmission, anySource) {
+    var serverPort = server.port || DEFAULT_PORT;
+    var transactionId = [utils.randInt(0, 0xffffffff),
+                         utils.randInt(0, 0xffffffff),
+                         utils.randInt(0, 0xffffffff)];
+    var key = transactionId.join();
+    var packet = encodeBindingRequest(transactionId, attributes);
+    var retransmitter;
+
+    return new Promise(function (F, R) {
+      transactions[key] = {server: server, serverPort: serverPort,
+                           anySource: anySource === true,
+                           socket: stunSocket, F: F, R: R};
+      retransmitter = utils.retransmit(function () {
+        socket.sendTo(packet, server.address, serverPort).
+            catch(function (err) {});
+      }, retransmission, 'No STUN response');
+      retransmitter.promise.catch(R);
+    }).then(function (response) {
+      retransmitter.stop();
+      delete transactions[key];
+      return response;
+    }, function (err) {
+      retransmitter.stop();
+      delete transactions[key];
+      return Promise.reject(err);
+    });
+  };
+
+  // Close the socket, and reject the requests that are still waiting
+  var close = function () {
+    Object.keys(transactions).forEach(function (key) {
+      if (transactions[key].socket === stunSocket) {
+        transactions[key].R(new Error('STUN socket closed'));
+      }
+    });
+    utils.closeSocket(socket);
+  };
+
+  stunSocket = {request: request, close: close};
+  var address = ipaddr.IPv6.isValid(serverAddress) ? '::' : '0.0.0.0';
+  return socket.bind(address, localPort).then(function () {
+    return stunSocket;
+  }, function (err) {
+    utils.closeSocket(socket);
+    return Promise.reject(err);
+  });
+};
+
+module.exports = {
+  RETRANSMISSION: RETRANSMISSION,
+  getPublicAddress: getPublicAddress,
+  checkPublicAddress: checkPublicAddress,
+  classifyNat: classifyNat,
+  encodeBindingRequest: encodeBindingRequest,
+  decodeMessage: decodeMessage
+};
@@ -0,0 +1,68 @@
+/**
+* The network transport that the NAT-PMP, PCP and UPnP modules send through,
+* so that the same logic runs in a freedom.js module and in Node.js
+* By default, this is freedom-transport.js if the freedom global exists, and
+* node-transport.js otherwise; call setTransport() to use another one
+*/
+
+/**
+* A network transport
+* @typedef {Object} Transport
+* @property {function(): UdpSocket} createUdpSocket Creates an unbound socket
+* @property {function(string, string, Object, string=): Promise<HttpResponse>}
+*     httpRequest Sends an HTTP request (method, url, headers, body), and
+*     resolves to the response whatever its status, or rejects if there is
+*     no response
+* @property {function(): Promise<Array<string>>} getPrivateIps Lists the IP
+*     addresses of the computer's network interfaces
+*/
+
+/**
+* A UDP socket of a transport
+* @typedef {Object} UdpSocket
+* @property {function(string, number): Promise} bind Binds to an address and
+*     port, e.g. ('0.0.0.0', 0) or ('::', 0) for IPv6
+* @property {function(ArrayBuffer, string, number): Promise} sendTo Sends a
+*     datagram to an address and port
+* @property {function(string, function)} on Adds a handler for the 'onData'
+*     event, which gets an {address, port, data} object with an ArrayBuffer
+* @property {function(): Promise} close Closes the socket
+*/
+
+/**
+* A response to an HTTP request
+* @typedef {Object} HttpResponse
+* @property {number} status The HTTP status code
+* @property {string} body The response body
+*/
+
+var transport;
+
+/**
+* Return the current transport, choosing the default one on the first call
+* @public
+* @method getTransport
+* @return {Transport} The transport
+*/
+var getTransport = function () {
+  if (transport === undefined) {
+    transport = (typeof freedom !== 'undefined') ?
+        require('./freedom-transport') : require('./node-transport');
+  }
+  return transport;
+};
+
+/**
+* Set the transport that all later requests are sent through
+* @public
+* @method setTransport
+* @param {Transport} newTransport The transport
+*/
+var setTransport = function (newTransport) {
+  transport = newTransport;
+};
+
+module.exports = {
+  getTransport: getTransport,
+  setTransport: setTransport
+};
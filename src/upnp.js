@@ -1,23 +1,58 @@
 var utils = require('./utils');
+var xml = require('./xml');
 
 /**
-* Probe if UPnP AddPortMapping is supported by the router
+* The WAN connection services that we can map ports with, in order of
+* preference; IGDv2 routers usually also offer WANIPConnection:1
+*/
+var SERVICE_TYPES = ['urn:schemas-upnp-org:service:WANIPConnection:2',
+                     'urn:schemas-upnp-org:service:WANIPConnection:1',
+                     'urn:schemas-upnp-org:service:WANPPPConnection:1'];
+
+/**
+* The longest lease that WANIPConnection:2 allows, which doesn't allow 0
+* (infinite) leases; we refresh these leases to keep the mapping forever
+*/
+var IGD2_MAX_LEASE = 604800;
+
+/**
+* Seconds that a router may report less than the lease we asked for, e.g. as
+* time passes between AddPortMapping and GetSpecificPortMappingEntry, before
+* we consider the lease capped
+*/
+var LEASE_SLACK = 10;
+
+/**
+* The most entries that listRouterMappings() reads from the router's table
+*/
+var MAX_GENERIC_ENTRIES = 1024;
+
+/**
+* WANIPConnection:1 can't choose an available external port for us, so for
+* the 'any' PortPolicy we try up to this many ports from the dynamic range
+* (RFC 6335), starting at a random one, after the requested port
+*/
+var DYNAMIC_PORTS = {type: 'range', min: 49152, max: 65535};
+var ANY_PORT_ATTEMPTS = 10;
+
+/**
+* Probe if the router has a UPnP IGD port mapping service, which answers
+* GetExternalIPAddress, or GetStatusInfo if it has no external IP, e.g.
+* while it's disconnected; neither maps anything
 * @public
 * @method probeSupport
-* @param {object} activeMappings Table of active Mappings
-* @param {Array<string>} routerIpCache Router IPs that have previously worked
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  ssdpRouterIps, routerIpCache, etc.
 * @return {Promise<boolean>} A promise for a boolean
 */
-var probeSupport = function (activeMappings) {
-  return addMapping(utils.UPNP_PROBE_PORT, utils.UPNP_PROBE_PORT, 120,
-                    activeMappings).then(function (mapping) { 
-        if (mapping.errInfo && 
-            mapping.errInfo.indexOf('ConflictInMappingEntry') !== -1) {
-          // This error response suggests that UPnP is enabled
-          return true;
-        }
-        return mapping.externalPort !== -1; 
-      });
+var probeSupport = function (portControl) {
+  return _getUpnpControlUrl(portControl).then(function (controlUrl) {
+    return sendGetExternalIPAddress(controlUrl, portControl).
+        catch(function (err) {
+          return sendSoapRequest(controlUrl, 'GetStatusInfo', [], portControl);
+        });
+  }).then(function (response) { return true; },
+          function (err) { return false; });
 };
 
 /**
@@ -27,40 +62,116 @@ var probeSupport = function (activeMappings) {
 * @param {number} intPort The internal port on the computer to map to
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
-*                          0 is infinity; a static AddPortMapping request
-* @param {object} activeMappings Table of active Mappings
+*                          0 is infinity; a static AddPortMapping request, or
+*                          a refreshed 7-day lease for WANIPConnection:2
+*                          If the router caps the lease, the mapping is
+*                          refreshed until the lifetime is up
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
 * @param {string=} controlUrl Optional: a control URL for the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, dispatchEvent, etc.
+* @param {PortPolicy=} portPolicy Optional: how to choose the external port,
+*                                 {type: 'any'} by default (see utils.js)
+* @param {UpstreamNat=} upstream Optional: map on the NAT in front of our
+*     gateway instead, for our address there (see utils.js); its controlUrl
+*     takes the place of the controlUrl argument
 * @return {Promise<Mapping>} A promise for the port mapping object 
 *                               mapping.externalPort is -1 on failure
+* For the 'any' policy, this uses AddAnyPortMapping on WANIPConnection:2, so
+* the router may map a different external port than extPort if extPort is
+* taken; other services use AddPortMapping, which fails with
+* ConflictInMappingEntry, so we try other ports ourselves
 */
-var addMapping = function (intPort, extPort, lifetime, activeMappings,
-                           controlUrl) {
+var addMapping = function (intPort, extPort, lifetime, transport, controlUrl,
+                           portControl, portPolicy, upstream) {
+  var activeMappings = portControl.activeMappings;
+  var dispatchEvent = portControl.dispatchEvent;
+  var deadline = Date.now() + lifetime*1000;
   var internalIp;  // Internal IP of the user's computer
   var mapping = new utils.Mapping();
   mapping.internalPort = intPort;
   mapping.protocol = 'upnp';
+  mapping.transport = transport = transport || 'udp';
+  mapping.upstreamClientIp = upstream && upstream.clientIp;
+  portPolicy = portPolicy || {type: 'any'};
+  if (upstream !== undefined) { controlUrl = upstream.controlUrl; }
+
+  // Return the key of this mapping in activeMappings, for an external port
+  function _mappingKey(port) {
+    return utils.mappingKey(port, transport, undefined, undefined,
+                            mapping.upstreamClientIp);
+  }
+
+  // Map one external port with the 'exact' policy
+  function _addExactMapping(port) {
+    return addMapping(intPort, port, lifetime, transport, controlUrl,
+                      portControl, {type: 'exact'}, upstream);
+  }
+
+  // Choose the external port by the policy, which may mean trying several
+  // ports with AddPortMapping; the policy depends on the service type, so
+  // find the router's control URL first, once for all the attempts
+  function _handlePortPolicy() {
+    if (controlUrl === undefined) {
+      return _getUpnpControlUrl(portControl).then(function (url) {
+        return addMapping(intPort, extPort, lifetime, transport, url,
+                          portControl, portPolicy, upstream);
+      }).catch(_handleError);
+    }
+    if (portPolicy.type === 'range') {
+      return utils.walkPortRange(portPolicy, extPort, _addExactMapping,
+                                 isPortConflict);
+    }
+    // 'any' on a service without AddAnyPortMapping: try extPort, then ports
+    // from the dynamic range
+    var firstAttempt = (extPort === 0) ? Promise.resolve(undefined) :
+                                         _addExactMapping(extPort);
+    return firstAttempt.then(function (firstMapping) {
+      if (firstMapping !== undefined && (firstMapping.externalPort !== -1 ||
+          !isPortConflict(firstMapping))) {
+        return firstMapping;
+      }
+      var start = utils.randInt(DYNAMIC_PORTS.min, DYNAMIC_PORTS.max);
+      return utils.walkPortRange(DYNAMIC_PORTS, start, _addExactMapping,
+                                 isPortConflict, ANY_PORT_ATTEMPTS);
+    });
+  }
 
   // Does the UPnP flow to send a AddPortMapping request
   // (1. SSDP, 2. GET location URL, 3. POST to control URL)
   // If we pass in a control URL, we don't need to do the SSDP step
   function _handleUpnpFlow() {
     if (controlUrl !== undefined) { return _handleControlUrl(controlUrl); }
-    return _getUpnpControlUrl().then(function (url) {
+    return _getUpnpControlUrl(portControl).then(function (url) {
       controlUrl = url;
       return _handleControlUrl(url);
     }).catch(_handleError);
   }
 
   // Process and send an AddPortMapping request to the control URL
+  // (AddAnyPortMapping on WANIPConnection:2)
   function _handleControlUrl(controlUrl) {
+    var serviceType = getServiceType(controlUrl, portControl);
+    var isIgd2 = (serviceType === SERVICE_TYPES[0]);
+    var useAnyPort = isIgd2 && portPolicy.type === 'any';
+    // WANIPConnection:2 doesn't allow infinite or longer leases, so ask for
+    // the longest one instead, and refresh it when it runs out
+    var reqLifetime = (isIgd2 && (lifetime === 0 || lifetime > IGD2_MAX_LEASE)) ?
+        IGD2_MAX_LEASE : lifetime;
+
     return new Promise(function (F, R) {
       // Get the correct internal IP (if there are multiple network interfaces)
       // for this UPnP router, by doing a longest prefix match, and use it to
-      // send an AddPortMapping request
-      var routerIp = (new URL(controlUrl)).hostname;
+      // send an AddPortMapping request; an upstream NAT sees us as our
+      // gateway's external IP instead
+      var routerIp = getRouterIp(controlUrl);
+      var sendRequest = useAnyPort ? sendAddAnyPortMapping :
+                                     sendAddPortMapping;
       utils.getPrivateIps().then(function(privateIps) {
-        internalIp = utils.longestPrefixMatch(privateIps, routerIp);
-        sendAddPortMapping(controlUrl, internalIp, intPort, extPort, lifetime).
+        internalIp = (upstream !== undefined) ? upstream.clientIp :
+            utils.longestPrefixMatch(privateIps, routerIp);
+        sendRequest(controlUrl, internalIp, intPort, extPort, reqLifetime,
+                    transport, portControl).
             then(function (response) { F(response); }).
             catch(function (err) { R(err); });
       });
@@ -68,33 +179,128 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings,
       // Success response to AddPortMapping (the internal IP of the mapping)
       // The requested external port will always be mapped on success, and the
       // lifetime will always be the requested lifetime; errors otherwise
-      mapping.externalPort = extPort;
+      // AddAnyPortMapping responds with the external port that it mapped
+      mapping.externalPort = useAnyPort ?
+          parseInt(getXmlValue(response, 'NewReservedPort'), 10) || extPort :
+          extPort;
       mapping.internalIp = internalIp;
-      mapping.lifetime = lifetime;
+      mapping.lifetime = reqLifetime;
+      mapping.routerIp = getRouterIp(controlUrl);
+      mapping.serviceType = serviceType;
+
+      // Some routers cap or ignore NewLeaseDuration without an error, so ask
+      // the router for the lease that it actually gave us; if it doesn't say,
+      // assume that we got the lease we asked for
+      return sendGetSpecificPortMappingEntry(controlUrl, mapping.externalPort,
+                                             transport, portControl).
+          then(function (entry) {
+            var lease = entry.leaseDuration;
+            if (reqLifetime === 0 || lease === 0 ||
+                lease < reqLifetime - LEASE_SLACK) {
+              mapping.lifetime = lease;
+            }
+          }).catch(function (err) {});
+    }).then(function () {
+      // The AddPortMapping response has no external IP, so ask the router
+      // for it separately; the mapping still succeeded if this fails
+      return sendGetExternalIPAddress(controlUrl, portControl).
+          then(function (externalIp) {
+            mapping.externalIp = externalIp;
+          }).catch(function (err) {});
+    }).then(function () {
+      mapping.gateways = [{
+        routerIp: mapping.routerIp,
+        internalIp: mapping.internalIp,
+        externalIp: mapping.externalIp,
+        externalPort: mapping.externalPort,
+        lifetime: mapping.lifetime
+      }];
       return mapping;
     }).catch(_handleError);
   }
 
   // Save the Mapping object in activeMappings on success, and set a timeout 
-  // to delete the mapping on expiration
-  // Note: We never refresh for UPnP since 0 is infinity per the protocol and 
-  // there is no maximum lifetime
+  // to refresh the mapping if the router capped its lease, or to delete it
+  // on expiration
   function _saveMapping(mapping) {
+    var key = _mappingKey(mapping.externalPort);
+
+    // If the lease is shorter than the requested lifetime (always the case
+    // for infinite mappings on WANIPConnection:2), re-add the mapping with
+    // the rest of its lifetime before the lease runs out
+    if (mapping.externalPort !== -1 && mapping.lifetime !== 0 &&
+        (lifetime === 0 || mapping.lifetime < lifetime)) {
+      mapping.timeoutId = setTimeout(_recreateMapping.bind({}, mapping,
+                                     'mappingRefreshed'),
+                                     utils.getRefreshDelay(mapping.lifetime));
+    }
+    // If the router ignored the lease and made the mapping permanent,
+    // delete it from the router ourselves at expiration
+    else if (mapping.externalPort !== -1 && mapping.lifetime === 0 &&
+             lifetime !== 0) {
+      mapping.timeoutId = setTimeout(_expireMapping.bind({}, mapping, true),
+                                     lifetime*1000);
+    }
     // Delete the entry from activeMapping at expiration
-    if (mapping.externalPort !== -1 && lifetime !== 0) {
-      setTimeout(function () { delete activeMappings[mapping.externalPort]; },
-                 mapping.lifetime*1000);
+    else if (mapping.externalPort !== -1 && lifetime !== 0) {
+      mapping.timeoutId = setTimeout(_expireMapping.bind({}, mapping, false),
+                                     mapping.lifetime*1000);
     }
 
-    // If mapping succeeded, attach a deleter function and add to activeMappings
+    // If mapping succeeded, attach deleter and refresher functions,
+    // and add to activeMappings
     if (mapping.externalPort !== -1) {
-      mapping.deleter = deleteMapping.bind({}, mapping.externalPort, 
-                                           activeMappings, controlUrl);
-      activeMappings[mapping.externalPort] = mapping;
+      mapping.deleter = deleteMapping.bind({}, mapping.externalPort, transport,
+                                           controlUrl, portControl,
+                                           mapping.upstreamClientIp);
+      mapping.refresher = _recreateMapping.bind({}, mapping);
+      activeMappings[key] = mapping;
     }
     return mapping;
   }
 
+  // Re-create the mapping right away with the rest of its lifetime, e.g. after
+  // the router lost it in a reboot, and emit an event for the result
+  // (successEvent, 'mappingRecovered' by default, or mappingRefreshFailed)
+  function _recreateMapping(oldMapping, successEvent) {
+    var oldKey = _mappingKey(oldMapping.externalPort);
+    clearTimeout(oldMapping.timeoutId);
+    var remainingLifetime = (lifetime === 0) ? 0 :
+        Math.max(1, Math.ceil((deadline - Date.now()) / 1000));
+    return addMapping(intPort, oldMapping.externalPort, remainingLifetime,
+                      transport, controlUrl, portControl, portPolicy,
+                      upstream).
+        then(function (newMapping) {
+          // The old mapping has lapsed if this failed, or if AddAnyPortMapping
+          // gave us a different external port this time
+          if (newMapping.externalPort !== oldMapping.externalPort &&
+              activeMappings[oldKey] === oldMapping) {
+            delete activeMappings[oldKey];
+          }
+          if (newMapping.externalPort !== -1) {
+            dispatchEvent(successEvent || 'mappingRecovered', newMapping);
+          } else {
+            dispatchEvent('mappingRefreshFailed', oldMapping);
+          }
+          return newMapping;
+        });
+  }
+
+  // Delete a mapping from activeMappings when its lifetime is up, unless it
+  // has already been deleted or replaced by then, and also from the router
+  // if the router doesn't expire it by itself
+  function _expireMapping(oldMapping, deleteFromRouter) {
+    var oldKey = _mappingKey(oldMapping.externalPort);
+    if (activeMappings[oldKey] === oldMapping) {
+      delete activeMappings[oldKey];
+      if (deleteFromRouter) {
+        sendDeletePortMapping(controlUrl, oldMapping.externalPort, transport,
+                              portControl).catch(function (err) {});
+      }
+      dispatchEvent('mappingExpired', oldMapping);
+    }
+  }
+
   // If we catch an error, add it to the mapping object and console.log()
   function _handleError(err) {
     console.log("UPnP failed at: " + err.message);
@@ -102,25 +308,64 @@ var addMapping = function (intPort, extPort, lifetime, activeMappings,
     return mapping;
   }
 
+  mapping.errInfo = utils.checkPortPolicy(portPolicy);
+  if (mapping.errInfo !== undefined) {
+    return Promise.resolve(mapping);
+  }
+  if (portPolicy.type === 'range' || (portPolicy.type === 'any' &&
+      (controlUrl === undefined ||
+       getServiceType(controlUrl, portControl) !== SERVICE_TYPES[0]))) {
+    return _handlePortPolicy();
+  }
+
   // After receiving an AddPortMapping response, set a timeout to delete the 
   // mapping, and add it to activeMappings
   return _handleUpnpFlow().then(_saveMapping);
 };
 
+/**
+* Return whether a mapping failed because its external port wasn't available
+* @private
+* @method isPortConflict
+* @param {Mapping} mapping A failed Mapping from addMapping()
+* @return {boolean}
+*/
+var isPortConflict = function (mapping) {
+  return mapping.errInfo !== undefined &&
+         mapping.errInfo.indexOf('ConflictInMappingEntry') !== -1;
+};
+
 /**
 * Deletes a port mapping in the NAT with UPnP DeletePortMapping
 * @public
 * @method deleteMapping
 * @param {number} extPort The external port of the mapping to delete
-* @param {object} activeMappings Table of active Mappings
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
 * @param {string} controlUrl A control URL for the router (not optional!)
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  activeMappings, dispatchEvent, etc.
+* @param {string=} upstreamClientIp Optional: for a mapping on an upstream
+*     NAT, the external IP of the NAT it chains (see addMapping())
 * @return {Promise<boolean>} True on success, false on failure
 */
-var deleteMapping = function (extPort, activeMappings, controlUrl) {
+var deleteMapping = function (extPort, transport, controlUrl, portControl,
+                              upstreamClientIp) {
+  var activeMappings = portControl.activeMappings;
+  var dispatchEvent = portControl.dispatchEvent;
+  var key = utils.mappingKey(extPort, transport, undefined, undefined,
+                             upstreamClientIp);
+
   // Do the UPnP flow to delete a mapping, and if successful, remove it from
   // activeMappings and return true 
-  return sendDeletePortMapping(controlUrl, extPort).then(function() {
-    delete activeMappings[extPort];
+  var deleting = sendDeletePortMapping(controlUrl, extPort, transport,
+                                       portControl);
+  return deleting.then(function() {
+    var mapping = activeMappings[key];
+    if (mapping !== undefined) {
+      clearTimeout(mapping.timeoutId);
+      delete activeMappings[key];
+      dispatchEvent('mappingDeleted', mapping);
+    }
     return true;
   }).catch(function (err) {
     return false;
@@ -129,27 +374,52 @@ var deleteMapping = function (extPort, activeMappings, controlUrl) {
 
 /**
  * Return the UPnP control URL of a router on the network that supports UPnP IGD
- * This wraps sendSsdpRequest() and fetchControlUrl() together
+ * This wraps sendSsdpRequest() and fetchServices() together
+ * The addresses of the SSDP responders are added to the shared gateway list
+ * (portControl.ssdpRouterIps), and responders that we already know to be
+ * gateways are preferred over other UPnP devices
  * @private
  * @method _getUpnpControlUrl
+ * @param {PortControl} portControl The PortControl instance, which holds
+ *                                  ssdpRouterIps, routerIpCache, etc.
  * @return {Promise<string>} A promise for the URL, rejects if not supported
  */
-var _getUpnpControlUrl = function () {
+var _getUpnpControlUrl = function (portControl) {
+  var knownRouterIps = utils.arrAdd(portControl.userRouterIps,
+                                    portControl.routerIpCache);
+  var ssdpResponses;
+
   // After collecting all the SSDP responses, try to get the
-  // control URL field for each response, and return an array
-  return sendSsdpRequest().then(function (ssdpResponses) {
+  // services of each response, and return an array
+  return sendSsdpRequest().then(function (responses) {
+    ssdpResponses = responses;
     return Promise.all(ssdpResponses.map(function (ssdpResponse) {
-      return fetchControlUrl(ssdpResponse).
-          then(function (controlUrl) { return controlUrl; }).
-          catch(function (err) { return null; });
+      if (portControl.ssdpRouterIps.indexOf(ssdpResponse.address) === -1) {
+        portControl.ssdpRouterIps.push(ssdpResponse.address);
+      }
+      return fetchServices(ssdpResponse.data, portControl).
+          catch(function (err) { return []; });
     }));
-  }).then(function (controlUrls) {
-    // We return the first control URL we found; 
-    // there should always be at least one if we reached this block
-    for (var i = 0; i < controlUrls.length; i++) {
-      if (controlUrls[i] !== null) { return controlUrls[i]; }
+  }).then(function (servicesList) {
+    // We return the control URL of the most preferred service we found,
+    // ranking any service of a known gateway above other devices' services
+    var best, bestRank;
+    servicesList.forEach(function (services, i) {
+      if (services.length === 0) { return; }
+      var rank = SERVICE_TYPES.indexOf(services[0].serviceType);
+      if (knownRouterIps.indexOf(ssdpResponses[i].address) === -1) {
+        rank += SERVICE_TYPES.length;
+      }
+      if (best === undefined || rank < bestRank) {
+        best = services[0];
+        bestRank = rank;
+      }
+    });
+    if (best === undefined) {
+      return Promise.reject(new Error('Could not parse control URL'));
     }
-  }).catch(function (err) { return Promise.reject(err); });
+    return best.controlUrl;
+  });
 };
 
 /**
@@ -158,109 +428,235 @@ var _getUpnpControlUrl = function () {
  * Promise.all(), while inside we want to propagate the errors upwards
  * @public
  * @method getUpnpControlUrl
+ * @param {PortControl} portControl The PortControl instance, which holds
+ *                                  ssdpRouterIps, routerIpCache, etc.
  * @return {Promise<string>} A promise for the URL, undefined if not supported
  */
-var getUpnpControlUrl = function () {
-  return _getUpnpControlUrl().catch(function (err) {});
+var getUpnpControlUrl = function (portControl) {
+  return _getUpnpControlUrl(portControl).catch(function (err) {});
 };
 
 /**
 * Send a UPnP SSDP request on the network and collects responses
 * @private
 * @method sendSsdpRequest
-* @return {Promise<Array>} A promise that fulfills with an array of SSDP response,
-*                          or rejects on timeout
+* @return {Promise<Array<{address: string, data: ArrayBuffer}>>} A promise that
+*     fulfills with an array of SSDP responses and the addresses that sent
+*     them, or rejects on timeout, or if the requests couldn't be sent
 */
 var sendSsdpRequest = function () {
   var ssdpResponses = [];
-  var socket = freedom['core.udpsocket']();
+  var socket = utils.createUdpSocket();
 
   // Fulfill when we get any reply (failure is on timeout or invalid parsing)
   socket.on('onData', function (ssdpResponse) {
-    ssdpResponses.push(ssdpResponse.data);
+    ssdpResponses.push({address: ssdpResponse.address,
+                        data: ssdpResponse.data});
   });
 
-  // Bind a socket and send the SSDP request
-  socket.bind('0.0.0.0', 0).then(function (result) {
-    // Construct and send a UPnP SSDP message
-    var ssdpStr = 'M-SEARCH * HTTP/1.1\r\n' +
-                  'HOST: 239.255.255.250:1900\r\n' +
-                  'MAN: "ssdp:discover"\r\n' +
-                  'MX: 3\r\n' +
-                  'ST: urn:schemas-upnp-org:device:InternetGatewayDevice:1\r\n\r\n';
-    var ssdpBuffer = utils.stringToArrayBuffer(ssdpStr);
-    socket.sendTo(ssdpBuffer, '239.255.255.250', 1900);
-  });
-
-  // Collect SSDP responses for 3 seconds before timing out
   return new Promise(function (F, R) {
-    setTimeout(function () {
+    // Collect SSDP responses for 3 seconds before timing out
+    var timeoutId = setTimeout(function () {
+      utils.closeSocket(socket);
       if (ssdpResponses.length > 0) { F(ssdpResponses); }
       else { R(new Error("SSDP timeout")); }
     }, 3000);
+
+    // Give up right away if we can't bind or send, e.g. on a host without a
+    // multicast route
+    function _fail(err) {
+      clearTimeout(timeoutId);
+      utils.closeSocket(socket);
+      R(err);
+    }
+
+    // Bind a socket and send the SSDP requests, for both IGDv1 and IGDv2
+    socket.bind('0.0.0.0', 0).then(function (result) {
+      // Construct and send a UPnP SSDP message
+      return Promise.all(['1', '2'].map(function (version) {
+        var ssdpStr = 'M-SEARCH * HTTP/1.1\r\n' +
+                      'HOST: 239.255.255.250:1900\r\n' +
+                      'MAN: "ssdp:discover"\r\n' +
+                      'MX: 3\r\n' +
+                      'ST: urn:schemas-upnp-org:device:InternetGatewayDevice:' +
+                      version + '\r\n\r\n';
+        var ssdpBuffer = utils.stringToArrayBuffer(ssdpStr);
+        return socket.sendTo(ssdpBuffer, '239.255.255.250', 1900).
+            then(function () { return true; },
+                 function (err) { return false; });
+      }));
+    }).then(function (sent) {
+      if (sent.indexOf(true) === -1) {
+        _fail(new Error('Could not send SSDP request'));
+      }
+    }, _fail);
   });
 };
 
 /**
-* Fetch the control URL from the information provided in the SSDP response
+* A UPnP service that we can map ports with, from a device description
+* @typedef {Object} UpnpService
+* @property {string} serviceType The service type, one of SERVICE_TYPES
+* @property {string} controlUrl The absolute URL to send SOAP actions to
+* @property {string} scpdUrl The absolute URL of the service description
+*/
+
+/**
+* Fetch the device description from the location in the SSDP response, and
+* return every port mapping service that the router offers, in order of
+* preference; their service types are recorded in portControl.upnpServiceTypes
 * @private
-* @method fetchControlUrl
+* @method fetchServices
 * @param {ArrayBuffer} ssdpResponse The ArrayBuffer response to the SSDP message
-* @return {string} The string of the control URL for the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Promise<Array<UpnpService>>} A promise for the router's services,
+*                                       which rejects if there are none
 */
-var fetchControlUrl = function (ssdpResponse) {
-  // Promise to parse the location URL from the SSDP response, then send a POST 
-  // xhr to the location URL to find the router's UPNP control URL
-  var _fetchControlUrl = new Promise(function (F, R) {
+var fetchServices = function (ssdpResponse, portControl) {
+  // Promise to parse the location URL from the SSDP response, then send a GET
+  // request to the location URL to get the router's device description
+  var _fetchServices = new Promise(function (F, R) {
     var ssdpStr = utils.arrayBufferToString(ssdpResponse);
-    var startIndex = ssdpStr.indexOf('LOCATION:') + 9;
-    var endIndex = ssdpStr.indexOf('\n', startIndex);
-    var locationUrl = ssdpStr.substring(startIndex, endIndex).trim();
+    var locationMatch = /^LOCATION:(.*)$/im.exec(ssdpStr);
 
     // Reject if there is no LOCATION header
-    if (startIndex === 8) {
+    if (locationMatch === null) {
       R(new Error('No LOCATION header for UPnP device'));
       return;
     }
+    var locationUrl = locationMatch[1].trim();
 
     // Get the XML device description at location URL
-    var xhr = new XMLHttpRequest();
-    xhr.open('GET', locationUrl, true);
-    xhr.onreadystatechange = function () {
-      if (xhr.readyState === 4) {
-        // Get control URL from XML file
-        // (Ideally we would parse and traverse the XML tree,
-        // but DOMParser is not available here)
-        var xmlDoc = xhr.responseText;
-        var preIndex = xmlDoc.indexOf('WANIPConnection');
-        var startIndex = xmlDoc.indexOf('<controlURL>', preIndex) + 13;
-        var endIndex = xmlDoc.indexOf('</controlURL>', startIndex);
-
-        // Reject if there is no controlUrl
-        if (preIndex === -1 || startIndex === 12) {
-          R(new Error('Could not parse control URL'));
-          return;
-        }
-
-        // Combine the controlUrl path with the locationUrl
-        var controlUrlPath = xmlDoc.substring(startIndex, endIndex);
-        var locationUrlParser = new URL(locationUrl);
-        var controlUrl = 'http://' + locationUrlParser.host +
-                         '/' + controlUrlPath;
+    utils.httpRequest('GET', locationUrl, {}).then(function (response) {
+      var services = parseDeviceDescription(response.body, locationUrl);
 
-        F(controlUrl);
+      // Reject if there is no service to map ports with
+      if (services.length === 0) {
+        return Promise.reject(new Error('Could not parse control URL'));
       }
-    };
-    xhr.send();
+
+      services.forEach(function (service) {
+        portControl.upnpServiceTypes[service.controlUrl] = service.serviceType;
+      });
+      return services;
+    }).then(F, R);
   });
 
-  // Give _fetchControlUrl 1 second before timing out
+  // Give _fetchServices 1 second before timing out
   return Promise.race([
     utils.countdownReject(1000, 'Time out when retrieving description XML'),
-    _fetchControlUrl
+    _fetchServices
   ]);
 };
 
+/**
+* Parse a UPnP device description, walking the device tree (e.g. root device
+* -> WANDevice -> WANConnectionDevice) for the services in SERVICE_TYPES
+* Relative URLs are resolved against <URLBase> if there is one, and the
+* description's own URL otherwise
+* @private
+* @method parseDeviceDescription
+* @param {string} xmlStr The device description XML
+* @param {string} locationUrl The URL that the description was fetched from
+* @return {Array<UpnpService>} The matching services, in order of preference
+* @throws {Error} If the description is not well-formed XML
+*/
+var parseDeviceDescription = function (xmlStr, locationUrl) {
+  var root = xml.parse(xmlStr);
+  var baseUrl = xml.childText(root, 'URLBase') || locationUrl;
+  var services = [];
+
+  // Collect the matching services of a device and all its embedded devices
+  function _walkDevice(device) {
+    xml.children(xml.child(device, 'serviceList'), 'service').
+        forEach(function (service) {
+          var serviceType = xml.childText(service, 'serviceType');
+          var controlUrlPath = xml.childText(service, 'controlURL');
+          if (SERVICE_TYPES.indexOf(serviceType) === -1 || !controlUrlPath) {
+            return;
+          }
+          var scpdUrlPath = xml.childText(service, 'SCPDURL');
+          services.push({
+            serviceType: serviceType,
+            controlUrl: new URL(controlUrlPath, baseUrl).href,
+            scpdUrl: scpdUrlPath ? new URL(scpdUrlPath, baseUrl).href : undefined
+          });
+        });
+    xml.children(xml.child(device, 'deviceList'), 'device').forEach(_walkDevice);
+  }
+  xml.children(root, 'device').forEach(_walkDevice);
+
+  // Sort by preference, keeping document order for the same service type
+  return services.map(function (service, i) {
+    return {service: service, i: i};
+  }).sort(function (a, b) {
+    return (SERVICE_TYPES.indexOf(a.service.serviceType) -
+            SERVICE_TYPES.indexOf(b.service.serviceType)) || (a.i - b.i);
+  }).map(function (entry) {
+    return entry.service;
+  });
+};
+
+/**
+* Get the external IP address of the router with UPnP GetExternalIPAddress
+* @public
+* @method getExternalIp
+* @param {string=} controlUrl Optional: a control URL for the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  ssdpRouterIps, routerIpCache, etc.
+* @return {Promise<string>} A promise for the external IP address,
+*                           rejects if UPnP is not supported
+*/
+var getExternalIp = function (controlUrl, portControl) {
+  if (controlUrl !== undefined) {
+    return sendGetExternalIPAddress(controlUrl, portControl);
+  }
+  return _getUpnpControlUrl(portControl).then(function (url) {
+    return sendGetExternalIPAddress(url, portControl);
+  });
+};
+
+/**
+* List the port mappings on the router, including ones that other hosts or
+* programs made, by walking GetGenericPortMappingEntry from index 0 until the
+* router says that the index is out of range
+* @public
+* @method listRouterMappings
+* @param {string=} controlUrl Optional: a control URL for the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  ssdpRouterIps, routerIpCache, etc.
+* @return {Promise<Array<RouterMapping>>} A promise for the router's mappings,
+*                                         rejects if UPnP is not supported
+*/
+var listRouterMappings = function (controlUrl, portControl) {
+  var entries = [];
+
+  // Get the entry at index, and the ones after it
+  function _getEntries(controlUrl, index) {
+    // Stop at a sane number of entries, in case the router never errors
+    if (index >= MAX_GENERIC_ENTRIES) { return Promise.resolve(entries); }
+    return sendGetGenericPortMappingEntry(controlUrl, index, portControl).
+        then(function (entry) {
+          entries.push(entry);
+          return _getEntries(controlUrl, index + 1);
+        }).catch(function (err) {
+          // SpecifiedArrayIndexInvalid (713) marks the end of the list;
+          // some routers send NoSuchEntryInArray (714) instead
+          if (err.message.indexOf('SpecifiedArrayIndexInvalid') !== -1 ||
+              err.message.indexOf('NoSuchEntryInArray') !== -1) {
+            return entries;
+          }
+          return Promise.reject(err);
+        });
+  }
+
+  if (controlUrl !== undefined) { return _getEntries(controlUrl, 0); }
+  return _getUpnpControlUrl(portControl).then(function (url) {
+    return _getEntries(url, 0);
+  });
+};
+
 /**
 * Send an AddPortMapping request to the router's control URL
 * @private
@@ -270,55 +666,52 @@ var fetchControlUrl = function (ssdpResponse) {
 * @param {number} intPort The internal port on the computer to map to
 * @param {number} extPort The external port on the router to map to
 * @param {number} lifetime Seconds that the mapping will last
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
 * @return {string} The response string to the AddPortMapping request
 */
-var sendAddPortMapping = function (controlUrl, privateIp, intPort, extPort, lifetime) {
-  // Promise to send an AddPortMapping request to the control URL of the router
-  var _sendAddPortMapping = new Promise(function (F, R) {
-    // The AddPortMapping SOAP request string
-    var apm = '<?xml version="1.0"?>' +
-              '<s:Envelope s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/" xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
-               '<s:Body>' +
-                  '<u:AddPortMapping xmlns:u="urn:schemas-upnp-org:service:WANIPConnection:1">' +
-                     '<NewExternalPort>' + extPort + '</NewExternalPort>' +
-                     '<NewProtocol>UDP</NewProtocol>' +
-                     '<NewInternalPort>' + intPort + '</NewInternalPort>' +
-                     '<NewInternalClient>' + privateIp + '</NewInternalClient>' +
-                     '<NewEnabled>1</NewEnabled>' +
-                     '<NewPortMappingDescription>uProxy UPnP</NewPortMappingDescription>' +
-                     '<NewLeaseDuration>' + lifetime + '</NewLeaseDuration>' +
-                  '</u:AddPortMapping>' +
-                '</s:Body>' +
-              '</s:Envelope>';
-
-    // Create an XMLHttpRequest that encapsulates the SOAP string
-    var xhr = new XMLHttpRequest();
-    xhr.open('POST', controlUrl, true);
-    xhr.setRequestHeader('Content-Type', 'text/xml');
-    xhr.setRequestHeader('SOAPAction', '"urn:schemas-upnp-org:service:WANIPConnection:1#AddPortMapping"');
-
-    // Send the AddPortMapping request
-    xhr.onreadystatechange = function () {
-      if (xhr.readyState === 4 && xhr.status === 200) {
-        // Success response to AddPortMapping
-        F(xhr.responseText);
-      } else if (xhr.readyState === 4 && xhr.status === 500) {
-        // Error response to AddPortMapping
-        var responseText = xhr.responseText;
-        var startIndex = responseText.indexOf('<errorDescription>') + 18;
-        var endIndex = responseText.indexOf('</errorDescription>', startIndex);
-        var errorDescription = responseText.substring(startIndex, endIndex);
-        R(new Error('AddPortMapping Error: ' + errorDescription));
-      }
-    };
-    xhr.send(apm);
-  });
+var sendAddPortMapping = function (controlUrl, privateIp, intPort, extPort,
+                                   lifetime, transport, portControl) {
+  return sendSoapRequest(controlUrl, 'AddPortMapping', [
+    ['NewExternalPort', extPort],
+    ['NewProtocol', transport.toUpperCase()],
+    ['NewInternalPort', intPort],
+    ['NewInternalClient', privateIp],
+    ['NewEnabled', 1],
+    ['NewPortMappingDescription', 'uProxy UPnP'],
+    ['NewLeaseDuration', lifetime]
+  ], portControl);
+};
 
-  // Give _sendAddPortMapping 1 second to run before timing out
-  return Promise.race([
-    utils.countdownReject(1000, 'AddPortMapping time out'),
-    _sendAddPortMapping
-  ]);
+/**
+* Send an AddAnyPortMapping request to the router's control URL, which maps
+* a free external port if extPort is taken (WANIPConnection:2 only)
+* @private
+* @method sendAddAnyPortMapping
+* @param {string} controlUrl The control URL of the router
+* @param {string} privateIp The private IP address of the user's computer
+* @param {number} intPort The internal port on the computer to map to
+* @param {number} extPort The external port on the router to map to
+* @param {number} lifetime Seconds that the mapping will last, 1 to 604800
+* @param {string} transport The transport protocol to map ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {string} The response string to the AddAnyPortMapping request,
+*                  with the mapped external port in NewReservedPort
+*/
+var sendAddAnyPortMapping = function (controlUrl, privateIp, intPort, extPort,
+                                      lifetime, transport, portControl) {
+  return sendSoapRequest(controlUrl, 'AddAnyPortMapping', [
+    ['NewRemoteHost', ''],
+    ['NewExternalPort', extPort],
+    ['NewProtocol', transport.toUpperCase()],
+    ['NewInternalPort', intPort],
+    ['NewInternalClient', privateIp],
+    ['NewEnabled', 1],
+    ['NewPortMappingDescription', 'uProxy UPnP'],
+    ['NewLeaseDuration', lifetime]
+  ], portControl);
 };
 
 /**
@@ -327,57 +720,251 @@ var sendAddPortMapping = function (controlUrl, privateIp, intPort, extPort, life
 * @method sendDeletePortMapping
 * @param {string} controlUrl The control URL of the router
 * @param {number} extPort The external port of the mapping to delete
-* @return {string} The response string to the AddPortMapping request
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {string} The response string to the DeletePortMapping request
+*/
+var sendDeletePortMapping = function (controlUrl, extPort, transport,
+                                     portControl) {
+  // It seems that this almost never errors, even with invalid port numbers
+  return sendSoapRequest(controlUrl, 'DeletePortMapping', [
+    ['NewRemoteHost', ''],
+    ['NewExternalPort', extPort],
+    ['NewProtocol', transport.toUpperCase()]
+  ], portControl);
+};
+
+/**
+* A port mapping on the router, as listed by GetGenericPortMappingEntry
+* @typedef {Object} RouterMapping
+* @property {string} remoteHost The remote host the mapping is limited to,
+*                               '' for any host
+* @property {number} externalPort
+* @property {string} transport The transport protocol ('udp', 'tcp')
+* @property {number} internalPort
+* @property {string} internalClient The LAN IP address the mapping forwards to
+* @property {boolean} enabled Whether the mapping is turned on
+* @property {string} description
+* @property {number} leaseDuration Seconds left on the lease, 0 if infinite
+*/
+
+/**
+* Send a GetGenericPortMappingEntry request to the router's control URL
+* @private
+* @method sendGetGenericPortMappingEntry
+* @param {string} controlUrl The control URL of the router
+* @param {number} index The index of the entry in the router's mapping table
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Promise<RouterMapping>} A promise for the entry, which rejects with
+*                                  SpecifiedArrayIndexInvalid past the end
+*/
+var sendGetGenericPortMappingEntry = function (controlUrl, index,
+                                              portControl) {
+  return sendSoapRequest(controlUrl, 'GetGenericPortMappingEntry', [
+    ['NewPortMappingIndex', index]
+  ], portControl).then(parsePortMappingEntry);
+};
+
+/**
+* Parse the port mapping entry in a GetGenericPortMappingEntry or
+* GetSpecificPortMappingEntry response
+* @private
+* @method parsePortMappingEntry
+* @param {string} response The response string
+* @return {RouterMapping} The entry
+*/
+var parsePortMappingEntry = function (response) {
+  return {
+    remoteHost: getXmlValue(response, 'NewRemoteHost') || '',
+    externalPort: parseInt(getXmlValue(response, 'NewExternalPort'), 10),
+    transport: (getXmlValue(response, 'NewProtocol') || '').toLowerCase(),
+    internalPort: parseInt(getXmlValue(response, 'NewInternalPort'), 10),
+    internalClient: getXmlValue(response, 'NewInternalClient') || '',
+    enabled: getXmlValue(response, 'NewEnabled') === '1',
+    description: getXmlValue(response, 'NewPortMappingDescription') || '',
+    leaseDuration: parseInt(getXmlValue(response, 'NewLeaseDuration'), 10) || 0
+  };
+};
+
+/**
+* Send a GetSpecificPortMappingEntry request to the router's control URL
+* @private
+* @method sendGetSpecificPortMappingEntry
+* @param {string} controlUrl The control URL of the router
+* @param {number} extPort The external port of the mapping
+* @param {string} transport The transport protocol of the mapping ('udp', 'tcp')
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Promise<RouterMapping>} A promise for the entry, which rejects with
+*                                  NoSuchEntryInArray if there is no mapping
 */
-var sendDeletePortMapping = function (controlUrl, extPort) {
-  // Promise to send an AddPortMapping request to the control URL of the router
-  var _sendDeletePortMapping = new Promise(function (F, R) {
-    // The DeletePortMapping SOAP request string
-    var apm = '<?xml version="1.0"?>' +
-              '<s:Envelope s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/" xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
-               '<s:Body>' +
-                  '<u:DeletePortMapping xmlns:u="urn:schemas-upnp-org:service:WANIPConnection:1">' +
-                     '<NewRemoteHost></NewRemoteHost>' +
-                     '<NewExternalPort>' + extPort + '</NewExternalPort>' +
-                     '<NewProtocol>UDP</NewProtocol>' +
-                  '</u:DeletePortMapping>' +
-                '</s:Body>' +
-              '</s:Envelope>';
-
-    // Create an XMLHttpRequest that encapsulates the SOAP string
-    var xhr = new XMLHttpRequest();
-    xhr.open('POST', controlUrl, true);
-    xhr.setRequestHeader('Content-Type', 'text/xml');
-    xhr.setRequestHeader('SOAPAction', '"urn:schemas-upnp-org:service:WANIPConnection:1#DeletePortMapping"');
-
-    // Send the DeletePortMapping request
-    xhr.onreadystatechange = function () {
-      if (xhr.readyState === 4 && xhr.status === 200) {
-        // Success response to DeletePortMapping
-        F(xhr.responseText);
-      } else if (xhr.readyState === 4 && xhr.status === 500) {
-        // Error response to DeletePortMapping
-        // It seems that this almost never errors, even with invalid port numbers
-        var responseText = xhr.responseText;
-        var startIndex = responseText.indexOf('<errorDescription>') + 18;
-        var endIndex = responseText.indexOf('</errorDescription>', startIndex);
-        var errorDescription = responseText.substring(startIndex, endIndex);
-        R(new Error('DeletePortMapping Error: ' + errorDescription));
+var sendGetSpecificPortMappingEntry = function (controlUrl, extPort, transport,
+                                               portControl) {
+  return sendSoapRequest(controlUrl, 'GetSpecificPortMappingEntry', [
+    ['NewRemoteHost', ''],
+    ['NewExternalPort', extPort],
+    ['NewProtocol', transport.toUpperCase()]
+  ], portControl).then(function (response) {
+    // The response only has the fields that weren't in the request
+    var entry = parsePortMappingEntry(response);
+    entry.remoteHost = '';
+    entry.externalPort = extPort;
+    entry.transport = transport;
+    return entry;
+  });
+};
+
+/**
+* Send a GetExternalIPAddress request to the router's control URL
+* @private
+* @method sendGetExternalIPAddress
+* @param {string} controlUrl The control URL of the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Promise<string>} A promise for the external IP address of the router
+*/
+var sendGetExternalIPAddress = function (controlUrl, portControl) {
+  return sendSoapRequest(controlUrl, 'GetExternalIPAddress', [], portControl).
+      then(function (response) {
+        var externalIp = getXmlValue(response, 'NewExternalIPAddress');
+        if (!externalIp) {
+          return Promise.reject(new Error('GetExternalIPAddress Error: ' +
+                                          'No external IP in response'));
+        }
+        return externalIp;
+      });
+};
+
+/**
+* Return the control URLs that we've discovered on any of some routers, e.g.
+* to find a UPnP router in front of our gateway, most preferred service first
+* @public
+* @method getControlUrls
+* @param {Array<string>} routerIps The IP addresses of the routers
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Array<string>} The control URLs
+*/
+var getControlUrls = function (routerIps, portControl) {
+  var serviceTypes = portControl.upnpServiceTypes;
+  return Object.keys(serviceTypes).filter(function (controlUrl) {
+    return routerIps.indexOf(getRouterIp(controlUrl)) !== -1;
+  }).sort(function (a, b) {
+    return SERVICE_TYPES.indexOf(serviceTypes[a]) -
+           SERVICE_TYPES.indexOf(serviceTypes[b]);
+  });
+};
+
+/**
+* Return the IP address of the router that a control URL is on, i.e. its host
+* without the brackets that URLs put around an IPv6 address
+* @private
+* @method getRouterIp
+* @param {string} controlUrl The control URL of the router
+* @return {string} The router's IP address, e.g. '::1' for 'http://[::1]:80/'
+*/
+var getRouterIp = function (controlUrl) {
+  return (new URL(controlUrl)).hostname.replace(/^\[(.*)\]$/, '$1');
+};
+
+/**
+* Return the service type of a control URL, i.e. the service that SOAP actions
+* on it belong to
+* @private
+* @method getServiceType
+* @param {string} controlUrl The control URL of the router
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {string} The service type, WANIPConnection:1 if we didn't discover it
+*/
+var getServiceType = function (controlUrl, portControl) {
+  return portControl.upnpServiceTypes[controlUrl] || SERVICE_TYPES[1];
+};
+
+/**
+* Send a SOAP request for an action of the control URL's service (e.g.
+* WANIPConnection or WANPPPConnection) to the router's control URL
+* @private
+* @method sendSoapRequest
+* @param {string} controlUrl The control URL of the router
+* @param {string} action The name of the action, e.g. 'AddPortMapping'
+* @param {Array<Array>} args The [name, value] pairs of the action's arguments,
+*                            in the order that the action defines them
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  upnpServiceTypes
+* @return {Promise<string>} A promise for the response string, which rejects
+*                           with the router's errorDescription on an error
+*/
+var sendSoapRequest = function (controlUrl, action, args, portControl) {
+  var serviceType = getServiceType(controlUrl, portControl);
+
+  // Promise to send the SOAP request to the control URL of the router
+  var _sendSoapRequest = new Promise(function (F, R) {
+    // The SOAP request string
+    var argsXml = args.map(function (arg) {
+      return '<' + arg[0] + '>' + arg[1] + '</' + arg[0] + '>';
+    }).join('');
+    var soap = '<?xml version="1.0"?>' +
+               '<s:Envelope s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/" xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
+                '<s:Body>' +
+                   '<u:' + action + ' xmlns:u="' + serviceType + '">' +
+                      argsXml +
+                   '</u:' + action + '>' +
+                 '</s:Body>' +
+               '</s:Envelope>';
+
+    // Send an HTTP request that encapsulates the SOAP string
+    utils.httpRequest('POST', controlUrl, {
+      'Content-Type': 'text/xml',
+      'SOAPAction': '"' + serviceType + '#' + action + '"'
+    }, soap).then(function (response) {
+      if (response.status === 200) {
+        // Success response to the action
+        F(response.body);
+      } else if (response.status === 500) {
+        // Error response to the action
+        var errorDescription = getXmlValue(response.body, 'errorDescription');
+        R(new Error(action + ' Error: ' + errorDescription));
+      } else {
+        R(new Error(action + ' Error: HTTP status ' + response.status));
       }
-    };
-    xhr.send(apm);
+    }).catch(R);
   });
 
-  // Give _sendDeletePortMapping 1 second to run before timing out
+  // Give _sendSoapRequest 1 second to run before timing out
   return Promise.race([
-    utils.countdownReject(1000, 'DeletePortMapping time out'),
-    _sendDeletePortMapping
+    utils.countdownReject(1000, action + ' time out'),
+    _sendSoapRequest
   ]);
 };
 
+/**
+* Get the text content of the first element with a tag name in an XML string,
+* ignoring any namespace prefix on the tag
+* @private
+* @method getXmlValue
+* @param {string} xmlStr The XML string to search
+* @param {string} tagName The name of the element, without a namespace prefix
+* @return {string} The text content of the element, undefined if not found or
+*                  if the XML is malformed
+*/
+var getXmlValue = function (xmlStr, tagName) {
+  try {
+    var element = xml.find(xml.parse(xmlStr), tagName);
+    return (element === undefined) ? undefined : element.text;
+  } catch (err) {
+    return undefined;
+  }
+};
+
 module.exports = {
   probeSupport: probeSupport,
   addMapping: addMapping,
   deleteMapping: deleteMapping,
-  getUpnpControlUrl: getUpnpControlUrl
+  getUpnpControlUrl: getUpnpControlUrl,
+  getControlUrls: getControlUrls,
+  getExternalIp: getExternalIp,
+  listRouterMappings: listRouterMappings
 };
@@ -1,4 +1,5 @@
 var ipaddr = require('ipaddr.js');
+var transport = require('./transport');
 
 /**
 * List of popular router default IPs
@@ -12,26 +13,40 @@ var ROUTER_IPS = ['192.168.1.1', '192.168.2.1', '192.168.11.1',
   '10.0.1.1', '10.1.1.1', '10.0.0.13', '10.0.0.2', '10.0.0.138'];
 
 /**
-* Port numbers used to probe NAT-PMP, PCP, and UPnP, which don't overlap to
-* avoid port conflicts, which can have strange and inconsistent behaviors
-* For the same reason, don't reuse for normal mappings after a probe (or ever)
+* The internal port of PCP requests that only ask the router something, i.e.
+* MAP requests with a lifetime of 0, which create nothing, and the short
+* mapping that PCP needs to learn the external IP from routers that don't
+* give it for those, which is deleted right away
+* Don't use it for normal mappings, so that these never delete one
 */
-var NAT_PMP_PROBE_PORT = 55555;
 var PCP_PROBE_PORT = 55556;
-var UPNP_PROBE_PORT = 55557;
 
 /**
 * An object representing a port mapping returned by mapping methods
 * @typedef {Object} Mapping
 * @property {string} internalIp
 * @property {number} internalPort
-* @property {string} externalIp Only provided by PCP, undefined for other protocols
+* @property {string} externalIp The external IP of the router, undefined if unknown
 * @property {number} externalPort The actual external port of the mapping, -1 on failure
 * @property {number} lifetime The actual (response) lifetime of the mapping
 * @property {string} protocol The protocol used to make the mapping ('natPmp', 'pcp', 'upnp')
-* @property {number} timeoutId The timeout ID if the mapping is refreshed
+* @property {string} transport The transport protocol that is mapped ('udp', 'tcp')
+* @property {number} timeoutId The timeout ID of the mapping's refresh or expiration
 * @property {array} nonce Only for PCP; the nonce field for deletion
+* @property {string} routerIp The IP address of the router that holds the mapping
+* @property {string} remoteIp Only for PCP PEER mappings; the remote peer's IP
+* @property {number} remotePort Only for PCP PEER mappings; the remote peer's port
+* @property {Object} pcpOptions Only for PCP; the options the router processed
+* @property {string} serviceType Only for UPnP; the router's connection service
+* @property {Array<GatewayMapping>} gateways Every gateway that holds the
+*     mapping, e.g. one per network interface; routerIp is the first one
+* @property {string} upstreamClientIp Only for a mapping that chains another
+*     one through a nested NAT: that NAT's external IP, i.e. our address on
+*     the upstream router
+* @property {Array<Mapping>} upstreamMappings The mappings on the upstream
+*     NATs that chain this one, for gateways whose external IP is private
 * @property {function} deleter Deletes the mapping from activeMappings and router
+* @property {function} refresher Re-creates the mapping on the router right away
 * @property {string} errInfo Error message if failure; currently used only for UPnP 
 */
 var Mapping = function () {
@@ -41,71 +56,521 @@ var Mapping = function () {
    this.externalPort = -1;
    this.lifetime = undefined;
    this.protocol = undefined;
+   this.transport = undefined;
    this.timeoutId = undefined;
    this.nonce = undefined;
+   this.routerIp = undefined;
+   this.remoteIp = undefined;
+   this.remotePort = undefined;
+   this.pcpOptions = undefined;
+   this.serviceType = undefined;
+   this.gateways = [];
+   this.upstreamClientIp = undefined;
+   this.upstreamMappings = [];
    this.deleter = undefined;
+   this.refresher = undefined;
    this.errInfo = undefined;
 };
 
 /**
-* Return the private IP addresses of the computer
+* One gateway's part of a Mapping that several gateways hold
+* @typedef {Object} GatewayMapping
+* @property {string} routerIp The IP address of the gateway
+* @property {string} internalIp Our IP address on the gateway's network
+* @property {string} externalIp The external IP of the gateway, undefined if
+*                               unknown
+* @property {number} externalPort The external port that the gateway mapped
+* @property {number} lifetime The lifetime that the gateway granted
+*/
+
+/**
+* The NAT in front of one of our gateways, to chain a mapping through
+* @typedef {Object} UpstreamNat
+* @property {string} clientIp The gateway's external IP, i.e. our address as
+*                             the upstream NAT sees it
+* @property {Array<string>} routerIps Only for PCP; the likely upstream
+*     routers (see getUpstreamRouterIps())
+* @property {string} controlUrl Only for UPnP; the upstream router's control URL
+*/
+
+/**
+* Return the key of a mapping in activeMappings, which is the external port
+* and transport protocol, e.g. '50000/udp', so that a UDP and a TCP mapping
+* on the same external port can coexist. PCP PEER mappings also include the
+* remote peer, e.g. '50000/udp/104.132.34.50:6000', and mappings on upstream
+* NATs include our address there, e.g. '50000/udp@100.64.0.2'
+* @public
+* @method mappingKey
+* @param {number} extPort The external port of the mapping
+* @param {string} transport The transport protocol ('udp', 'tcp'), default 'udp'
+* @param {string=} remoteIp Optional: the remote peer IP of a PEER mapping
+* @param {number=} remotePort Optional: the remote peer port of a PEER mapping
+* @param {string=} upstreamClientIp Optional: for a mapping on an upstream
+*                                   NAT, the external IP of the NAT it chains
+* @return {string} The key of the mapping in activeMappings
+*/
+var mappingKey = function (extPort, transport, remoteIp, remotePort,
+                           upstreamClientIp) {
+  var key = extPort + '/' + (transport || 'udp');
+  if (remoteIp !== undefined) { key += '/' + remoteIp + ':' + remotePort; }
+  if (upstreamClientIp !== undefined) { key += '@' + upstreamClientIp; }
+  return key;
+};
+
+/**
+* How a mapping request chooses its external port (see walkPortRange())
+* @typedef {Object} PortPolicy
+* @property {string} type 'exact': map the requested external port, or fail
+*     if it isn't available; 'any' (default): map the requested port if it's
+*     available, or else another port that the router chooses; 'range': map
+*     the first available port from min to max, starting at the requested one
+*     if it's in the range
+* @property {number=} min Only for 'range'; the lowest external port to try
+* @property {number=} max Only for 'range'; the highest external port to try
+*/
+
+/**
+* Check that a PortPolicy is well-formed
+* @public
+* @method checkPortPolicy
+* @param {PortPolicy} portPolicy The policy to check
+* @return {string|undefined} What is wrong with the policy, or undefined if
+*                            nothing is
+*/
+var checkPortPolicy = function (portPolicy) {
+  var isPort = function (port) {
+    return port === Math.floor(port) && port >= 1 && port <= 65535;
+  };
+  if (['exact', 'any', 'range'].indexOf(portPolicy.type) === -1) {
+    return 'Unknown port policy: ' + portPolicy.type;
+  }
+  if (portPolicy.type === 'range' && (!isPort(portPolicy.min) ||
+      !isPort(portPolicy.max) || portPolicy.min > portPolicy.max)) {
+    return 'Invalid port range: ' + portPolicy.min + '-' + portPolicy.max;
+  }
+  return undefined;
+};
+
+/**
+* Map the first available external port of a range, one port at a time from
+* extPort (or the start of the range, if extPort isn't in it), wrapping around
+* to the start of the range. We stop at the first failure that isn't a port
+* conflict, since e.g. a router that doesn't answer won't for any other port
+* @public
+* @method walkPortRange
+* @param {PortPolicy} portPolicy A 'range' policy with the ports to try
+* @param {number} extPort The external port to try first
+* @param {function(number):Promise<Mapping>} addExactMapping Maps one external
+*     port with the 'exact' policy
+* @param {function(Mapping):boolean} isConflict Whether a failed Mapping
+*                                               failed because of its port
+* @param {number=} maxAttempts Optional: the most ports to try, default all
+* @return {Promise<Mapping>} A promise for the first successful Mapping, or
+*                            the last failed one
+*/
+var walkPortRange = function (portPolicy, extPort, addExactMapping, isConflict,
+                              maxAttempts) {
+  var size = portPolicy.max - portPolicy.min + 1;
+  var start = (extPort >= portPolicy.min && extPort <= portPolicy.max) ?
+      extPort - portPolicy.min : 0;
+  var attempts = Math.min(size, maxAttempts || size);
+
+  function _tryPort(i) {
+    var port = portPolicy.min + (start + i) % size;
+    return addExactMapping(port).then(function (mapping) {
+      if (mapping.externalPort !== -1 || !isConflict(mapping)) {
+        return mapping;
+      } else if (i + 1 < attempts) {
+        return _tryPort(i + 1);
+      }
+      mapping.errInfo = 'No external port available from ' + portPolicy.min +
+                        ' to ' + portPolicy.max;
+      return mapping;
+    });
+  }
+  return _tryPort(0);
+};
+
+/**
+* Record the seconds since start of epoch (SSSoE) in a router's NAT-PMP or PCP
+* response, and check if the router has reset since its previous response.
+* The epoch should advance about as fast as our own clock, so we expect it to
+* advance by at least 7/8 of the time that passed locally, and the time that
+* passed locally to be at least 7/8 of how far it advanced, with 2 seconds of
+* slack either way
+* https://tools.ietf.org/html/rfc6886#section-3.6
+* https://tools.ietf.org/html/rfc6887#section-8.5
+* @public
+* @method updateEpoch
+* @param {object} routerEpochs Table of the last epoch seen from each router IP
+* @param {string} routerIp The IP address of the router that sent the response
+* @param {number} epoch The SSSoE field of the response
+* @return {boolean} True if the router's epoch went backwards or jumped ahead,
+*                   i.e. it rebooted and lost its mappings
+*/
+var updateEpoch = function (routerEpochs, routerIp, epoch) {
+  var now = Date.now();
+  var previous = routerEpochs[routerIp];
+  routerEpochs[routerIp] = {epoch: epoch, time: now};
+  if (previous === undefined) { return false; }
+
+  var elapsed = (now - previous.time) / 1000;
+  var epochElapsed = epoch - previous.epoch;
+  return epochElapsed + 2 < elapsed * 7 / 8 ||
+         elapsed + 2 < epochElapsed * 7 / 8;
+};
+
+/**
+* Return how long to wait before refreshing a mapping: half its lifetime, as
+* RFC 6887 suggests, so that the refresh reaches the router before the
+* mapping lapses, and at most the longest delay that setTimeout() allows
+* @public
+* @method getRefreshDelay
+* @param {number} lifetime The seconds that the router granted the mapping
+* @return {number} The delay in milliseconds
+*/
+var getRefreshDelay = function (lifetime) {
+  return Math.min(lifetime*1000/2, 0x7fffffff);
+};
+
+/**
+* Return whether a router holds a mapping, as its first gateway or as any of
+* the others in mapping.gateways
+* @private
+* @method isHeldBy
+* @param {Mapping} mapping The mapping
+* @param {string} routerIp The IP address of the router
+* @return {boolean}
+*/
+var isHeldBy = function (mapping, routerIp) {
+  return mapping.routerIp === routerIp ||
+         mapping.gateways.some(function (gateway) {
+           return gateway.routerIp === routerIp;
+         });
+};
+
+/**
+* Return the external IP that a mapping has on one of its gateways
+* @public
+* @method getGatewayExternalIp
+* @param {Mapping} mapping The mapping
+* @param {string} routerIp The IP address of the gateway
+* @return {string} The external IP, undefined if the gateway doesn't hold the
+*                  mapping or didn't say
+*/
+var getGatewayExternalIp = function (mapping, routerIp) {
+  for (var i = 0; i < mapping.gateways.length; i++) {
+    if (mapping.gateways[i].routerIp === routerIp) {
+      return mapping.gateways[i].externalIp;
+    }
+  }
+  return (mapping.routerIp === routerIp) ? mapping.externalIp : undefined;
+};
+
+/**
+* Return the mappings in activeMappings that are held by a router, whether it
+* is their first gateway or another one
+* @public
+* @method getRouterMappings
+* @param {object} activeMappings Table of active Mappings
+* @param {string} routerIp The IP address of the router
+* @param {string=} exceptKey Optional: the activeMappings key of a mapping to skip
+* @return {Array<Mapping>} The Mappings held by the router
+*/
+var getRouterMappings = function (activeMappings, routerIp, exceptKey) {
+  var routerMappings = [];
+  for (var key in activeMappings) {
+    if (activeMappings.hasOwnProperty(key) && key !== exceptKey &&
+        isHeldBy(activeMappings[key], routerIp)) {
+      routerMappings.push(activeMappings[key]);
+    }
+  }
+  return routerMappings;
+};
+
+/**
+* Re-create every mapping in activeMappings that is held by a router which has
+* reset and lost its mappings (or announced a change), using each Mapping's
+* refresher()
+* @public
+* @method recoverMappings
+* @param {object} activeMappings Table of active Mappings
+* @param {string} routerIp The IP address of the router that reset
+* @param {string=} exceptKey Optional: the activeMappings key of a mapping to skip
+* @param {string=} successEvent Optional: the event to emit for each re-created
+*                               mapping, 'mappingRecovered' by default
+* @return {Promise<Array<Mapping>>} A promise for the recovered Mappings
+*/
+var recoverMappings = function (activeMappings, routerIp, exceptKey,
+                                successEvent) {
+  var lostMappings = getRouterMappings(activeMappings, routerIp, exceptKey);
+  return Promise.all(lostMappings.map(function (mapping) {
+    return mapping.refresher(successEvent);
+  })).then(function (mappings) {
+    return mappings.filter(function (mapping) {
+      return mapping.externalPort !== -1;
+    });
+  });
+};
+
+/**
+* Return the private IP addresses of the computer, both IPv4 and IPv6
+* IPv6 link-local addresses are left out, since they can't be used without
+* a zone index
 * @public
 * @method getPrivateIps
 * @return {Promise<string>} A promise that fulfills with a list of IP address, 
 *                           or rejects on timeout
 */
 var getPrivateIps = function () {
-  var privateIps = [];
-  var pc = freedom['core.rtcpeerconnection']({iceServers: []});
-
-  // Find all the ICE candidates that are "host" candidates
-  pc.on('onicecandidate', function (candidate) {
-    if (candidate.candidate) {
-      var cand = candidate.candidate.candidate.split(' ');
-      if (cand[7] === 'host') {
-        var privateIp = cand[4];
-        if (ipaddr.IPv4.isValid(privateIp)) {
-          if (privateIps.indexOf(privateIp) === -1) {
-            privateIps.push(privateIp);
-          }
-        }
+  return transport.getTransport().getPrivateIps().then(function (ips) {
+    var privateIps = [];
+    ips.forEach(function (privateIp) {
+      if ((ipaddr.IPv4.isValid(privateIp) ||
+           (ipaddr.IPv6.isValid(privateIp) &&
+            ipaddr.IPv6.parse(privateIp).range() !== 'linkLocal')) &&
+          privateIps.indexOf(privateIp) === -1) {
+        privateIps.push(privateIp);
       }
+    });
+    if (privateIps.length === 0) {
+      return Promise.reject(new Error("getPrivateIps() failed"));
     }
+    return privateIps;
   });
+};
 
-  // Set up the PeerConnection to start generating ICE candidates
-  pc.createDataChannel('dummy data channel').
-      then(pc.createOffer).
-      then(pc.setLocalDescription);
+/**
+* Create a UDP socket with the current transport (see transport.js)
+* @public
+* @method createUdpSocket
+* @return {UdpSocket} The socket, which isn't bound yet
+*/
+var createUdpSocket = function () {
+  return transport.getTransport().createUdpSocket();
+};
 
-  // Gather candidates for 2 seconds before returning privateIps or timing out
-  return new Promise(function (F, R) {
-    setTimeout(function () {
-      var cleanup = function() {
-        freedom['core.rtcpeerconnection'].close(pc);
-      };
-      pc.close().then(cleanup, cleanup);
-      if (privateIps.length > 0) { F(privateIps); }
-      else { R(new Error("getPrivateIps() failed")); }
-    }, 2000);
-  });
+/**
+* Send an HTTP request with the current transport (see transport.js)
+* @public
+* @method httpRequest
+* @param {string} method The HTTP method, e.g. 'GET'
+* @param {string} url The URL to send the request to
+* @param {Object} headers The request headers, by name
+* @param {string=} body Optional: the request body
+* @return {Promise<HttpResponse>} A promise for the response
+*/
+var httpRequest = function (method, url, headers, body) {
+  return transport.getTransport().httpRequest(method, url, headers, body);
 };
 
 /**
 * Filters routerIps for only those that match any of the user's IPs in privateIps
-* i.e. The longest prefix matches of the router IPs with each user IP* @public
+* i.e. The longest prefix matches of the router IPs with each user IP
+* Only IPv4 private IPs are matched, since ROUTER_IPS are all IPv4
+* @public
 * @method filterRouterIps 
 * @param  {Array<string>} privateIps Private IPs to match router IPs to 
 * @return {Array<string>} Router IPs that matched (one per private IP)
 */
 var filterRouterIps = function (privateIps) {
-  routerIps = [];
+  var routerIps = [];
+  privateIps.forEach(function (privateIp) {
+    if (ipaddr.IPv4.isValid(privateIp)) {
+      routerIps.push(longestPrefixMatch(ROUTER_IPS, privateIp));
+    }
+  });
+  return routerIps;
+};
+
+/**
+* Return whether an IP address is private, i.e. behind another NAT when it's
+* a router's external IP: RFC 1918 and shared (RFC 6598, used for carrier-grade
+* NAT) IPv4 addresses, and IPv6 unique local addresses
+* @public
+* @method isPrivateIp
+* @param {string} ip The IP address
+* @return {boolean}
+*/
+var isPrivateIp = function (ip) {
+  if (ipaddr.IPv4.isValid(ip)) {
+    return ipaddr.IPv4.parse(ip).range() === 'private' || isCgnIp(ip);
+  }
+  return ipaddr.IPv6.isValid(ip) &&
+         ipaddr.IPv6.parse(ip).range() === 'uniqueLocal';
+};
+
+/**
+* Return whether an IP address is in the shared address space 100.64.0.0/10,
+* which carrier-grade NATs number their customers' routers from (RFC 6598)
+* @public
+* @method isCgnIp
+* @param {string} ip The IP address
+* @return {boolean}
+*/
+var isCgnIp = function (ip) {
+  return ipaddr.IPv4.isValid(ip) &&
+         ipaddr.IPv4.parse(ip).match(ipaddr.IPv4.parse('100.64.0.0'), 10);
+};
+
+/**
+* Guesses the router IPs on the subnets of the user's IPs in privateIps, i.e.
+* the .1 and .254 addresses of each IPv4 address's /24 subnet, and the ::1
+* address of each IPv6 address's /64 subnet
+* @public
+* @method getSubnetRouterIps
+* @param  {Array<string>} privateIps Private IPs to guess router IPs from
+* @return {Array<string>} The guessed router IPs
+*/
+var getSubnetRouterIps = function (privateIps) {
+  var routerIps = [];
+  privateIps.forEach(function (privateIp) {
+    if (ipaddr.IPv4.isValid(privateIp)) {
+      var octets = ipaddr.IPv4.parse(privateIp).octets;
+      [1, 254].forEach(function (lastOctet) {
+        var routerIp = octets.slice(0, 3).concat([lastOctet]).join('.');
+        if (routerIp !== privateIp && routerIps.indexOf(routerIp) === -1) {
+          routerIps.push(routerIp);
+        }
+      });
+    }
+  });
+  return arrAdd(routerIps, filterIpv6RouterIps(privateIps));
+};
+
+/**
+* Return the shared list of likely gateways that NAT-PMP and PCP requests are
+* sent to first, in order of confidence:
+* 1. Router IPs that the caller supplied (PortControl.setRouterIps())
+* 2. Routers that have answered us before (routerIpCache)
+* 3. UPnP devices that answered our SSDP searches (ssdpRouterIps)
+* 4. The .1 and .254 addresses of the user's subnets (getSubnetRouterIps())
+* 5. The popular router IPs that best match the user's IPs (filterRouterIps())
+* @public
+* @method getGatewayIps
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  userRouterIps, routerIpCache, etc.
+* @param {Array<string>} privateIps The private IPs of the user's computer
+* @param {boolean=} ipv4Only Optional: leave out IPv6 gateways
+* @return {Array<string>} The gateway IPs, without duplicates
+*/
+var getGatewayIps = function (portControl, privateIps, ipv4Only) {
+  var gatewayIps = [portControl.userRouterIps, portControl.routerIpCache,
+                    portControl.ssdpRouterIps, getSubnetRouterIps(privateIps),
+                    filterRouterIps(privateIps)].reduce(arrAdd, []);
+  if (ipv4Only) {
+    gatewayIps = gatewayIps.filter(function (ip) {
+      return ipaddr.IPv4.isValid(ip);
+    });
+  }
+  return gatewayIps;
+};
+
+/**
+* Return the likely routers of the NAT in front of a gateway whose external
+* IP is private, i.e. the next NAT out in a double NAT, in order of confidence:
+* the router IPs that the caller supplied, UPnP devices that answered our SSDP
+* searches, and the .1 and .254 addresses of the external IP's subnet
+* @public
+* @method getUpstreamRouterIps
+* @param {PortControl} portControl The PortControl instance, which holds
+*                                  userRouterIps, ssdpRouterIps, etc.
+* @param {string} externalIp The external IP of the inner gateway
+* @param {Array<string>} gatewayIps The inner gateways, to leave out
+* @return {Array<string>} The upstream router IPs, of externalIp's IP version
+*/
+var getUpstreamRouterIps = function (portControl, externalIp, gatewayIps) {
+  var isIpv4 = ipaddr.IPv4.isValid(externalIp);
+  var routerIps = [portControl.userRouterIps, portControl.ssdpRouterIps,
+                   getSubnetRouterIps([externalIp])].reduce(arrAdd, []);
+  return arrDiff(routerIps, gatewayIps).filter(function (ip) {
+    return ipaddr.IPv4.isValid(ip) === isIpv4 && ip !== externalIp;
+  });
+};
+
+/**
+* Guesses the IPv6 router IPs for the user's IPv6 addresses in privateIps,
+* which is the first address (::1) of each address's /64 subnet
+* @public
+* @method filterIpv6RouterIps
+* @param  {Array<string>} privateIps Private IPs to guess router IPs from
+* @return {Array<string>} IPv6 router IPs (one per IPv6 private IP)
+*/
+var filterIpv6RouterIps = function (privateIps) {
+  var routerIps = [];
   privateIps.forEach(function (privateIp) {
-    routerIps.push(longestPrefixMatch(ROUTER_IPS, privateIp));
+    if (ipaddr.IPv6.isValid(privateIp)) {
+      var parts = ipaddr.IPv6.parse(privateIp).parts.slice(0, 4);
+      var routerIp = new ipaddr.IPv6(parts.concat([0, 0, 0, 1])).toString();
+      if (routerIps.indexOf(routerIp) === -1) { routerIps.push(routerIp); }
+    }
   });
   return routerIps;
 };
 
+/**
+* Returns the rows for createArrayBuffer() that write an IP address into a
+* 16-byte address field, as used by PCP; an IPv4 address is written as an
+* IPv4-mapped IPv6 address (https://tools.ietf.org/html/rfc6887#section-5)
+* @public
+* @method ipToMatrix
+* @param {number} offset The byte offset of the address field
+* @param {string} ip The IPv4 or IPv6 address
+* @return {Array<Array<number>>} Matrix rows for createArrayBuffer()
+*/
+var ipToMatrix = function (offset, ip) {
+  var addr = ipaddr.parse(ip);
+  if (addr.kind() === 'ipv4') { addr = addr.toIPv4MappedAddress(); }
+  return addr.parts.map(function (part, i) {
+    return [16, offset + 2*i, part];
+  });
+};
+
+/**
+* Reads a 16-byte address field, as used by PCP, from an ArrayBuffer
+* An IPv4-mapped IPv6 address is returned as an IPv4 address
+* @public
+* @method readIp
+* @param {ArrayBuffer} buffer The buffer to read from
+* @param {number} offset The byte offset of the address field
+* @return {string} The IPv4 or IPv6 address
+*/
+var readIp = function (buffer, offset) {
+  var view = new DataView(buffer);
+  var parts = [];
+  for (var i = 0; i < 8; i++) {
+    parts.push(view.getUint16(offset + 2*i));
+  }
+  var addr = new ipaddr.IPv6(parts);
+  if (addr.isIPv4MappedAddress()) { addr = addr.toIPv4Address(); }
+  return addr.toString();
+};
+
+/**
+* Return whether two IP addresses are the same address, e.g. '10.0.0.1' and
+* its IPv4-mapped form '::ffff:10.0.0.1', or two spellings of an IPv6 address
+* @public
+* @method isSameIp
+* @param {string} ipA An IPv4 or IPv6 address
+* @param {string} ipB An IPv4 or IPv6 address
+* @return {boolean} True if they're the same address, false otherwise or if
+*                   either is not a valid IP address
+*/
+var isSameIp = function (ipA, ipB) {
+  var normalize = function (ip) {
+    var addr = ipaddr.parse(ip);
+    if (addr.kind() === 'ipv6' && addr.isIPv4MappedAddress()) {
+      addr = addr.toIPv4Address();
+    }
+    return addr.toString();
+  };
+  try {
+    return normalize(ipA) === normalize(ipB);
+  } catch (err) {
+    return false;
+  }
+};
+
 /**
  * Creates an ArrayBuffer with a compact matrix notation, i.e.
  * [[bits, byteOffset, value], 
@@ -150,15 +615,79 @@ var countdownReject = function (time, msg, callback) {
 };
 
 /**
-* Close the OS-level sockets and discard its Freedom object
+* How to retransmit a NAT-PMP or PCP request until the router answers
+* Each retransmission waits twice as long as the one before, up to
+* maxInterval, and each wait is randomized by +/- jitter of itself
+* @typedef {Object} Retransmission
+* @property {number} initialInterval Milliseconds to wait for a response to
+*                                    the first transmission
+* @property {number} maxInterval The longest wait in milliseconds, 0 for none
+* @property {number} maxAttempts The most transmissions to send, 0 for no limit
+* @property {number} deadline Milliseconds after the first transmission to
+*                             give up, 0 for none
+* @property {number} jitter The fraction to randomize each wait by, e.g. 0.1
+*/
+
+/**
+* Send a request, and send it again on a Retransmission schedule until
+* stop() is called, e.g. when the response arrives
+* @public
+* @method retransmit
+* @param {function} send Sends the request once
+* @param {Retransmission} retransmission The schedule to follow
+* @param {string} msg Message of the Error to reject with when giving up
+* @return {{promise: Promise, stop: function}} promise rejects when the
+*     attempts or deadline run out, after the last attempt's wait; stop()
+*     stops retransmitting, and the promise then never settles
+*/
+var retransmit = function (send, retransmission, msg) {
+  var start = Date.now();
+  var attempts = 0;
+  var interval = retransmission.initialInterval;
+  var timeoutId;
+  var stopped = false;
+
+  var promise = new Promise(function (F, R) {
+    var sendNext = function () {
+      var elapsed = Date.now() - start;
+      if (stopped) { return; }
+      if ((retransmission.maxAttempts > 0 &&
+           attempts >= retransmission.maxAttempts) ||
+          (retransmission.deadline > 0 && elapsed >= retransmission.deadline)) {
+        R(new Error(msg));
+        return;
+      }
+
+      send();
+      attempts++;
+      var wait = interval * (1 + retransmission.jitter * (2*Math.random() - 1));
+      if (retransmission.deadline > 0) {
+        wait = Math.min(wait, retransmission.deadline - elapsed);
+      }
+      interval = (retransmission.maxInterval > 0) ?
+          Math.min(2*interval, retransmission.maxInterval) : 2*interval;
+      timeoutId = setTimeout(sendNext, wait);
+    };
+    sendNext();
+  });
+
+  return {
+    promise: promise,
+    stop: function () {
+      stopped = true;
+      clearTimeout(timeoutId);
+    }
+  };
+};
+
+/**
+* Close a socket from createUdpSocket(), ignoring any error
 * @public
 * @method closeSocket
-* @param {freedom_UdpSocket.Socket} socket The socket object to close
+* @param {UdpSocket} socket The socket object to close
 */
 var closeSocket = function (socket) {
-  socket.destroy().then(function () {
-    freedom['core.udpsocket'].close(socket);
-  });
+  socket.close().catch(function (err) {});
 };
 
 /**
@@ -168,25 +697,30 @@ var closeSocket = function (socket) {
 * @method longestPrefixMatch
 * @param {Array} ipList List of IP addresses to find the longest prefix match in
 * @param {string} matchIp The router's IP address as a string
-* @return {string} The IP from the given list with the longest prefix match
+* @return {string} The IP from the given list with the longest prefix match,
+*                  undefined if none of them are the same IP version as matchIp
 */
 var longestPrefixMatch = function (ipList, matchIp) {
   var prefixMatches = [];
-  matchIp = ipaddr.IPv4.parse(matchIp);
+  matchIp = ipaddr.parse(matchIp);
+  var bits = (matchIp.kind() === 'ipv6') ? 128 : 32;
   for (var i = 0; i < ipList.length; i++) {
-    var ip = ipaddr.IPv4.parse(ipList[i]);
-    // Use ipaddr.js to find the longest prefix length (mask length)
-    for (var mask = 1; mask < 32; mask++) {
-      if (!ip.match(matchIp, mask)) {
-        prefixMatches.push(mask - 1);
-        break;
-      }
+    var ip = ipaddr.parse(ipList[i]);
+    // IPs of a different version never match
+    if (ip.kind() !== matchIp.kind()) {
+      prefixMatches.push(-1);
+      continue;
     }
+    // Use ipaddr.js to find the longest prefix length (mask length)
+    var mask = 0;
+    while (mask < bits && ip.match(matchIp, mask + 1)) { mask++; }
+    prefixMatches.push(mask);
   }
 
   // Find the argmax for prefixMatches, i.e. the index of the correct private IP
-  var maxIndex = prefixMatches.indexOf(Math.max.apply(null, prefixMatches));
-  var correctIp = ipList[maxIndex];
+  var maxMatch = Math.max.apply(null, prefixMatches);
+  if (maxMatch === -1) { return undefined; }
+  var correctIp = ipList[prefixMatches.indexOf(maxMatch)];
   return correctIp;
 };
 
@@ -267,15 +801,33 @@ var arrAdd = function (listA, listB) {
 
 module.exports = {
   ROUTER_IPS: ROUTER_IPS,
-  NAT_PMP_PROBE_PORT: NAT_PMP_PROBE_PORT,
   PCP_PROBE_PORT: PCP_PROBE_PORT,
-  UPNP_PROBE_PORT: UPNP_PROBE_PORT,
   Mapping: Mapping,
+  mappingKey: mappingKey,
+  checkPortPolicy: checkPortPolicy,
+  walkPortRange: walkPortRange,
+  updateEpoch: updateEpoch,
+  getRefreshDelay: getRefreshDelay,
+  getGatewayExternalIp: getGatewayExternalIp,
+  getRouterMappings: getRouterMappings,
+  recoverMappings: recoverMappings,
   getPrivateIps: getPrivateIps,
+  createUdpSocket: createUdpSocket,
+  httpRequest: httpRequest,
   createArrayBuffer: createArrayBuffer,
   countdownReject: countdownReject,
+  retransmit: retransmit,
   closeSocket: closeSocket,
   filterRouterIps: filterRouterIps,
+  filterIpv6RouterIps: filterIpv6RouterIps,
+  getSubnetRouterIps: getSubnetRouterIps,
+  getGatewayIps: getGatewayIps,
+  getUpstreamRouterIps: getUpstreamRouterIps,
+  isPrivateIp: isPrivateIp,
+  isCgnIp: isCgnIp,
+  ipToMatrix: ipToMatrix,
+  readIp: readIp,
+  isSameIp: isSameIp,
   longestPrefixMatch: longestPrefixMatch,
   randInt: randInt,
   arrayBufferToString: arrayBufferToString,
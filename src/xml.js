@@ -0,0 +1,206 @@
+/**
+* A small XML parser for UPnP device descriptions and SOAP responses,
+* since DOMParser is not available in the freedom.js module context
+* It handles elements, attributes, text, CDATA, comments, processing
+* instructions and the predefined and numeric entities; namespace prefixes
+* are dropped from element names, so '<s:Body>' is named 'Body'
+*/
+
+/**
+* An element of a parsed XML document
+* @typedef {Object} XmlElement
+* @property {string} name The element's tag name, without a namespace prefix
+* @property {Object} attributes The element's attributes, by name
+* @property {Array<XmlElement>} children The element's child elements
+* @property {string} text The element's own text content (not its children's)
+*/
+
+// Matches one token of an XML document: a comment, CDATA section, processing
+// instruction or declaration, closing tag, opening or empty tag, or text
+var TOKEN_REGEX = new RegExp(
+  '<!--[\\s\\S]*?-->|' +
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|' +
+  '<[?!][\\s\\S]*?>|' +
+  '</([^\\s>]+)\\s*>|' +
+  '<([^\\s/>]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>|' +
+  '([^<]+)', 'g');
+
+// Matches one attribute in the attribute string of a tag
+var ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+* Parse an XML string into a tree of elements
+* @public
+* @method parse
+* @param {string} xmlStr The XML string to parse
+* @return {XmlElement} The root element of the document
+* @throws {Error} If the XML is malformed, e.g. it has mismatched tags
+*/
+var parse = function (xmlStr) {
+  var root;
+  var stack = [];
+  var match;
+
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(xmlStr)) !== null) {
+    var parent = stack[stack.length - 1];
+
+    if (match[1] !== undefined) {
+      // CDATA section
+      if (parent) { parent.text += match[1]; }
+    } else if (match[2] !== undefined) {
+      // Closing tag
+      var closed = stack.pop();
+      if (closed === undefined || closed.name !== localName(match[2])) {
+        throw new Error('Malformed XML: unexpected </' + match[2] + '>');
+      }
+    } else if (match[3] !== undefined) {
+      // Opening tag, or empty tag if it ends with '/>'
+      var element = {
+        name: localName(match[3]),
+        attributes: parseAttributes(match[4]),
+        children: [],
+        text: ''
+      };
+      if (parent) { parent.children.push(element); }
+      else if (root === undefined) { root = element; }
+      else { throw new Error('Malformed XML: more than one root element'); }
+      if (match[5] !== '/') { stack.push(element); }
+    } else if (match[6] !== undefined) {
+      // Text; whitespace between elements is dropped
+      if (parent) { parent.text += decodeEntities(match[6]); }
+    }
+    // Comments, processing instructions and declarations are skipped
+  }
+
+  if (root === undefined || stack.length > 0) {
+    throw new Error('Malformed XML: missing root element or closing tags');
+  }
+  trimText(root);
+  return root;
+};
+
+/**
+* Return the first child element of an element with a name
+* @public
+* @method child
+* @param {XmlElement} element The parent element
+* @param {string} name The name of the child, without a namespace prefix
+* @return {XmlElement} The child element, undefined if there is none
+*/
+var child = function (element, name) {
+  return children(element, name)[0];
+};
+
+/**
+* Return all the child elements of an element with a name
+* @public
+* @method children
+* @param {XmlElement} element The parent element
+* @param {string} name The name of the children, without a namespace prefix
+* @return {Array<XmlElement>} The child elements, in document order
+*/
+var children = function (element, name) {
+  if (element === undefined) { return []; }
+  return element.children.filter(function (childElement) {
+    return childElement.name === name;
+  });
+};
+
+/**
+* Return the text of the first child element of an element with a name
+* @public
+* @method childText
+* @param {XmlElement} element The parent element
+* @param {string} name The name of the child, without a namespace prefix
+* @return {string} The text of the child, undefined if there is no such child
+*/
+var childText = function (element, name) {
+  var childElement = child(element, name);
+  return (childElement === undefined) ? undefined : childElement.text;
+};
+
+/**
+* Return the first element with a name anywhere under an element (including
+* the element itself), searching depth-first in document order
+* @public
+* @method find
+* @param {XmlElement} element The element to search under
+* @param {string} name The name of the element, without a namespace prefix
+* @return {XmlElement} The element, undefined if there is none
+*/
+var find = function (element, name) {
+  if (element.name === name) { return element; }
+  for (var i = 0; i < element.children.length; i++) {
+    var found = find(element.children[i], name);
+    if (found !== undefined) { return found; }
+  }
+  return undefined;
+};
+
+/**
+* Strip the namespace prefix from a tag name, e.g. 's:Body' -> 'Body'
+* @private
+* @method localName
+* @param {string} name The tag name
+* @return {string} The tag name without its prefix
+*/
+var localName = function (name) {
+  return name.substring(name.indexOf(':') + 1);
+};
+
+/**
+* Parse the attribute string of a tag into an object
+* @private
+* @method parseAttributes
+* @param {string} attributeStr The attributes part of the tag, e.g. ' a="1"'
+* @return {Object} The attribute values, by name
+*/
+var parseAttributes = function (attributeStr) {
+  var attributes = {};
+  var match;
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(attributeStr)) !== null) {
+    var value = (match[2] !== undefined) ? match[2] : match[3];
+    attributes[match[1]] = decodeEntities(value);
+  }
+  return attributes;
+};
+
+/**
+* Replace the predefined and numeric character entities in a string
+* @private
+* @method decodeEntities
+* @param {string} str The string with entities, e.g. 'a &amp; b'
+* @return {string} The decoded string, e.g. 'a & b'
+*/
+var decodeEntities = function (str) {
+  var entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+  return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g,
+                     function (entity, code) {
+    if (code[0] === '#') {
+      return String.fromCharCode(code[1] === 'x' ?
+          parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+    }
+    return entities.hasOwnProperty(code) ? entities[code] : entity;
+  });
+};
+
+/**
+* Trim the whitespace around the text of an element and its descendants
+* @private
+* @method trimText
+* @param {XmlElement} element The element to trim
+*/
+var trimText = function (element) {
+  element.text = element.text.trim();
+  element.children.forEach(trimText);
+};
+
+module.exports = {
+  parse: parse,
+  child: child,
+  children: children,
+  childText: childText,
+  find: find
+};
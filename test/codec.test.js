@@ -0,0 +1,93 @@
+/**
+* Tests of encoding NAT-PMP and PCP requests and decoding their responses
+*/
+var test = require('node:test');
+var assert = require('assert');
+var codec = require('../src/codec');
+
+// Return an ArrayBuffer with the bytes of an array
+var toArrayBuffer = function (bytes) {
+  return new Uint8Array(bytes).buffer;
+};
+
+test('encodes a NAT-PMP TCP mapping request', function () {
+  var request = codec.encodePmpMapRequest({transport: 'tcp', internalPort: 80,
+                                           externalPort: 8080, lifetime: 3600});
+  assert.deepStrictEqual(Array.from(new Uint8Array(request)),
+                         [0, 2, 0, 0, 0, 80, 0x1f, 0x90, 0, 0, 0x0e, 0x10]);
+});
+
+test('decodes a NAT-PMP error response with a named result', function () {
+  var response = codec.decodePmpResponse(
+      toArrayBuffer([0, 129, 0, 4, 0, 0, 1, 0]));
+  assert.strictEqual(response.isResponse, true);
+  assert.strictEqual(response.opcode, 1);
+  assert.strictEqual(response.resultName, 'NO_RESOURCES');
+  assert.strictEqual(response.epoch, 256);
+  assert.strictEqual(response.externalPort, undefined);
+});
+
+test('round-trips a PCP PEER request with options', function () {
+  var request = codec.encodePcpPeerRequest({
+    clientIp: '192.168.1.2', lifetime: 120, nonce: [1, 2, 0xffffffff],
+    transport: 'udp', internalPort: 5000, externalPort: 5000,
+    remoteIp: '2001:db8::1', remotePort: 6000,
+    options: {thirdPartyIp: '192.168.1.3'}
+  });
+  assert.strictEqual(request.byteLength, 100);
+
+  // A response has the same layout, with the R bit set in the opcode
+  var bytes = new Uint8Array(request);
+  bytes[1] |= 0x80;
+  bytes[3] = 11;
+  var response = codec.decodePcpResponse(request);
+  assert.strictEqual(response.opcode, 2);
+  assert.strictEqual(response.resultName, 'CANNOT_PROVIDE_EXTERNAL');
+  assert.deepStrictEqual(response.nonce, [1, 2, 0xffffffff]);
+  assert.strictEqual(response.remoteIp, '2001:db8::1');
+  assert.strictEqual(response.remotePort, 6000);
+  assert.strictEqual(response.externalIp, '0.0.0.0');
+  assert.deepStrictEqual(response.options, {thirdPartyIp: '192.168.1.3'});
+});
+
+test('rejects a truncated PCP response', function () {
+  assert.throws(function () {
+    codec.decodePcpResponse(toArrayBuffer([2, 0x81, 0, 0]));
+  }, /too short/);
+});
+
+test('rejects a PCP response with another nonce', function () {
+  var request = codec.encodePcpMapRequest({
+    clientIp: '192.168.1.2', lifetime: 120, nonce: [1, 2, 3],
+    transport: 'tcp', internalPort: 5000, externalPort: 5000
+  });
+  var bytes = new Uint8Array(request.slice(0));
+  bytes[1] |= 0x80;
+  var response = codec.decodePcpResponse(bytes.buffer);
+  codec.validatePcpResponse(response, request);
+
+  bytes[35] = 4;
+  assert.throws(function () {
+    codec.validatePcpResponse(codec.decodePcpResponse(bytes.buffer), request);
+  }, /nonce/);
+});
+
+test('rejects NAT-PMP responses for another opcode or version', function () {
+  var request = codec.encodePmpAddressRequest();
+  var response = codec.decodePmpResponse(
+      toArrayBuffer([0, 128, 0, 0, 0, 0, 0, 1, 203, 0, 113, 1]));
+  codec.validatePmpResponse(response, request);
+  assert.strictEqual(response.externalIp, '203.0.113.1');
+
+  assert.throws(function () {
+    codec.validatePmpResponse(codec.decodePmpResponse(
+        toArrayBuffer([0, 129, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0])), request);
+  }, /opcode/);
+  assert.throws(function () {
+    codec.validatePmpResponse(codec.decodePmpResponse(
+        toArrayBuffer([1, 128, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0])), request);
+  }, /version/);
+  // A PCP server's UNSUPP_VERSION is an answer, though a failed one
+  codec.validatePmpResponse(codec.decodePmpResponse(
+      toArrayBuffer([2, 128, 0, 1, 0, 0, 0, 1])), request);
+});
@@ -0,0 +1,1075 @@
+/**
+* A simulated NAT gateway for testing port control end to end without a real
+* router. It binds on localhost and answers:
+*   NAT-PMP and PCP requests on port 5351 (RFC 6886, RFC 6887)
+*   SSDP M-SEARCHes, on a port that the simulator's transport redirects
+*     239.255.255.250:1900 to
+*   the UPnP IGD device description and SOAP control URL, over HTTP
+* Its behavior is set by the options, which can be changed between requests
+* through simulator.options, e.g. to make the next requests fail
+* A simulator on an IPv6 address answers SSDP on 127.0.0.1, since SSDP
+* searches are IPv4 multicast, and gives its IPv6 URL in the LOCATION header
+*/
+var dgram = require('dgram');
+var http = require('http');
+var ipaddr = require('ipaddr.js');
+var nodeTransport = require('../src/node-transport');
+var xml = require('../src/xml');
+
+/**
+* Default options of a NatSimulator
+* @typedef {Object} NatSimulatorOptions
+* @property {string} address The address that the simulator binds to, and that
+*                            clients should use as their router IP, IPv4 or
+*                            IPv6
+* @property {string} clientIp The private IP that the transport reports
+* @property {string} sourceIp The address that NAT-PMP/PCP requests appear to
+*                            come from, as if a NAT in front of the client
+*                            translated them, or undefined for the real one
+* @property {string} externalIp The external IP of the simulated router
+* @property {boolean} natPmp Whether to answer NAT-PMP requests
+* @property {boolean} pcp Whether to answer PCP requests
+* @property {boolean} sharedTable Whether NAT-PMP and PCP requests find each
+*                                 other's mappings, as on routers that keep
+*                                 one redirect table for every protocol
+* @property {boolean} pcpAnnounce Whether to support the PCP ANNOUNCE opcode,
+*                                 or answer it with UNSUPP_OPCODE
+* @property {boolean} pcpDeleteExternalIp Whether to answer a PCP MAP with a
+*                                         lifetime of 0 with the external IP,
+*                                         or with the unspecified address as
+*                                         some routers do
+* @property {boolean} upnp Whether to answer SSDP, HTTP and SOAP requests
+* @property {boolean} multicastRoute Whether the transport can send SSDP
+*                                    searches; without a route, sending fails
+*                                    like on a host without multicast
+* @property {string} upnpServiceType The UPnP service that the device offers
+* @property {string} upnpUrls How the device description gives the control
+*                            URL: 'relative' to the description's own URL,
+*                            'absolute', or relative to a 'urlBase'
+* @property {number} maxLifetime The longest NAT-PMP/PCP lifetime to grant
+* @property {number} maxLease The longest UPnP lease to grant, or 0 to make
+*                             every UPnP mapping permanent
+* @property {Array<number>} reservedPorts External ports that are taken by
+*                                         other hosts, to cause conflicts
+* @property {number} packetLoss The probability of dropping each request
+* @property {number} dropRequests How many of the next NAT-PMP/PCP requests
+*                                 to drop, to test retransmission
+* @property {boolean} strayResponses Whether to send a packet that doesn't
+*                                    answer the request (e.g. with another
+*                                    nonce) before each NAT-PMP/PCP response
+* @property {number} pmpResultCode A NAT-PMP result code to fail with
+* @property {number} pcpResultCode A PCP result code to fail with
+* @property {number} upnpErrorCode A UPnP error code to fail SOAP actions with
+* @property {number} epoch The seconds since the start of the epoch at start
+*/
+var DEFAULT_OPTIONS = {
+  address: '127.0.0.1',
+  clientIp: '127.0.0.1',
+  sourceIp: undefined,
+  externalIp: '203.0.113.1',
+  natPmp: true,
+  pcp: true,
+  pcpAnnounce: true,
+  pcpDeleteExternalIp: true,
+  sharedTable: false,
+  upnp: true,
+  multicastRoute: true,
+  upnpServiceType: 'urn:schemas-upnp-org:service:WANIPConnection:2',
+  upnpUrls: 'relative',
+  maxLifetime: 24*60*60,
+  maxLease: 604800,
+  reservedPorts: [],
+  packetLoss: 0,
+  dropRequests: 0,
+  strayResponses: false,
+  pmpResultCode: 0,
+  pcpResultCode: 0,
+  upnpErrorCode: 0,
+  epoch: 1000
+};
+
+/**
+* Descriptions of the UPnP error codes that the simulator returns
+*/
+var UPNP_ERRORS = {
+  401: 'Invalid Action',
+  402: 'Invalid Args',
+  501: 'Action Failed',
+  606: 'Action not authorized',
+  713: 'SpecifiedArrayIndexInvalid',
+  714: 'NoSuchEntryInArray',
+  718: 'ConflictInMappingEntry',
+  728: 'NoPortMapsAvailable'
+};
+
+// The PCP result codes that the simulator itself returns
+var PCP_UNSUPP_VERSION = 1;
+var PCP_MALFORMED_REQUEST = 3;
+var PCP_UNSUPP_OPCODE = 4;
+var PCP_UNSUPP_OPTION = 5;
+var PCP_CANNOT_PROVIDE_EXTERNAL = 11;
+var PCP_ADDRESS_MISMATCH = 12;
+
+// The NAT-PMP result code for an unsupported opcode
+var PMP_UNSUPP_OPCODE = 5;
+
+// The first external port that the simulator assigns when the requested one
+// is taken
+var FIRST_FREE_PORT = 40000;
+
+/**
+* A simulated NAT gateway
+* @constructor
+* @param {Object=} options Optional: options that override DEFAULT_OPTIONS
+*/
+var NatSimulator = function (options) {
+  this.options = {};
+  for (var name in DEFAULT_OPTIONS) {
+    if (DEFAULT_OPTIONS.hasOwnProperty(name)) {
+      this.options[name] = (options && options.hasOwnProperty(name)) ?
+          options[name] : DEFAULT_OPTIONS[name];
+    }
+  }
+
+  // The router's mappings, keyed by 'transport/externalPort'
+  this.mappings = {};
+  // Every request that the simulator has received, e.g. {protocol: 'pcp',
+  // opcode: 1}, for tests to check what a client sent; NAT-PMP mapping
+  // requests also have the internalPort, externalPort and lifetime asked for,
+  // and PCP MAP and PEER requests the lifetime
+  this.requests = [];
+  this.startTime = Date.now() - this.options.epoch*1000;
+  this.ssdpAddress = ipaddr.IPv6.isValid(this.options.address) ?
+      '127.0.0.1' : this.options.address;
+  this.ssdpPort = undefined;
+  this.httpPort = undefined;
+  this.transport = this.createTransport();
+};
+
+/**
+* Bind the NAT-PMP/PCP and SSDP sockets and start the HTTP server
+* @public
+* @method start
+* @return {Promise} A promise that fulfills when the simulator is listening
+*/
+NatSimulator.prototype.start = function () {
+  var _this = this;
+  var address = this.options.address;
+
+  this.pmpSocket = dgram.createSocket(ipaddr.IPv6.isValid(address) ? 'udp6' :
+                                                                     'udp4');
+  this.pmpSocket.on('message', function (msg, rinfo) {
+    _this.handlePmpPacket(msg, rinfo);
+  });
+  this.ssdpSocket = dgram.createSocket('udp4');
+  this.ssdpSocket.on('message', function (msg, rinfo) {
+    _this.handleSsdpPacket(msg, rinfo);
+  });
+  this.httpServer = http.createServer(function (req, res) {
+    _this.handleHttpRequest(req, res);
+  });
+
+  return Promise.all([
+    bindSocket(this.pmpSocket, 5351, address),
+    bindSocket(this.ssdpSocket, 0, this.ssdpAddress),
+    new Promise(function (F, R) {
+      _this.httpServer.once('error', R);
+      _this.httpServer.listen(0, address, F);
+    })
+  ]).then(function () {
+    _this.ssdpPort = _this.ssdpSocket.address().port;
+    _this.httpPort = _this.httpServer.address().port;
+  });
+};
+
+/**
+* Close the sockets and the HTTP server
+* @public
+* @method stop
+* @return {Promise} A promise that fulfills when everything is closed
+*/
+NatSimulator.prototype.stop = function () {
+  var _this = this;
+  return Promise.all([
+    new Promise(function (F, R) { _this.pmpSocket.close(F); }),
+    new Promise(function (F, R) { _this.ssdpSocket.close(F); }),
+    new Promise(function (F, R) {
+      _this.httpServer.close(F);
+      if (_this.httpServer.closeAllConnections) {
+        _this.httpServer.closeAllConnections();
+      }
+    })
+  ]);
+};
+
+/**
+* Simulate a reboot: the router loses all its mappings, and its epoch
+* restarts from 0, which clients can detect in their next response
+* @public
+* @method reboot
+*/
+NatSimulator.prototype.reboot = function () {
+  this.mappings = {};
+  this.startTime = Date.now();
+};
+
+/**
+* Send a NAT-PMP external address announcement and a PCP ANNOUNCE from port
+* 5351, as a router does after it reboots, to a client listening on a port
+* @public
+* @method announce
+* @param {number=} port Optional: the port to send to, 5350 by default
+* @return {Promise} A promise that fulfills when both are sent
+*/
+NatSimulator.prototype.announce = function (port) {
+  var _this = this;
+  var pmpAnnouncement = this.createPmpResponse(0, 0, 12);
+  writeIpv4(pmpAnnouncement, 8, this.options.externalIp);
+  var pcpAnnouncement = this.createPcpResponse(0, 0, 0, 24);
+  return Promise.all([pmpAnnouncement, pcpAnnouncement].map(function (packet) {
+    return new Promise(function (F, R) {
+      _this.pmpSocket.send(packet, port || 5350, _this.options.address, F);
+    });
+  }));
+};
+
+/**
+* Return the router's mappings that haven't expired
+* @public
+* @method getMappings
+* @return {Array<Object>} The mappings, each with protocol, transport,
+*     internalIp, internalPort, externalPort, lifetime (0 is permanent)
+*     and for PCP, nonce
+*/
+NatSimulator.prototype.getMappings = function () {
+  this.removeExpiredMappings();
+  var mappings = this.mappings;
+  return Object.keys(mappings).map(function (key) { return mappings[key]; });
+};
+
+/**
+* Return the seconds since the start of the router's epoch
+* @public
+* @method getEpoch
+* @return {number} The epoch
+*/
+NatSimulator.prototype.getEpoch = function () {
+  return Math.floor((Date.now() - this.startTime) / 1000);
+};
+
+/**
+* Create a transport (see src/transport.js) for PortControl.setTransport(),
+* which sends through Node, except that SSDP searches go to the simulator and
+* the only private IP is options.clientIp
+* @private
+* @method createTransport
+* @return {Transport} The transport
+*/
+NatSimulator.prototype.createTransport = function () {
+  var _this = this;
+  return {
+    createUdpSocket: function () {
+      var socket = nodeTransport.createUdpSocket();
+      var sendTo = socket.sendTo;
+      socket.sendTo = function (data, address, port) {
+        if (address === '239.255.255.250' && port === 1900) {
+          if (!_this.options.multicastRoute) {
+            return Promise.reject(new Error('send ENETUNREACH'));
+          }
+          return sendTo(data, _this.ssdpAddress, _this.ssdpPort);
+        }
+        return sendTo(data, address, port);
+      };
+      return socket;
+    },
+    httpRequest: nodeTransport.httpRequest,
+    getPrivateIps: function () {
+      return Promise.resolve([_this.options.clientIp]);
+    }
+  };
+};
+
+/**
+* Handle a NAT-PMP or PCP request, which we tell apart by the version field
+* @private
+* @method handlePmpPacket
+* @param {Buffer} request The request packet
+* @param {Object} rinfo The address and port that sent the request
+*/
+NatSimulator.prototype.handlePmpPacket = function (request, rinfo) {
+  if (request.length < 2 || Math.random() < this.options.packetLoss) {
+    return;
+  }
+  if (this.options.dropRequests > 0) {
+    this.options.dropRequests--;
+    return;
+  }
+  this.removeExpiredMappings();
+
+  // The response goes back to the real sender
+  var source = {address: this.options.sourceIp || rinfo.address,
+                port: rinfo.port};
+  var response;
+  if (request[0] === 0 && this.options.natPmp) {
+    response = this.handlePmpRequest(request, source);
+  } else if (request[0] === 2 && this.options.pcp) {
+    response = this.handlePcpRequest(request, source);
+  } else if (request[0] !== 0 && this.options.pcp) {
+    // A PCP server answers other versions with the version that it supports
+    response = this.createPcpResponse(request[1] & 0x7f, PCP_UNSUPP_VERSION,
+                                      0, 24);
+  }
+  if (response !== undefined && this.options.strayResponses) {
+    this.pmpSocket.send(createStrayResponse(response), rinfo.port,
+                        rinfo.address);
+  }
+  if (response !== undefined) {
+    this.pmpSocket.send(response, rinfo.port, rinfo.address);
+  }
+};
+
+/**
+* Handle a NAT-PMP external address or mapping request
+* https://tools.ietf.org/html/rfc6886#section-3
+* @private
+* @method handlePmpRequest
+* @param {Buffer} request The request packet
+* @param {Object} rinfo The address and port that sent the request
+* @return {Buffer} The response packet
+*/
+NatSimulator.prototype.handlePmpRequest = function (request, rinfo) {
+  var opcode = request[1];
+  var record = {protocol: 'natPmp', opcode: opcode};
+  this.requests.push(record);
+
+  if (opcode === 0) {
+    var addressResponse = this.createPmpResponse(opcode,
+                                                 this.options.pmpResultCode, 12);
+    writeIpv4(addressResponse, 8, this.options.externalIp);
+    return addressResponse;
+  } else if ((opcode !== 1 && opcode !== 2) || request.length < 12) {
+    return this.createPmpResponse(opcode, PMP_UNSUPP_OPCODE, 8);
+  }
+
+  var response = this.createPmpResponse(opcode, this.options.pmpResultCode, 16);
+  var transport = (opcode === 2) ? 'tcp' : 'udp';
+  var intPort = request.readUInt16BE(4);
+  var extPort = request.readUInt16BE(6);
+  var lifetime = request.readUInt32BE(8);
+  record.internalPort = intPort;
+  record.externalPort = extPort;
+  record.lifetime = lifetime;
+  response.writeUInt16BE(intPort, 8);
+  if (this.options.pmpResultCode !== 0) {
+    return response;
+  }
+
+  var mapping = this.findMapping('natPmp', transport, rinfo.address, intPort);
+  if (lifetime === 0) {
+    // Delete the mapping of the internal port, if there is one
+    if (mapping !== undefined) { this.removeMapping(mapping); }
+    return response;
+  }
+
+  // Keep the mapping's port on a refresh, and otherwise get the requested
+  // port, or the next free one if it's taken
+  if (mapping === undefined) {
+    mapping = this.addMapping({
+      protocol: 'natPmp',
+      transport: transport,
+      internalIp: rinfo.address,
+      internalPort: intPort,
+      externalPort: this.getFreePort(transport, extPort)
+    });
+  }
+  mapping.lifetime = Math.min(lifetime, this.options.maxLifetime);
+  mapping.expires = Date.now() + mapping.lifetime*1000;
+  response.writeUInt16BE(mapping.externalPort, 10);
+  response.writeUInt32BE(mapping.lifetime, 12);
+  return response;
+};
+
+/**
+* Handle a PCP MAP, PEER or ANNOUNCE request
+* https://tools.ietf.org/html/rfc6887#section-7
+* @private
+* @method handlePcpRequest
+* @param {Buffer} request The request packet
+* @param {Object} rinfo The address and port that sent the request
+* @return {Buffer} The response packet
+*/
+NatSimulator.prototype.handlePcpRequest = function (request, rinfo) {
+  var opcode = request[1] & 0x7f;
+  var bodyLength = {0: 0, 1: 36, 2: 56}[opcode];
+  var record = {protocol: 'pcp', opcode: opcode};
+  this.requests.push(record);
+
+  if (bodyLength === undefined ||
+      (opcode === 0 && !this.options.pcpAnnounce)) {
+    return this.createPcpResponse(opcode, PCP_UNSUPP_OPCODE, 0, 24);
+  } else if (request.length < 24 + bodyLength || request.length % 4 !== 0) {
+    return this.createPcpResponse(opcode, PCP_MALFORMED_REQUEST, 0, 24);
+  }
+
+  // The response echoes the opcode-specific part of the request, and we fill
+  // in the assigned port and address below
+  var response = this.createPcpResponse(opcode, 0, 0, 24 + bodyLength);
+  request.copy(response, 24, 24, 24 + bodyLength);
+  if (opcode === 0) {
+    return response;
+  }
+
+  var lifetime = request.readUInt32BE(4);
+  record.lifetime = lifetime;
+  var clientIp = readIp(request, 8);
+  var protocol = request[36];
+  var transport = (protocol === 6) ? 'tcp' : 'udp';
+  var intPort = request.readUInt16BE(40);
+  var extPort = request.readUInt16BE(42);
+  var nonce = request.slice(24, 36).toString('hex');
+  var options = parsePcpOptions(request, 24 + bodyLength);
+
+  // Fail before changing any mappings; the options that we processed are
+  // echoed in the response, which is why we build it up as we go
+  var resultCode = this.options.pcpResultCode;
+  if (options === undefined) {
+    resultCode = PCP_MALFORMED_REQUEST;
+  } else if (clientIp !== rinfo.address) {
+    resultCode = PCP_ADDRESS_MISMATCH;
+  } else if (options.unsupported) {
+    resultCode = PCP_UNSUPP_OPTION;
+  }
+  if (resultCode !== 0) {
+    response[3] = resultCode;
+    return response;
+  }
+
+  var internalIp = options.thirdPartyIp || clientIp;
+  var mapping = this.findMapping('pcp', transport, internalIp, intPort,
+                                 (opcode === 2) ? readIp(request, 64) : undefined,
+                                 (opcode === 2) ? request.readUInt16BE(60) :
+                                                  undefined);
+  if (mapping !== undefined && mapping.nonce !== nonce) {
+    // Another client owns this mapping
+    response[3] = 2;  // NOT_AUTHORIZED
+    return response;
+  }
+
+  if (lifetime === 0) {
+    if (mapping !== undefined) { this.removeMapping(mapping); }
+    writeIp(response, 44, this.options.pcpDeleteExternalIp ?
+                          this.options.externalIp : '::');
+    return Buffer.concat([response, options.echoed]);
+  }
+
+  if (mapping === undefined) {
+    var freePort = this.getFreePort(transport, extPort);
+    if (options.preferFailure && freePort !== extPort) {
+      response[3] = PCP_CANNOT_PROVIDE_EXTERNAL;
+      return response;
+    }
+    mapping = this.addMapping({
+      protocol: 'pcp',
+      transport: transport,
+      internalIp: internalIp,
+      internalPort: intPort,
+      externalPort: freePort,
+      nonce: nonce,
+      remoteIp: (opcode === 2) ? readIp(request, 64) : undefined,
+      remotePort: (opcode === 2) ? request.readUInt16BE(60) : undefined,
+      filters: options.filters
+    });
+  }
+  mapping.lifetime = Math.min(lifetime, this.options.maxLifetime);
+  mapping.expires = Date.now() + mapping.lifetime*1000;
+
+  response.writeUInt32BE(mapping.lifetime, 4);
+  response.writeUInt16BE(mapping.externalPort, 42);
+  writeIp(response, 44, this.options.externalIp);
+  return Buffer.concat([response, options.echoed]);
+};
+
+/**
+* Create a NAT-PMP response header
+* @private
+* @method createPmpResponse
+* @param {number} opcode The opcode of the request
+* @param {number} resultCode The result code
+* @param {number} length The length of the whole response
+* @return {Buffer} The response, with the rest of the fields zeroed
+*/
+NatSimulator.prototype.createPmpResponse = function (opcode, resultCode, length) {
+  var response = Buffer.alloc(length);
+  response[1] = 128 + opcode;
+  response.writeUInt16BE(resultCode, 2);
+  response.writeUInt32BE(this.getEpoch(), 4);
+  return response;
+};
+
+/**
+* Create a PCP response header
+* @private
+* @method createPcpResponse
+* @param {number} opcode The opcode of the request
+* @param {number} resultCode The result code
+* @param {number} lifetime The lifetime of the mapping, or of the error
+* @param {number} length The length of the whole response
+* @return {Buffer} The response, with the rest of the fields zeroed
+*/
+NatSimulator.prototype.createPcpResponse = function (opcode, resultCode,
+                                                     lifetime, length) {
+  var response = Buffer.alloc(length);
+  response[0] = 2;
+  response[1] = 0x80 | opcode;
+  response[3] = resultCode;
+  response.writeUInt32BE(lifetime, 4);
+  response.writeUInt32BE(this.getEpoch(), 8);
+  return response;
+};
+
+/**
+* Answer an SSDP M-SEARCH for an Internet Gateway Device
+* @private
+* @method handleSsdpPacket
+* @param {Buffer} request The M-SEARCH packet
+* @param {Object} rinfo The address and port that sent the request
+*/
+NatSimulator.prototype.handleSsdpPacket = function (request, rinfo) {
+  if (!this.options.upnp || Math.random() < this.options.packetLoss) {
+    return;
+  }
+  var searchTarget = /^ST:\s*(.*)$/im.exec(request.toString());
+  if (searchTarget === null) { return; }
+  searchTarget = searchTarget[1].trim();
+  this.requests.push({protocol: 'ssdp', searchTarget: searchTarget});
+
+  // IGDv2 devices also answer searches for IGDv1, so that old clients work
+  var deviceVersion = this.getDeviceVersion();
+  var match = /^urn:schemas-upnp-org:device:InternetGatewayDevice:(\d)$/.
+      exec(searchTarget);
+  if (match === null || parseInt(match[1], 10) > deviceVersion) { return; }
+
+  var response = 'HTTP/1.1 200 OK\r\n' +
+                 'CACHE-CONTROL: max-age=120\r\n' +
+                 'ST: ' + searchTarget + '\r\n' +
+                 'USN: uuid:00000000-0000-0000-0000-000000000001::' +
+                     searchTarget + '\r\n' +
+                 'EXT:\r\n' +
+                 'SERVER: NatSimulator UPnP/1.1\r\n' +
+                 'LOCATION: ' + this.getHttpUrl() + 'rootDesc.xml\r\n\r\n';
+  this.ssdpSocket.send(Buffer.from(response), rinfo.port, rinfo.address);
+};
+
+/**
+* Serve the device description, and SOAP actions at the control URL
+* @private
+* @method handleHttpRequest
+* @param {http.IncomingMessage} req The request
+* @param {http.ServerResponse} res The response
+*/
+NatSimulator.prototype.handleHttpRequest = function (req, res) {
+  var _this = this;
+  var chunks = [];
+  req.on('data', function (chunk) { chunks.push(chunk); });
+  req.on('end', function () {
+    if (!_this.options.upnp) {
+      res.writeHead(404);
+      res.end();
+    } else if (req.method === 'GET' && req.url === '/rootDesc.xml') {
+      res.writeHead(200, {'Content-Type': 'text/xml'});
+      res.end(_this.createDeviceDescription());
+    } else if (req.method === 'POST' && req.url === _this.getControlPath()) {
+      var result = _this.handleSoapRequest(req.headers.soapaction,
+                                           Buffer.concat(chunks).toString(),
+                                           req.socket.remoteAddress);
+      res.writeHead(result.status, {'Content-Type': 'text/xml'});
+      res.end(result.body);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+};
+
+/**
+* Return the URL of the simulator's HTTP server, with a trailing slash
+* @public
+* @method getHttpUrl
+* @return {string} The URL, e.g. 'http://127.0.0.1:8080/'
+*/
+NatSimulator.prototype.getHttpUrl = function () {
+  var host = ipaddr.IPv6.isValid(this.options.address) ?
+      '[' + this.options.address + ']' : this.options.address;
+  return 'http://' + host + ':' + this.httpPort + '/';
+};
+
+/**
+* Return the path of the UPnP control URL, which is under /igd/ when the
+* device description has a URLBase, so that a client must use it to find it
+* @public
+* @method getControlPath
+* @return {string} The path, e.g. '/ctl/WANConnection'
+*/
+NatSimulator.prototype.getControlPath = function () {
+  return (this.options.upnpUrls === 'urlBase') ? '/igd/ctl/WANConnection' :
+                                                 '/ctl/WANConnection';
+};
+
+/**
+* Return the device description of the IGD, with a WAN device and connection
+* device holding the options.upnpServiceType service
+* @private
+* @method createDeviceDescription
+* @return {string} The device description XML
+*/
+NatSimulator.prototype.createDeviceDescription = function () {
+  var version = this.getDeviceVersion();
+  var deviceType = function (name) {
+    return '<deviceType>urn:schemas-upnp-org:device:' + name + ':' + version +
+           '</deviceType>';
+  };
+  var controlUrl = {
+    relative: '/ctl/WANConnection',
+    absolute: this.getHttpUrl() + 'ctl/WANConnection',
+    urlBase: 'ctl/WANConnection'
+  }[this.options.upnpUrls];
+  var urlBase = (this.options.upnpUrls === 'urlBase') ?
+      '<URLBase>' + this.getHttpUrl() + 'igd/</URLBase>' : '';
+  return '<?xml version="1.0"?>' +
+    '<root xmlns="urn:schemas-upnp-org:device-1-0">' +
+      '<specVersion><major>1</major><minor>' + (version - 1) + '</minor>' +
+      '</specVersion>' + urlBase +
+      '<device>' + deviceType('InternetGatewayDevice') +
+        '<friendlyName>NatSimulator</friendlyName>' +
+        '<deviceList><device>' + deviceType('WANDevice') +
+          '<deviceList><device>' + deviceType('WANConnectionDevice') +
+            '<serviceList><service>' +
+              '<serviceType>' + this.options.upnpServiceType + '</serviceType>' +
+              '<serviceId>urn:upnp-org:serviceId:WANConnection</serviceId>' +
+              '<controlURL>' + controlUrl + '</controlURL>' +
+              '<eventSubURL>/evt/WANConnection</eventSubURL>' +
+              '<SCPDURL>/WANConnection.xml</SCPDURL>' +
+            '</service></serviceList>' +
+          '</device></deviceList>' +
+        '</device></deviceList>' +
+      '</device>' +
+    '</root>';
+};
+
+/**
+* Run a SOAP action on the router's UPnP port mappings
+* @private
+* @method handleSoapRequest
+* @param {string} soapAction The SOAPAction header, '"serviceType#action"'
+* @param {string} body The SOAP request
+* @param {string} remoteAddress The address that sent the request
+* @return {{status: number, body: string}} The HTTP response
+*/
+NatSimulator.prototype.handleSoapRequest = function (soapAction, body,
+                                                     remoteAddress) {
+  var match = /^"?([^#"]*)#([^"]*)"?$/.exec(soapAction || '');
+  var args = {};
+  try {
+    var actionElement = xml.find(xml.parse(body), 'Body').children[0];
+    actionElement.children.forEach(function (arg) {
+      args[arg.name] = arg.text;
+    });
+  } catch (err) {
+    return this.createSoapFault(402);
+  }
+
+  var serviceType = match && match[1];
+  var action = match && match[2];
+  this.requests.push({protocol: 'upnp', action: action});
+  if (serviceType !== this.options.upnpServiceType ||
+      !UPNP_ACTIONS.hasOwnProperty(action) ||
+      (action === 'AddAnyPortMapping' && this.getDeviceVersion() < 2)) {
+    return this.createSoapFault(401);
+  } else if (this.options.upnpErrorCode !== 0) {
+    return this.createSoapFault(this.options.upnpErrorCode);
+  }
+
+  this.removeExpiredMappings();
+  var result = UPNP_ACTIONS[action].call(this, args, remoteAddress);
+  if (typeof result === 'number') {
+    return this.createSoapFault(result);
+  }
+  var resultXml = Object.keys(result).map(function (name) {
+    return '<' + name + '>' + result[name] + '</' + name + '>';
+  }).join('');
+  return {status: 200, body: createSoapEnvelope(
+      '<u:' + action + 'Response xmlns:u="' + serviceType + '">' + resultXml +
+      '</u:' + action + 'Response>')};
+};
+
+/**
+* Create a SOAP fault response with a UPnP error code
+* @private
+* @method createSoapFault
+* @param {number} errorCode The UPnP error code
+* @return {{status: number, body: string}} The HTTP response
+*/
+NatSimulator.prototype.createSoapFault = function (errorCode) {
+  return {status: 500, body: createSoapEnvelope(
+      '<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError' +
+      '</faultstring><detail>' +
+      '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0">' +
+      '<errorCode>' + errorCode + '</errorCode>' +
+      '<errorDescription>' + (UPNP_ERRORS[errorCode] || 'Error') +
+      '</errorDescription></UPnPError></detail></s:Fault>')};
+};
+
+/**
+* The UPnP actions that the simulator supports, which are called with the
+* simulator as this, the action's arguments by name, and the address that
+* sent the request, and return the result arguments or a UPnP error code
+*/
+var UPNP_ACTIONS = {
+  GetExternalIPAddress: function (args) {
+    return {NewExternalIPAddress: this.options.externalIp};
+  },
+
+  GetStatusInfo: function (args) {
+    return {NewConnectionStatus: 'Connected', NewLastConnectionError:
+            'ERROR_NONE', NewUptime: this.getEpoch()};
+  },
+
+  AddPortMapping: function (args) {
+    var transport = args.NewProtocol.toLowerCase();
+    var extPort = parseInt(args.NewExternalPort, 10);
+    var mapping = this.mappings[transport + '/' + extPort];
+    if (mapping !== undefined && (mapping.protocol !== 'upnp' ||
+        mapping.internalIp !== args.NewInternalClient)) {
+      return 718;
+    } else if (this.options.reservedPorts.indexOf(extPort) !== -1) {
+      return 718;
+    }
+    this.saveUpnpMapping(args, extPort);
+    return {};
+  },
+
+  AddAnyPortMapping: function (args) {
+    var transport = args.NewProtocol.toLowerCase();
+    var extPort = parseInt(args.NewExternalPort, 10);
+    var mapping = this.mappings[transport + '/' + extPort];
+    if (mapping === undefined || mapping.protocol !== 'upnp' ||
+        mapping.internalIp !== args.NewInternalClient) {
+      extPort = this.getFreePort(transport, extPort);
+    }
+    this.saveUpnpMapping(args, extPort);
+    return {NewReservedPort: extPort};
+  },
+
+  DeletePortMapping: function (args) {
+    var mapping = this.mappings[args.NewProtocol.toLowerCase() + '/' +
+                                args.NewExternalPort];
+    if (mapping === undefined || mapping.protocol !== 'upnp') { return 714; }
+    this.removeMapping(mapping);
+    return {};
+  },
+
+  GetSpecificPortMappingEntry: function (args) {
+    var mapping = this.mappings[args.NewProtocol.toLowerCase() + '/' +
+                                args.NewExternalPort];
+    if (mapping === undefined || mapping.protocol !== 'upnp') { return 714; }
+    return {
+      NewInternalPort: mapping.internalPort,
+      NewInternalClient: mapping.internalIp,
+      NewEnabled: 1,
+      NewPortMappingDescription: mapping.description,
+      NewLeaseDuration: this.getRemainingLease(mapping)
+    };
+  },
+
+  GetGenericPortMappingEntry: function (args) {
+    var mappings = this.getMappings().filter(function (mapping) {
+      return mapping.protocol === 'upnp';
+    });
+    var mapping = mappings[parseInt(args.NewPortMappingIndex, 10)];
+    if (mapping === undefined) { return 713; }
+    return {
+      NewRemoteHost: '',
+      NewExternalPort: mapping.externalPort,
+      NewProtocol: mapping.transport.toUpperCase(),
+      NewInternalPort: mapping.internalPort,
+      NewInternalClient: mapping.internalIp,
+      NewEnabled: 1,
+      NewPortMappingDescription: mapping.description,
+      NewLeaseDuration: this.getRemainingLease(mapping)
+    };
+  }
+};
+
+/**
+* Save a UPnP mapping from the arguments of an add action, with the lease
+* capped at options.maxLease (0 makes it permanent)
+* @private
+* @method saveUpnpMapping
+* @param {Object} args The arguments of the action, by name
+* @param {number} extPort The external port that the mapping gets
+*/
+NatSimulator.prototype.saveUpnpMapping = function (args, extPort) {
+  var lease = parseInt(args.NewLeaseDuration, 10) || 0;
+  var maxLease = this.options.maxLease;
+  lease = (maxLease === 0) ? 0 : Math.min(lease || maxLease, maxLease);
+  this.addMapping({
+    protocol: 'upnp',
+    transport: args.NewProtocol.toLowerCase(),
+    internalIp: args.NewInternalClient,
+    internalPort: parseInt(args.NewInternalPort, 10),
+    externalPort: extPort,
+    description: args.NewPortMappingDescription || '',
+    lifetime: lease,
+    expires: (lease === 0) ? Infinity : Date.now() + lease*1000
+  });
+};
+
+/**
+* Return the seconds that a UPnP mapping has left, 0 if it's permanent
+* @private
+* @method getRemainingLease
+* @param {Object} mapping The mapping
+* @return {number} The remaining lease duration
+*/
+NatSimulator.prototype.getRemainingLease = function (mapping) {
+  if (mapping.expires === Infinity) { return 0; }
+  return Math.max(1, Math.ceil((mapping.expires - Date.now()) / 1000));
+};
+
+/**
+* Return the IGD version of the device, from the version of its service
+* @private
+* @method getDeviceVersion
+* @return {number} 1 or 2
+*/
+NatSimulator.prototype.getDeviceVersion = function () {
+  return /:2$/.test(this.options.upnpServiceType) ? 2 : 1;
+};
+
+/**
+* Add a mapping to the router's table, replacing any with its external port
+* @private
+* @method addMapping
+* @param {Object} mapping The mapping
+* @return {Object} The mapping
+*/
+NatSimulator.prototype.addMapping = function (mapping) {
+  this.mappings[mapping.transport + '/' + mapping.externalPort] = mapping;
+  return mapping;
+};
+
+/**
+* Remove a mapping from the router's table
+* @private
+* @method removeMapping
+* @param {Object} mapping The mapping
+*/
+NatSimulator.prototype.removeMapping = function (mapping) {
+  delete this.mappings[mapping.transport + '/' + mapping.externalPort];
+};
+
+/**
+* Find the mapping of an internal address and port made with a protocol
+* @private
+* @method findMapping
+* @param {string} protocol 'natPmp' or 'pcp'
+* @param {string} transport 'udp' or 'tcp'
+* @param {string} internalIp The internal IP of the mapping
+* @param {number} internalPort The internal port of the mapping
+* @param {string=} remoteIp Optional: the remote peer of a PCP PEER mapping
+* @param {number=} remotePort Optional: the remote peer's port
+* @return {Object} The mapping, undefined if there is none
+*/
+NatSimulator.prototype.findMapping = function (protocol, transport, internalIp,
+                                               internalPort, remoteIp,
+                                               remotePort) {
+  var mappings = this.getMappings();
+  for (var i = 0; i < mappings.length; i++) {
+    var mapping = mappings[i];
+    if ((mapping.protocol === protocol || this.options.sharedTable) &&
+        mapping.transport === transport &&
+        mapping.internalIp === internalIp &&
+        mapping.internalPort === internalPort &&
+        mapping.remoteIp === remoteIp && mapping.remotePort === remotePort) {
+      return mapping;
+    }
+  }
+  return undefined;
+};
+
+/**
+* Return the requested external port if it's free, and otherwise the first
+* free port from FIRST_FREE_PORT
+* @private
+* @method getFreePort
+* @param {string} transport 'udp' or 'tcp'
+* @param {number} extPort The requested external port, 0 for any port
+* @return {number} The free port
+*/
+NatSimulator.prototype.getFreePort = function (transport, extPort) {
+  var _this = this;
+  var isFree = function (port) {
+    return _this.mappings[transport + '/' + port] === undefined &&
+           _this.options.reservedPorts.indexOf(port) === -1;
+  };
+  if (extPort !== 0 && isFree(extPort)) { return extPort; }
+  var port = FIRST_FREE_PORT;
+  while (!isFree(port)) { port++; }
+  return port;
+};
+
+/**
+* Remove the mappings whose lifetime is up
+* @private
+* @method removeExpiredMappings
+*/
+NatSimulator.prototype.removeExpiredMappings = function () {
+  var now = Date.now();
+  for (var key in this.mappings) {
+    if (this.mappings.hasOwnProperty(key) && this.mappings[key].expires <= now) {
+      delete this.mappings[key];
+    }
+  }
+};
+
+/**
+* Return a copy of a NAT-PMP or PCP response that doesn't answer its request,
+* which a client should ignore: a PCP MAP or PEER response with another
+* nonce, a NAT-PMP mapping response for another internal port, or otherwise
+* a packet without the response bit; each would map external port 1
+* @private
+* @method createStrayResponse
+* @param {Buffer} response The response
+* @return {Buffer} The stray packet
+*/
+var createStrayResponse = function (response) {
+  var stray = Buffer.from(response);
+  if (stray[0] === 2 && stray.length >= 60) {
+    stray[24] ^= 0xff;
+    stray.writeUInt16BE(1, 42);
+  } else if (stray[0] === 0 && stray.length >= 16) {
+    stray.writeUInt16BE((stray.readUInt16BE(8) + 1) & 0xffff, 8);
+    stray.writeUInt16BE(1, 10);
+  } else {
+    stray[1] &= 0x7f;
+  }
+  return stray;
+};
+
+/**
+* Parse the options of a PCP request
+* https://tools.ietf.org/html/rfc6887#section-7.3
+* @private
+* @method parsePcpOptions
+* @param {Buffer} request The request packet
+* @param {number} offset The offset of the first option
+* @return {Object} The options {thirdPartyIp, preferFailure, filters,
+*     unsupported, echoed}, where echoed holds the options to send back;
+*     undefined if an option is malformed
+*/
+var parsePcpOptions = function (request, offset) {
+  var options = {filters: [], unsupported: false, echoed: Buffer.alloc(0)};
+  while (offset < request.length) {
+    if (offset + 4 > request.length) { return undefined; }
+    var code = request[offset];
+    var length = request.readUInt16BE(offset + 2);
+    var end = offset + 4 + length;
+    if (end > request.length) { return undefined; }
+
+    if (code === 1 && length === 16) {
+      options.thirdPartyIp = readIp(request, offset + 4);
+    } else if (code === 2 && length === 0) {
+      options.preferFailure = true;
+    } else if (code === 3 && length === 20) {
+      options.filters.push({remoteIp: readIp(request, offset + 8),
+                            prefixLength: request[offset + 5],
+                            remotePort: request.readUInt16BE(offset + 6)});
+    } else if (code < 128) {
+      // Options 0-127 are mandatory to process
+      options.unsupported = true;
+    }
+    options.echoed = Buffer.concat([options.echoed,
+                                    request.slice(offset, end)]);
+    offset = end;
+  }
+  return options;
+};
+
+/**
+* Read a 16-byte PCP address field, with IPv4 addresses as IPv4-mapped IPv6
+* @private
+* @method readIp
+* @param {Buffer} packet The packet
+* @param {number} offset The offset of the address
+* @return {string} The IPv4 or IPv6 address
+*/
+var readIp = function (packet, offset) {
+  var parts = [];
+  for (var i = 0; i < 8; i++) {
+    parts.push(packet.readUInt16BE(offset + 2*i));
+  }
+  var address = new ipaddr.IPv6(parts);
+  return address.isIPv4MappedAddress() ?
+      address.toIPv4Address().toString() : address.toString();
+};
+
+/**
+* Write an address into a 16-byte PCP address field
+* @private
+* @method writeIp
+* @param {Buffer} packet The packet
+* @param {number} offset The offset of the address
+* @param {string} ip The IPv4 or IPv6 address
+*/
+var writeIp = function (packet, offset, ip) {
+  var address = ipaddr.parse(ip);
+  if (address.kind() === 'ipv4') { address = address.toIPv4MappedAddress(); }
+  Buffer.from(address.toByteArray()).copy(packet, offset);
+};
+
+/**
+* Write an IPv4 address into a 4-byte field
+* @private
+* @method writeIpv4
+* @param {Buffer} packet The packet
+* @param {number} offset The offset of the address
+* @param {string} ip The IPv4 address
+*/
+var writeIpv4 = function (packet, offset, ip) {
+  Buffer.from(ipaddr.IPv4.parse(ip).toByteArray()).copy(packet, offset);
+};
+
+/**
+* Wrap the body of a SOAP response in an envelope
+* @private
+* @method createSoapEnvelope
+* @param {string} body The contents of the SOAP body
+* @return {string} The SOAP response
+*/
+var createSoapEnvelope = function (body) {
+  return '<?xml version="1.0"?>' +
+         '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+         's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+         '<s:Body>' + body + '</s:Body></s:Envelope>';
+};
+
+/**
+* Bind a dgram socket
+* @private
+* @method bindSocket
+* @param {dgram.Socket} socket The socket
+* @param {number} port The port to bind to
+* @param {string} address The address to bind to
+* @return {Promise} A promise that fulfills when the socket is bound
+*/
+var bindSocket = function (socket, port, address) {
+  return new Promise(function (F, R) {
+    socket.once('error', R);
+    socket.bind(port, address, function () {
+      socket.removeListener('error', R);
+      F();
+    });
+  });
+};
+
+module.exports = NatSimulator;
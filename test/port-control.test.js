@@ -0,0 +1,1030 @@
+/**
+* End-to-end tests of the NAT-PMP, PCP and UPnP flows against the simulated
+* gateway in nat-simulator.js; run with `npm test`
+*/
+var test = require('node:test');
+var assert = require('assert');
+var dgram = require('dgram');
+var PortControl = require('../src/port-control');
+var NatSimulator = require('./nat-simulator');
+var StunServer = require('./stun-server');
+
+var simulator = new NatSimulator();
+// A second gateway, which the tests put beside or in front of the first one
+var upstreamSimulator = new NatSimulator({
+  address: '127.0.0.2',
+  externalIp: '198.51.100.7'
+});
+// A STUN server, which reports what it's told the outside sees of us, and
+// simulates the behavior of a NAT in front of us
+var stunServer = new StunServer({alternateAddress: '127.0.0.3'});
+// A gateway for an IPv6 client, which tests swap in with its transport
+var ipv6Simulator = new NatSimulator({
+  address: '::1',
+  clientIp: '::1',
+  externalIp: '2001:db8::5'
+});
+var events = [];
+
+// Return a PortControl that talks to the simulator, and gives up sooner on
+// the gateways that don't answer than by default
+var createPortControl = function (dispatchEvent, sharedState) {
+  var newPortControl = new PortControl(dispatchEvent, sharedState);
+  newPortControl.setRouterIps([simulator.options.address]);
+  newPortControl.setRetransmission({
+    natPmp: {deadline: 1000},
+    pcp: {initialInterval: 250, deadline: 1000},
+    stun: {initialInterval: 250, deadline: 1000}
+  });
+  return newPortControl;
+};
+
+var portControl = createPortControl(function (eventName, data) {
+  events.push({name: eventName, data: data});
+});
+
+// Return the simulator's mapping with an external port, if there is one
+var findRouterMapping = function (extPort) {
+  return simulator.getMappings().filter(function (mapping) {
+    return mapping.externalPort === extPort;
+  })[0];
+};
+
+// Resolve after some seconds
+var wait = function (seconds) {
+  return new Promise(function (F, R) { setTimeout(F, seconds*1000); });
+};
+
+test.before(function () {
+  PortControl.setTransport(simulator.transport);
+  return Promise.all([simulator.start(), upstreamSimulator.start(),
+                      ipv6Simulator.start(), stunServer.start()]);
+});
+
+test.after(function () {
+  return portControl.close().then(function () {
+    return Promise.all([simulator.stop(), upstreamSimulator.stop(),
+                        ipv6Simulator.stop(), stunServer.stop()]);
+  });
+});
+
+test.beforeEach(function () {
+  events = [];
+  simulator.options.reservedPorts = [];
+  simulator.options.maxLifetime = 24*60*60;
+  simulator.options.maxLease = 604800;
+  simulator.options.packetLoss = 0;
+  simulator.options.dropRequests = 0;
+  simulator.options.strayResponses = false;
+  simulator.options.pmpResultCode = 0;
+  simulator.options.pcpResultCode = 0;
+  simulator.options.upnpErrorCode = 0;
+  simulator.options.natPmp = true;
+  simulator.options.pcp = true;
+  simulator.options.pcpAnnounce = true;
+  simulator.options.pcpDeleteExternalIp = true;
+  simulator.options.multicastRoute = true;
+  simulator.options.upnpUrls = 'relative';
+  simulator.options.sharedTable = false;
+  simulator.options.externalIp = '203.0.113.1';
+  upstreamSimulator.options.sourceIp = undefined;
+  stunServer.options.publicIp = undefined;
+  stunServer.options.mapping = 'endpoint-independent';
+  stunServer.options.filtering = 'endpoint-independent';
+  stunServer.options.bindingLifetime = 0;
+});
+
+test('NAT-PMP adds and deletes a mapping', function () {
+  return portControl.addMappingPmp(50000, 50000, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50000);
+        assert.strictEqual(mapping.externalIp, simulator.options.externalIp);
+        assert.strictEqual(mapping.routerIp, simulator.options.address);
+        assert.strictEqual(findRouterMapping(50000).lifetime, 120);
+        return portControl.deleteMappingPmp(50000, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50000), undefined);
+      });
+});
+
+test('NAT-PMP gets another port when the requested one is taken', function () {
+  simulator.options.reservedPorts = [50010];
+  return portControl.addMappingPmp(50010, 50010, 120, 'tcp').
+      then(function (mapping) {
+        assert.notStrictEqual(mapping.externalPort, -1);
+        assert.notStrictEqual(mapping.externalPort, 50010);
+        assert.strictEqual(findRouterMapping(mapping.externalPort).transport,
+                           'tcp');
+        return portControl.deleteMappingPmp(mapping.externalPort, 'tcp');
+      });
+});
+
+test('NAT-PMP fails when every request is lost', function () {
+  simulator.options.packetLoss = 1;
+  return portControl.addMappingPmp(50020, 50020, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.strictEqual(findRouterMapping(50020), undefined);
+      });
+});
+
+test('NAT-PMP and PCP retransmit a request that was lost', function () {
+  simulator.options.dropRequests = 1;
+  return portControl.addMappingPmp(50021, 50021, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50021);
+        simulator.options.dropRequests = 1;
+        return portControl.addMappingPcp(50022, 50022, 120, 'udp');
+      }).then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50022);
+        return Promise.all([portControl.deleteMappingPmp(50021, 'udp'),
+                            portControl.deleteMappingPcp(50022, 'udp')]);
+      });
+});
+
+test('NAT-PMP reports the result code of a failed mapping', function () {
+  simulator.options.pmpResultCode = 2;
+  return portControl.addMappingPmp(50025, 50025, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.strictEqual(mapping.errInfo, 'NAT-PMP Error: NOT_AUTHORIZED');
+      });
+});
+
+test('NAT-PMP gives back another port for an exact mapping', function () {
+  simulator.options.reservedPorts = [50011];
+  simulator.requests = [];
+  return portControl.addMappingPmp(50011, 50011, 120, 'udp',
+                                   {type: 'exact'}).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.strictEqual(mapping.errInfo,
+                           'NAT-PMP Error: external port is not available');
+        return wait(0.5);
+      }).then(function () {
+        assert.ok(simulator.getMappings().every(function (mapping) {
+          return mapping.internalPort !== 50011;
+        }));
+        // Only the port that the router granted is given back
+        var releases = simulator.requests.filter(function (request) {
+          return request.protocol === 'natPmp' && request.opcode === 1 &&
+                 request.lifetime === 0;
+        });
+        assert.strictEqual(releases.length, 1);
+        assert.strictEqual(releases[0].internalPort, 50011);
+        assert.notStrictEqual(releases[0].externalPort, 0);
+        assert.notStrictEqual(releases[0].externalPort, 50011);
+      });
+});
+
+test('PCP walks a port range past the ports that are taken', function () {
+  simulator.options.reservedPorts = [50012, 50013];
+  return portControl.addMappingPcp(50012, 50012, 120, 'udp', undefined,
+                                   {type: 'range', min: 50012, max: 50015}).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50014);
+        assert.strictEqual(findRouterMapping(50014).internalPort, 50012);
+        return portControl.deleteMappingPcp(50014, 'udp');
+      });
+});
+
+test('UPnP fails an exact mapping and walks a range', function () {
+  simulator.options.reservedPorts = [50016, 50017];
+  return portControl.addMappingUpnp(50016, 50016, 120, undefined, 'udp',
+                                    {type: 'exact'}).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.ok(/ConflictInMappingEntry/.test(mapping.errInfo));
+        return portControl.addMappingUpnp(50016, 50017, 120, undefined, 'udp',
+            {type: 'range', min: 50016, max: 50018});
+      }).then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50018);
+        return portControl.deleteMappingUpnp(50018, 'udp');
+      });
+});
+
+test('Mapping fails with an invalid port policy', function () {
+  var requestCount = simulator.requests.length;
+  return portControl.addMapping(50019, 50019, 120, 'udp',
+                                {type: 'range', min: 50019, max: 50018}).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.strictEqual(mapping.errInfo, 'Invalid port range: 50019-50018');
+        assert.strictEqual(simulator.requests.length, requestCount);
+      });
+});
+
+test('PCP refreshes a mapping whose lifetime the router capped', function () {
+  simulator.options.maxLifetime = 2;
+  return portControl.addMappingPcp(50030, 50030, 6, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50030);
+        assert.strictEqual(mapping.lifetime, 2);
+        // The refresh is sent at half the lifetime, after 1 second, and waits
+        // for every gateway; delete the mapping before the next one is due
+        return wait(2.5);
+      }).then(function () {
+        assert.ok(events.some(function (event) {
+          return event.name === 'mappingRefreshed' &&
+                 event.data.externalPort === 50030;
+        }));
+        return portControl.deleteMappingPcp(50030, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50030), undefined);
+      });
+});
+
+test('NAT-PMP and PCP ignore packets that do not answer the request',
+     function () {
+  simulator.options.strayResponses = true;
+  return Promise.all([
+    portControl.addMappingPmp(50026, 50026, 120, 'udp'),
+    portControl.addMappingPcp(50027, 50027, 120, 'udp')
+  ]).then(function (mappings) {
+    assert.strictEqual(mappings[0].externalPort, 50026);
+    assert.strictEqual(mappings[0].externalIp, simulator.options.externalIp);
+    assert.strictEqual(mappings[1].externalPort, 50027);
+    return Promise.all([portControl.deleteMappingPmp(50026, 'udp'),
+                        portControl.deleteMappingPcp(50027, 'udp')]);
+  }).then(function (deleted) {
+    assert.deepStrictEqual(deleted, [true, true]);
+  });
+});
+
+test('NAT-PMP, PCP and UPnP refresh capped mappings before they lapse',
+     function () {
+  simulator.options.maxLifetime = 4;
+  simulator.options.maxLease = 4;
+  var ports = [50032, 50034, 50033];
+  var lapsed = [];
+  var checkId;
+  // Return the names of the events for a port, leaving out repeated ones,
+  // since the mappings may be refreshed more than once
+  var eventNames = function (port) {
+    return events.filter(function (event) {
+      return event.data.externalPort === port;
+    }).map(function (event) {
+      return event.name;
+    }).filter(function (name, i, names) {
+      return name !== names[i - 1];
+    });
+  };
+  return portControl.getUpnpControlUrl().then(function (controlUrl) {
+    return Promise.all([
+      portControl.addMappingPmp(50032, 50032, 30, 'udp'),
+      portControl.addMappingPcp(50034, 50034, 30, 'udp'),
+      portControl.addMappingUpnp(50033, 50033, 30, controlUrl, 'udp')
+    ]);
+  }).then(function (mappings) {
+    assert.deepStrictEqual(mappings.map(function (mapping) {
+      return mapping.lifetime;
+    }), [4, 4, 4]);
+    // Check that the router holds the mappings past their first lifetime,
+    // i.e. that each was refreshed before it lapsed
+    checkId = setInterval(function () {
+      ports.forEach(function (port) {
+        if (findRouterMapping(port) === undefined) { lapsed.push(port); }
+      });
+    }, 100);
+    return wait(3.5);
+  }).then(function () {
+    clearInterval(checkId);
+    assert.deepStrictEqual(lapsed, []);
+    // A successful refresh neither expires nor deletes the mapping
+    ports.forEach(function (port) {
+      assert.deepStrictEqual(eventNames(port),
+                             ['mappingCreated', 'mappingRefreshed']);
+    });
+    return Promise.all([portControl.deleteMappingPmp(50032, 'udp'),
+                        portControl.deleteMappingPcp(50034, 'udp'),
+                        portControl.deleteMappingUpnp(50033, 'udp')]);
+  }).then(function (deleted) {
+    assert.deepStrictEqual(deleted, [true, true, true]);
+    ports.forEach(function (port) {
+      assert.deepStrictEqual(eventNames(port), ['mappingCreated',
+                             'mappingRefreshed', 'mappingDeleted']);
+    });
+  });
+});
+
+test('Mappings that are not refreshed emit mappingExpired', function () {
+  var ports = [50120, 50121, 50122];
+  return portControl.getUpnpControlUrl().then(function (controlUrl) {
+    return Promise.all([
+      portControl.addMappingPmp(50120, 50120, 2, 'udp'),
+      portControl.addMappingPcp(50121, 50121, 2, 'udp'),
+      portControl.addMappingUpnp(50122, 50122, 2, controlUrl, 'udp')
+    ]);
+  }).then(function (mappings) {
+    assert.deepStrictEqual(mappings.map(function (mapping) {
+      return mapping.lifetime;
+    }), [2, 2, 2]);
+    return wait(2.5);
+  }).then(function () {
+    ports.forEach(function (port) {
+      assert.deepStrictEqual(events.filter(function (event) {
+        return event.data.externalPort === port;
+      }).map(function (event) {
+        return event.name;
+      }), ['mappingCreated', 'mappingExpired']);
+      assert.strictEqual(portControl.activeMappings[port + '/udp'], undefined);
+      assert.strictEqual(findRouterMapping(port), undefined);
+    });
+  });
+});
+
+test('PCP refreshes a mapping that the router still holds', function () {
+  return portControl.addMappingPcp(50031, 50031, 120, 'udp').
+      then(function (mapping) {
+        // The router checks that the refresh has the mapping's nonce
+        return mapping.refresher('mappingRefreshed');
+      }).then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50031);
+        assert.strictEqual(portControl.activeMappings['50031/udp'], mapping);
+        assert.ok(findRouterMapping(50031) !== undefined);
+        return portControl.deleteMappingPcp(50031, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50031), undefined);
+      });
+});
+
+test('PCP fails with PREFER_FAILURE when the port is taken', function () {
+  simulator.options.reservedPorts = [50040];
+  return portControl.addMappingPcp(50040, 50040, 120, 'udp',
+                                   {preferFailure: true}).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.strictEqual(mapping.errInfo, 'PCP Error: CANNOT_PROVIDE_EXTERNAL');
+      });
+});
+
+test('PCP sends FILTER and THIRD_PARTY options, which the router echoes',
+     function () {
+  var options = {
+    thirdPartyIp: '127.0.0.9',
+    filters: [{remoteIp: '192.0.2.0', prefixLength: 24, remotePort: 6000},
+              {remoteIp: '2001:db8::1', remotePort: 0}]
+  };
+  return portControl.addMappingPcp(50044, 50044, 120, 'udp', options).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50044);
+        assert.strictEqual(mapping.internalIp, '127.0.0.9');
+        // The router maps the third party's port, and reads the IPv4 filter's
+        // prefix as a prefix of the IPv4-mapped address, i.e. 96 bits longer
+        var routerMapping = findRouterMapping(50044);
+        assert.strictEqual(routerMapping.internalIp, '127.0.0.9');
+        assert.deepStrictEqual(routerMapping.filters, [
+          {remoteIp: '192.0.2.0', prefixLength: 120, remotePort: 6000},
+          {remoteIp: '2001:db8::1', prefixLength: 128, remotePort: 0}
+        ]);
+        assert.deepStrictEqual(mapping.pcpOptions, {
+          thirdPartyIp: '127.0.0.9',
+          filters: [
+            {remoteIp: '192.0.2.0', prefixLength: 24, remotePort: 6000},
+            {remoteIp: '2001:db8::1', prefixLength: 128, remotePort: 0}
+          ]
+        });
+        return portControl.deleteMappingPcp(50044, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50044), undefined);
+      });
+});
+
+test('PCP PEER maps, refreshes and deletes a mapping to a remote peer',
+     function () {
+  simulator.options.maxLifetime = 2;
+  simulator.requests = [];
+  var extPort;
+  var findPeerMapping = function () {
+    return simulator.getMappings().filter(function (mapping) {
+      return mapping.internalPort === 50042 &&
+             mapping.remoteIp === '192.0.2.10' && mapping.remotePort === 6000;
+    })[0];
+  };
+  return portControl.addPeerMapping(50042, '192.0.2.10', 6000, 6, 'udp').
+      then(function (mapping) {
+        extPort = mapping.externalPort;
+        assert.notStrictEqual(extPort, -1);
+        assert.strictEqual(mapping.remoteIp, '192.0.2.10');
+        assert.strictEqual(mapping.remotePort, 6000);
+        assert.strictEqual(mapping.lifetime, 2);
+        // The request went out with the PEER opcode, and the router read the
+        // remote peer from it
+        assert.ok(simulator.requests.some(function (request) {
+          return request.protocol === 'pcp' && request.opcode === 2;
+        }));
+        assert.ok(!simulator.requests.some(function (request) {
+          return request.protocol === 'pcp' && request.opcode === 1;
+        }));
+        assert.strictEqual(findPeerMapping().externalPort, extPort);
+        return wait(2.5);
+      }).then(function () {
+        assert.ok(events.some(function (event) {
+          return event.name === 'mappingRefreshed' &&
+                 event.data.externalPort === extPort &&
+                 event.data.remoteIp === '192.0.2.10' &&
+                 event.data.remotePort === 6000;
+        }));
+        assert.strictEqual(findPeerMapping().externalPort, extPort);
+        return portControl.deletePeerMapping(extPort, '192.0.2.10', 6000,
+                                             'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findPeerMapping(), undefined);
+        assert.ok(events.some(function (event) {
+          return event.name === 'mappingDeleted' &&
+                 event.data.remoteIp === '192.0.2.10';
+        }));
+      });
+});
+
+test('PCP re-creates mappings after the router reboots', function () {
+  return portControl.addMappingPcp(50050, 50050, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50050);
+        simulator.reboot();
+        assert.strictEqual(findRouterMapping(50050), undefined);
+        // The next response has an epoch that went backwards
+        return portControl.addMappingPcp(50051, 50051, 120, 'udp');
+      }).then(function () {
+        return wait(2.5);
+      }).then(function () {
+        assert.ok(events.some(function (event) {
+          return event.name === 'mappingRecovered' &&
+                 event.data.externalPort === 50050;
+        }));
+        assert.notStrictEqual(findRouterMapping(50050), undefined);
+        return Promise.all([portControl.deleteMappingPcp(50050, 'udp'),
+                            portControl.deleteMappingPcp(50051, 'udp')]);
+      });
+});
+
+test('UPnP adds, lists and deletes a mapping', function () {
+  return portControl.addMappingUpnp(50060, 50060, 120, undefined, 'tcp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50060);
+        assert.strictEqual(mapping.externalIp, simulator.options.externalIp);
+        assert.strictEqual(mapping.serviceType,
+                           simulator.options.upnpServiceType);
+        return portControl.listRouterMappings();
+      }).then(function (entries) {
+        assert.ok(entries.some(function (entry) {
+          return entry.externalPort === 50060 && entry.transport === 'tcp';
+        }));
+        return portControl.deleteMappingUpnp(50060, 'tcp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50060), undefined);
+      });
+});
+
+test('UPnP reports the error of a failed action', function () {
+  simulator.options.upnpErrorCode = 606;
+  return portControl.addMappingUpnp(50070, 50070, 120).
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, -1);
+        assert.ok(/Action not authorized/.test(mapping.errInfo));
+      });
+});
+
+test('Each PortControl keeps its own mappings unless they are shared',
+     function () {
+  var other = createPortControl();
+  var sharing = createPortControl(undefined, {
+    activeMappings: portControl.activeMappings
+  });
+  return portControl.addMappingPcp(50080, 50080, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50080);
+        assert.notStrictEqual(other.activeMappings, portControl.activeMappings);
+        assert.notStrictEqual(other.routerIpCache, portControl.routerIpCache);
+        assert.strictEqual(sharing.activeMappings['50080/udp'], mapping);
+        // Closing another instance leaves our mapping alone
+        return other.close();
+      }).then(function () {
+        assert.notStrictEqual(findRouterMapping(50080), undefined);
+        return sharing.getState();
+      }).then(function (state) {
+        assert.strictEqual(state.activeMappings, portControl.activeMappings);
+        assert.notStrictEqual(state.routerIpCache, portControl.routerIpCache);
+        // Resetting an instance that shares our mappings leaves them to us
+        sharing.reset();
+        assert.deepStrictEqual(sharing.activeMappings, {});
+        assert.strictEqual(portControl.activeMappings['50080/udp'].externalPort,
+                           50080);
+        return portControl.deleteMappingPcp(50080, 'udp');
+      });
+});
+
+test('reset() forgets mappings without deleting them from the router',
+     function () {
+  var other = createPortControl();
+  return other.addMappingPmp(50081, 50081, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50081);
+        assert.deepStrictEqual(other.routerIpCache, [simulator.options.address]);
+        other.reset();
+        return other.getState();
+      }).then(function (state) {
+        assert.deepStrictEqual(state.activeMappings, {});
+        assert.deepStrictEqual(state.routerIpCache, []);
+        assert.notStrictEqual(findRouterMapping(50081), undefined);
+        return portControl.addMappingPmp(50081, 50081, 120, 'udp');
+      }).then(function () {
+        return portControl.deleteMappingPmp(50081, 'udp');
+      });
+});
+
+test('reset() stops listening for announcements', function () {
+  var other = createPortControl();
+  var next = createPortControl();
+  return other.listenForAnnouncements().then(function (listening) {
+    assert.strictEqual(listening, true);
+    other.reset();
+    assert.strictEqual(other.announcementSocket, undefined);
+    // The port is free for another instance again
+    return next.listenForAnnouncements();
+  }).then(function (listening) {
+    assert.strictEqual(listening, true);
+    return next.stopListeningForAnnouncements();
+  });
+});
+
+test('UPnP resolves control URLs against URLBase or the description URL',
+     function () {
+  var controlUrl = function () {
+    return simulator.getHttpUrl() + simulator.getControlPath().substring(1);
+  };
+  var other = createPortControl();
+  return other.getUpnpControlUrl().then(function (url) {
+    assert.strictEqual(url, controlUrl());
+    simulator.options.upnpUrls = 'absolute';
+    return createPortControl().getUpnpControlUrl();
+  }).then(function (url) {
+    assert.strictEqual(url, controlUrl());
+    simulator.options.upnpUrls = 'urlBase';
+    other = createPortControl();
+    return other.getUpnpControlUrl();
+  }).then(function (url) {
+    assert.strictEqual(url, simulator.getHttpUrl() + 'igd/ctl/WANConnection');
+    // The SOAP actions reach the control URL under URLBase
+    return other.addMappingUpnp(50064, 50064, 120, undefined, 'udp');
+  }).then(function (mapping) {
+    assert.strictEqual(mapping.externalPort, 50064);
+    assert.strictEqual(mapping.routerIp, simulator.options.address);
+    return other.deleteMappingUpnp(50064, 'udp');
+  }).then(function (deleted) {
+    assert.strictEqual(deleted, true);
+  });
+});
+
+test('UPnP is unsupported when SSDP searches cannot be sent', function () {
+  simulator.options.multicastRoute = false;
+  var start = Date.now();
+  return createPortControl().probeUpnpSupport().then(function (supported) {
+    assert.strictEqual(supported, false);
+    // We gave up without waiting for responses
+    assert.ok(Date.now() - start < 3000);
+  });
+});
+
+test('Malformed announcements are dropped', function () {
+  var other = createPortControl();
+  var sender = dgram.createSocket('udp4');
+  var packets = [Buffer.alloc(0), Buffer.from([0]), Buffer.from([2, 0x80])];
+  return other.listenForAnnouncements().then(function (listening) {
+    assert.strictEqual(listening, true);
+    return Promise.all(packets.map(function (packet) {
+      return new Promise(function (F, R) {
+        sender.send(packet, 5350, simulator.options.address, F);
+      });
+    }));
+  }).then(function () {
+    return wait(0.25);
+  }).then(function () {
+    assert.notStrictEqual(other.announcementSocket, undefined);
+    sender.close();
+    return other.stopListeningForAnnouncements();
+  });
+});
+
+test('Each PortControl keeps its own UPnP service types', function () {
+  var other = createPortControl();
+  return other.getUpnpControlUrl().then(function (controlUrl) {
+    assert.strictEqual(other.upnpServiceTypes[controlUrl],
+                       simulator.options.upnpServiceType);
+    assert.strictEqual(createPortControl().upnpServiceTypes[controlUrl],
+                       undefined);
+    other.reset();
+    assert.deepStrictEqual(other.upnpServiceTypes, {});
+  });
+});
+
+test('PCP maps the port on every gateway that answers', function () {
+  var other = createPortControl();
+  other.setRouterIps([simulator.options.address,
+                      upstreamSimulator.options.address]);
+  return other.addMappingPcp(50090, 50090, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50090);
+        assert.deepStrictEqual(mapping.gateways.map(function (gateway) {
+          return gateway.externalIp;
+        }).sort(), ['198.51.100.7', '203.0.113.1']);
+        assert.deepStrictEqual(mapping.upstreamMappings, []);
+        assert.strictEqual(upstreamSimulator.getMappings().length, 1);
+        return other.deleteMappingPcp(50090, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50090), undefined);
+        assert.deepStrictEqual(upstreamSimulator.getMappings(), []);
+      });
+});
+
+test('PCP recovers a mapping that a second gateway lost', function () {
+  var otherEvents = [];
+  var other = createPortControl(function (eventName, data) {
+    otherEvents.push({name: eventName, data: data});
+  });
+  other.setRouterIps([simulator.options.address,
+                      upstreamSimulator.options.address]);
+  return other.listenForAnnouncements().then(function (listening) {
+    assert.strictEqual(listening, true);
+    return other.addMappingPcp(50092, 50092, 120, 'udp');
+  }).then(function (mapping) {
+    assert.strictEqual(mapping.routerIp, simulator.options.address);
+    assert.strictEqual(mapping.gateways.length, 2);
+    // The second gateway reboots, loses the mapping and announces it
+    upstreamSimulator.reboot();
+    return upstreamSimulator.announce();
+  }).then(function () {
+    return wait(2);
+  }).then(function () {
+    assert.ok(otherEvents.some(function (event) {
+      return event.name === 'mappingRecovered' &&
+             event.data.externalPort === 50092;
+    }));
+    assert.strictEqual(upstreamSimulator.getMappings().length, 1);
+    return other.close();
+  }).then(function () {
+    assert.strictEqual(findRouterMapping(50092), undefined);
+    assert.deepStrictEqual(upstreamSimulator.getMappings(), []);
+  });
+});
+
+test('NAT-PMP emits externalIpChanged once for each new external IP',
+     function () {
+  var otherEvents = [];
+  var other = createPortControl(function (eventName, data) {
+    otherEvents.push({name: eventName, data: data});
+  }, {routerIpCache: [simulator.options.address]});
+  var ipChanges = function () {
+    return otherEvents.filter(function (event) {
+      return event.name === 'externalIpChanged';
+    }).map(function (event) { return event.data.externalIp; });
+  };
+  return other.listenForAnnouncements().then(function (listening) {
+    assert.strictEqual(listening, true);
+    // Routers repeat each announcement
+    return simulator.announce();
+  }).then(function () {
+    return wait(0.25);
+  }).then(function () {
+    return simulator.announce();
+  }).then(function () {
+    return wait(0.25);
+  }).then(function () {
+    assert.deepStrictEqual(ipChanges(), ['203.0.113.1']);
+    simulator.options.externalIp = '203.0.113.9';
+    return simulator.announce();
+  }).then(function () {
+    return wait(0.25);
+  }).then(function () {
+    assert.deepStrictEqual(ipChanges(), ['203.0.113.1', '203.0.113.9']);
+    assert.strictEqual(other.routerExternalIps[simulator.options.address],
+                       '203.0.113.9');
+    return other.stopListeningForAnnouncements();
+  });
+});
+
+test('PCP ignores repeated ANNOUNCEs from a router that has not reset',
+     function () {
+  var otherEvents = [];
+  var other = createPortControl(function (eventName, data) {
+    otherEvents.push({name: eventName, data: data});
+  });
+  var requestCount;
+  return other.listenForAnnouncements().then(function (listening) {
+    assert.strictEqual(listening, true);
+    return other.addMappingPcp(50094, 50094, 120, 'udp');
+  }).then(function (mapping) {
+    assert.strictEqual(mapping.externalPort, 50094);
+    requestCount = simulator.requests.length;
+    return simulator.announce();
+  }).then(function () {
+    return simulator.announce();
+  }).then(function () {
+    return wait(1);
+  }).then(function () {
+    assert.strictEqual(simulator.requests.length, requestCount);
+    assert.deepStrictEqual(otherEvents.map(function (event) {
+      return event.name;
+    }), ['mappingCreated']);
+    return other.close();
+  }).then(function () {
+    assert.strictEqual(findRouterMapping(50094), undefined);
+  });
+});
+
+test('PCP and UPnP map ports for an IPv6 client', function () {
+  var other = createPortControl();
+  other.setRouterIps([ipv6Simulator.options.address]);
+  PortControl.setTransport(ipv6Simulator.transport);
+  return other.addMappingPcp(50096, 50096, 120, 'udp').then(function (mapping) {
+    assert.strictEqual(mapping.externalPort, 50096);
+    assert.strictEqual(mapping.routerIp, '::1');
+    assert.strictEqual(mapping.internalIp, '::1');
+    assert.strictEqual(mapping.externalIp, '2001:db8::5');
+    // The router checks the client address in the request against the
+    // request's source, so it was encoded as our IPv6 address
+    assert.strictEqual(ipv6Simulator.getMappings()[0].internalIp, '::1');
+    return other.addMappingUpnp(50097, 50097, 120, undefined, 'udp');
+  }).then(function (mapping) {
+    // The control URL's host is '[::1]', which is the router '::1'
+    assert.strictEqual(mapping.externalPort, 50097);
+    assert.strictEqual(mapping.routerIp, '::1');
+    assert.strictEqual(mapping.internalIp, '::1');
+    assert.strictEqual(mapping.externalIp, '2001:db8::5');
+    return Promise.all([other.deleteMappingPcp(50096, 'udp'),
+                        other.deleteMappingUpnp(50097, 'udp')]);
+  }).then(function (deleted) {
+    assert.deepStrictEqual(deleted, [true, true]);
+    assert.deepStrictEqual(ipv6Simulator.getMappings(), []);
+  }).then(function () {
+    PortControl.setTransport(simulator.transport);
+  }, function (err) {
+    PortControl.setTransport(simulator.transport);
+    return Promise.reject(err);
+  });
+});
+
+test('PCP chains a mapping through a NAT in front of the gateway',
+     function () {
+  // The upstream NAT sees our gateway's requests come from its CGN address
+  simulator.options.externalIp = '100.64.0.2';
+  upstreamSimulator.options.sourceIp = '100.64.0.2';
+  var other = createPortControl();
+  other.setRouterIps([simulator.options.address,
+                      upstreamSimulator.options.address]);
+  return other.addMappingPcp(50091, 50091, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalIp, '100.64.0.2');
+        assert.strictEqual(mapping.gateways.length, 1);
+        assert.strictEqual(mapping.upstreamMappings.length, 1);
+        var upstreamMapping = mapping.upstreamMappings[0];
+        assert.strictEqual(upstreamMapping.routerIp, '127.0.0.2');
+        assert.strictEqual(upstreamMapping.internalIp, '100.64.0.2');
+        assert.strictEqual(upstreamMapping.upstreamClientIp, '100.64.0.2');
+        assert.strictEqual(upstreamMapping.externalIp, '198.51.100.7');
+        assert.strictEqual(
+            other.activeMappings['50091/udp@100.64.0.2'], upstreamMapping);
+        var routerMapping = upstreamSimulator.getMappings()[0];
+        assert.strictEqual(routerMapping.internalIp, '100.64.0.2');
+        assert.strictEqual(routerMapping.internalPort, 50091);
+        return other.deleteMappingPcp(50091, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50091), undefined);
+        assert.deepStrictEqual(upstreamSimulator.getMappings(), []);
+        assert.deepStrictEqual(other.activeMappings, {});
+      });
+});
+
+test('STUN confirms that a mapping works from outside', function () {
+  // The STUN server sees our packets come from the mapping's external address
+  stunServer.options.publicIp = simulator.options.externalIp;
+  return portControl.addMappingPcp(50100, 50100, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalPort, 50100);
+        return portControl.checkPublicAddress(
+            {address: '127.0.0.1', port: stunServer.port}, 50100);
+      }).then(function (report) {
+        assert.deepStrictEqual(report, {
+          localPort: 50100,
+          publicIp: '203.0.113.1',
+          publicPort: 50100,
+          routerExternalIp: '203.0.113.1',
+          routerExternalPort: 50100,
+          mappingWorks: true,
+          doubleNat: false,
+          cgnat: false
+        });
+        return portControl.deleteMappingPcp(50100, 'udp');
+      });
+});
+
+test('STUN flags a carrier-grade NAT beyond the router', function () {
+  simulator.options.externalIp = '100.64.0.2';
+  stunServer.options.publicIp = '198.51.100.7';
+  return portControl.addMappingPmp(50101, 50101, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.externalIp, '100.64.0.2');
+        return portControl.checkPublicAddress(
+            {address: '127.0.0.1', port: stunServer.port}, 50101);
+      }).then(function (report) {
+        assert.strictEqual(report.publicIp, '198.51.100.7');
+        assert.strictEqual(report.routerExternalIp, '100.64.0.2');
+        assert.strictEqual(report.mappingWorks, false);
+        assert.strictEqual(report.doubleNat, true);
+        assert.strictEqual(report.cgnat, true);
+        return portControl.deleteMappingPmp(50101, 'udp');
+      });
+});
+
+test('classifyNat() finds an open network without a NAT', function () {
+  return portControl.classifyNat({address: '127.0.0.1', port: stunServer.port},
+                                 {lifetimeTests: [0.5]}).
+      then(function (behavior) {
+        assert.strictEqual(behavior.publicIp, '127.0.0.1');
+        assert.strictEqual(behavior.natDetected, false);
+        assert.strictEqual(behavior.mapping, 'endpoint-independent');
+        assert.strictEqual(behavior.filtering, 'endpoint-independent');
+        assert.strictEqual(behavior.hairpinning, true);
+        assert.strictEqual(behavior.bindingLifetime, 0.5);
+        assert.strictEqual(portControl.protocolSupportCache.natBehavior,
+                           behavior);
+      });
+});
+
+test('classifyNat() classifies a restrictive NAT', function () {
+  stunServer.options.publicIp = '198.51.100.7';
+  stunServer.options.mapping = 'address-and-port-dependent';
+  stunServer.options.filtering = 'address-dependent';
+  stunServer.options.bindingLifetime = 0.5;
+  return portControl.classifyNat({address: '127.0.0.1', port: stunServer.port},
+                                 {lifetimeTests: [0.2, 1]}).
+      then(function (behavior) {
+        assert.strictEqual(behavior.publicIp, '198.51.100.7');
+        assert.strictEqual(behavior.natDetected, true);
+        assert.strictEqual(behavior.mapping, 'address-and-port-dependent');
+        assert.strictEqual(behavior.filtering, 'address-dependent');
+        assert.strictEqual(behavior.hairpinning, false);
+        assert.strictEqual(behavior.bindingLifetime, 0.2);
+        assert.strictEqual(behavior.errInfo, undefined);
+      });
+});
+
+test('addMapping() tries the protocols in the preferred order', function () {
+  var other = createPortControl();
+  other.setProtocolPreference({order: ['pcp', 'natPmp']});
+  assert.throws(function () {
+    other.setProtocolPreference({order: ['natPmp', 'smtp']});
+  }, /Unknown protocol: smtp/);
+  simulator.options.pcp = false;
+  return other.addMapping(50110, 50110, 120, 'udp').
+      then(function (mapping) {
+        assert.strictEqual(mapping.protocol, 'natPmp');
+        assert.strictEqual(other.protocolSupportCache.natPmp, true);
+        assert.strictEqual(other.protocolSupportCache.pcp, undefined);
+        return other.deleteMapping(50110, 'udp');
+      });
+});
+
+test('addMapping() races the protocols and deletes the extra mappings',
+     function () {
+  var other = createPortControl();
+  other.setProtocolPreference({order: ['pcp', 'natPmp'], race: true,
+                               stagger: 300});
+  var winner;
+  return other.addMapping(50111, 50111, 120, 'udp').
+      then(function (mapping) {
+        winner = mapping;
+        assert.strictEqual(mapping.protocol, 'pcp');
+        assert.strictEqual(other.protocolSupportCache.pcp, true);
+        // NAT-PMP answers too, after PCP has won
+        return wait(1);
+      }).then(function () {
+        var routerMappings = simulator.getMappings().filter(function (mapping) {
+          return mapping.internalPort === 50111;
+        });
+        assert.deepStrictEqual(routerMappings.map(function (mapping) {
+          return mapping.protocol;
+        }), ['pcp']);
+        assert.strictEqual(other.activeMappings['50111/udp'], winner);
+        return other.deleteMapping(50111, 'udp');
+      });
+});
+
+test('addMapping() keeps a race winner that shares the loser\'s port',
+     function () {
+  var other = createPortControl();
+  other.setProtocolPreference({order: ['pcp', 'natPmp'], race: true,
+                               stagger: 300});
+  // NAT-PMP finds and renews the mapping that PCP made
+  simulator.options.sharedTable = true;
+  simulator.requests = [];
+  var winner;
+  return other.addMapping(50112, 50112, 120, 'udp').
+      then(function (mapping) {
+        winner = mapping;
+        assert.strictEqual(mapping.protocol, 'pcp');
+        return wait(1);
+      }).then(function () {
+        assert.ok(simulator.requests.some(function (request) {
+          return request.protocol === 'natPmp' && request.opcode === 1;
+        }));
+        var routerMapping = findRouterMapping(50112);
+        assert.ok(routerMapping !== undefined);
+        assert.strictEqual(routerMapping.internalPort, 50112);
+        assert.strictEqual(other.activeMappings['50112/udp'], winner);
+        return other.deleteMapping(50112, 'udp');
+      }).then(function (deleted) {
+        assert.strictEqual(deleted, true);
+        assert.strictEqual(findRouterMapping(50112), undefined);
+      });
+});
+
+test('getExternalIp() tries the protocols in the preferred order',
+     function () {
+  var other = createPortControl();
+  other.setProtocolPreference({order: ['upnp', 'natPmp']});
+  simulator.requests = [];
+  return other.getExternalIp().then(function (externalIp) {
+    assert.strictEqual(externalIp, simulator.options.externalIp);
+    // UPnP found the router with this instance's state
+    assert.ok(other.ssdpRouterIps.indexOf(simulator.options.address) !== -1);
+    assert.ok(!simulator.requests.some(function (request) {
+      return request.protocol === 'natPmp' || request.protocol === 'pcp';
+    }));
+  });
+});
+
+test('PCP gets the external IP with a MAP of lifetime 0', function () {
+  var other = createPortControl();
+  other.setProtocolPreference({order: ['pcp']});
+  simulator.requests = [];
+  // Return the lifetimes of the PCP MAP requests since the last check
+  var mapLifetimes = function () {
+    var lifetimes = simulator.requests.filter(function (request) {
+      return request.protocol === 'pcp' && request.opcode === 1;
+    }).map(function (request) { return request.lifetime; });
+    simulator.requests = [];
+    return lifetimes;
+  };
+  return other.getExternalIp().then(function (externalIp) {
+    assert.strictEqual(externalIp, simulator.options.externalIp);
+    assert.deepStrictEqual(mapLifetimes(), [0]);
+    // A router that leaves the external IP out of that answer gets a short
+    // mapping, which is deleted again
+    simulator.options.pcpDeleteExternalIp = false;
+    return other.getExternalIp();
+  }).then(function (externalIp) {
+    assert.strictEqual(externalIp, simulator.options.externalIp);
+    return wait(0.5);
+  }).then(function () {
+    assert.deepStrictEqual(mapLifetimes(), [0, 30, 0]);
+    assert.strictEqual(findRouterMapping(55556), undefined);
+  });
+});
+
+test('probeProtocolSupport() probes without mapping anything', function () {
+  var other = createPortControl();
+  var mappingCount = simulator.getMappings().length;
+  simulator.requests = [];
+  return other.probeProtocolSupport().then(function (support) {
+    assert.deepStrictEqual(support, {natPmp: true, pcp: true, upnp: true});
+    assert.strictEqual(simulator.getMappings().length, mappingCount);
+    // A public address request, a PCP ANNOUNCE, and no UPnP mapping
+    assert.ok(simulator.requests.some(function (request) {
+      return request.protocol === 'natPmp' && request.opcode === 0;
+    }));
+    assert.ok(simulator.requests.some(function (request) {
+      return request.protocol === 'pcp' && request.opcode === 0;
+    }));
+    assert.ok(!simulator.requests.some(function (request) {
+      return request.protocol === 'upnp' && request.action === 'AddPortMapping';
+    }));
+  });
+});
+
+test('PCP probes with a MAP of lifetime 0 when ANNOUNCE is unsupported',
+     function () {
+  var other = createPortControl();
+  var mappingCount = simulator.getMappings().length;
+  simulator.options.pcpAnnounce = false;
+  simulator.requests = [];
+  return other.probePcpSupport().then(function (supported) {
+    assert.strictEqual(supported, true);
+    assert.strictEqual(simulator.getMappings().length, mappingCount);
+    assert.ok(simulator.requests.some(function (request) {
+      return request.protocol === 'pcp' && request.opcode === 1;
+    }));
+    simulator.options.pcp = false;
+    return other.probePcpSupport();
+  }).then(function (supported) {
+    assert.strictEqual(supported, false);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+* A STUN (RFC 5389) server for testing the STUN client without network
+* access. It binds on localhost and answers Binding requests with the address
+* that they came from, or with the address that options.publicIp says they'd
+* come from outside a simulated NAT.
+* With an alternate address, it binds a second port on both addresses and
+* supports the NAT behavior discovery of RFC 5780 (OTHER-ADDRESS,
+* CHANGE-REQUEST and RESPONSE-PORT), and it simulates the mapping, filtering
+* and binding lifetime of a NAT in front of the client
+*/
+var dgram = require('dgram');
+var ipaddr = require('ipaddr.js');
+
+/**
+* Default options of a StunServer. The NAT behaviors are 'endpoint-independent',
+* 'address-dependent' or 'address-and-port-dependent' (RFC 4787)
+* @typedef {Object} StunServerOptions
+* @property {string} address The address that the server binds to
+* @property {number} port The port that the server binds to, 0 for any port
+* @property {string} alternateAddress The server's second address, which must
+*                                     also be on localhost, or undefined
+* @property {string} publicIp The IP to report in XOR-MAPPED-ADDRESS, as if
+*                             a NAT translated the request, or undefined for
+*                             the real source IP
+* @property {string} mapping The simulated NAT's mapping behavior: the port
+*                            that it reports for requests to its other
+*                            addresses is offset from the real one
+* @property {string} filtering The simulated NAT's filtering behavior, which
+*     decides whether to send answers from another address or port, or to
+*     another port, than the client has sent to
+* @property {number} bindingLifetime Seconds that the simulated NAT keeps an
+*                                    idle binding, 0 for ever
+* @property {number} errorCode A STUN error code to fail requests with
+* @property {number} dropRequests How many requests to ignore before
+*                                 answering again
+*/
+var DEFAULT_OPTIONS = {
+  address: '127.0.0.1',
+  port: 0,
+  alternateAddress: undefined,
+  publicIp: undefined,
+  mapping: 'endpoint-independent',
+  filtering: 'endpoint-independent',
+  bindingLifetime: 0,
+  errorCode: 0,
+  dropRequests: 0
+};
+
+var MAGIC_COOKIE = 0x2112a442;
+var BINDING_REQUEST = 0x0001;
+var BINDING_SUCCESS = 0x0101;
+var BINDING_ERROR = 0x0111;
+var ATTR_CHANGE_REQUEST = 0x0003;
+var ATTR_ERROR_CODE = 0x0009;
+var ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+var ATTR_RESPONSE_PORT = 0x0027;
+var ATTR_OTHER_ADDRESS = 0x802c;
+var CHANGE_IP = 0x4;
+var CHANGE_PORT = 0x2;
+
+/**
+* A STUN server
+* @constructor
+* @param {Object=} options Optional: options that override DEFAULT_OPTIONS
+*/
+var StunServer = function (options) {
+  options = options || {};
+  this.options = {};
+  for (var name in DEFAULT_OPTIONS) {
+    if (DEFAULT_OPTIONS.hasOwnProperty(name)) {
+      this.options[name] = options.hasOwnProperty(name) ?
+          options[name] : DEFAULT_OPTIONS[name];
+    }
+  }
+  // The number of Binding requests that the server has received
+  this.requests = 0;
+  // The server's addresses: its primary one first, then the other port, then
+  // the alternate address with each port, so that the index's bit 1 says
+  // which address, and bit 0 which port
+  this.endpoints = [];
+  // The simulated NAT's bindings by client port, each with the time it was
+  // last used and the endpoints that the client has sent to
+  this.bindings = {};
+};
+
+/**
+* Bind the server's sockets
+* @public
+* @method start
+* @return {Promise} A promise that fulfills when the server is listening
+*/
+StunServer.prototype.start = function () {
+  var _this = this;
+  var options = this.options;
+  return this.bindEndpoint(options.address, options.port).then(function () {
+    _this.port = _this.endpoints[0].port;
+    if (options.alternateAddress === undefined) { return; }
+    return _this.bindEndpoint(options.address, 0).then(function () {
+      _this.otherPort = _this.endpoints[1].port;
+      return _this.bindEndpoint(options.alternateAddress, _this.port);
+    }).then(function () {
+      return _this.bindEndpoint(options.alternateAddress, _this.otherPort);
+    });
+  });
+};
+
+/**
+* Close the server's sockets
+* @public
+* @method stop
+* @return {Promise} A promise that fulfills when the sockets are closed
+*/
+StunServer.prototype.stop = function () {
+  return Promise.all(this.endpoints.map(function (endpoint) {
+    return new Promise(function (F, R) { endpoint.socket.close(F); });
+  }));
+};
+
+/**
+* Bind a socket for another of the server's endpoints
+* @private
+* @method bindEndpoint
+* @param {string} address The address to bind to
+* @param {number} port The port to bind to, 0 for any port
+* @return {Promise} A promise that fulfills when the socket is bound
+*/
+StunServer.prototype.bindEndpoint = function (address, port) {
+  var _this = this;
+  var index = this.endpoints.length;
+  var socket = dgram.createSocket('udp4');
+  socket.on('message', function (msg, rinfo) {
+    _this.handleRequest(msg, rinfo, index);
+  });
+  return new Promise(function (F, R) {
+    socket.once('error', R);
+    socket.bind(port, address, function () {
+      _this.endpoints[index] = {address: address,
+                                port: socket.address().port,
+                                socket: socket};
+      F();
+    });
+  });
+};
+
+/**
+* Answer a Binding request with its source address, or an error, from the
+* endpoint and to the port that it asks for, unless the simulated NAT would
+* filter the answer out
+* @private
+* @method handleRequest
+* @param {Buffer} request The request packet
+* @param {Object} rinfo The address and port that sent the request
+* @param {number} index The index of the endpoint that received the request
+*/
+StunServer.prototype.handleRequest = function (request, rinfo, index) {
+  if (request.length < 20 || request.readUInt16BE(0) !== BINDING_REQUEST ||
+      request.readUInt32BE(4) !== MAGIC_COOKIE) {
+    return;
+  }
+  this.requests++;
+  if (this.options.dropRequests > 0) {
+    this.options.dropRequests--;
+    return;
+  }
+
+  // Read the RFC 5780 attributes
+  var changeFlags = 0;
+  var responsePort;
+  for (var offset = 20; offset + 4 <= request.length;
+       offset += 4 + 4*Math.ceil(request.readUInt16BE(offset + 2) / 4)) {
+    var type = request.readUInt16BE(offset);
+    if (type === ATTR_CHANGE_REQUEST) {
+      changeFlags = request.readUInt32BE(offset + 4);
+    } else if (type === ATTR_RESPONSE_PORT) {
+      responsePort = request.readUInt16BE(offset + 4);
+    }
+  }
+
+  // The client's packet refreshes its binding, and opens its filter to us
+  var binding = this.getBinding(rinfo.port) || {contacted: []};
+  binding.lastUsed = Date.now();
+  if (binding.contacted.indexOf(index) === -1) {
+    binding.contacted.push(index);
+  }
+  this.bindings[rinfo.port] = binding;
+
+  var from = index;
+  if (this.options.alternateAddress !== undefined) {
+    from ^= ((changeFlags & CHANGE_IP) ? 2 : 0) |
+            ((changeFlags & CHANGE_PORT) ? 1 : 0);
+  }
+  var toPort = (responsePort !== undefined) ? responsePort : rinfo.port;
+  if (!this.isAllowed(toPort, from)) { return; }
+
+  var transactionId = request.slice(8, 20);
+  var attributes = [];
+  if (this.options.errorCode !== 0) {
+    var error = Buffer.alloc(12);
+    error.writeUInt16BE(ATTR_ERROR_CODE, 0);
+    error.writeUInt16BE(8, 2);
+    error.writeUInt8(Math.floor(this.options.errorCode / 100), 6);
+    error.writeUInt8(this.options.errorCode % 100, 7);
+    error.write('Test', 8);
+    attributes.push(error);
+  } else {
+    attributes.push(encodeAddress(ATTR_XOR_MAPPED_ADDRESS,
+                                  this.options.publicIp || rinfo.address,
+                                  rinfo.port + this.getPortOffset(index),
+                                  true));
+    if (this.options.alternateAddress !== undefined) {
+      attributes.push(encodeAddress(ATTR_OTHER_ADDRESS, this.endpoints[3].address,
+                                    this.endpoints[3].port, false));
+    }
+  }
+
+  var body = Buffer.concat(attributes);
+  var header = Buffer.alloc(20);
+  header.writeUInt16BE((this.options.errorCode !== 0) ? BINDING_ERROR :
+                                                       BINDING_SUCCESS, 0);
+  header.writeUInt16BE(body.length, 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+  this.endpoints[from].socket.send(Buffer.concat([header, body]), toPort,
+                                   rinfo.address);
+};
+
+/**
+* Return the simulated NAT's binding of a client port, unless it has expired
+* @private
+* @method getBinding
+* @param {number} port The client port
+* @return {Object} The binding, or undefined
+*/
+StunServer.prototype.getBinding = function (port) {
+  var binding = this.bindings[port];
+  if (binding !== undefined && this.options.bindingLifetime > 0 &&
+      Date.now() - binding.lastUsed > this.options.bindingLifetime*1000) {
+    delete this.bindings[port];
+    return undefined;
+  }
+  return binding;
+};
+
+/**
+* Return whether the simulated NAT lets in a packet from one of our endpoints
+* to a client port
+* @private
+* @method isAllowed
+* @param {number} port The client port
+* @param {number} from The index of the endpoint that sends the packet
+* @return {boolean}
+*/
+StunServer.prototype.isAllowed = function (port, from) {
+  var binding = this.getBinding(port);
+  if (binding === undefined) { return false; }
+  return binding.contacted.some(function (index) {
+    switch (this.options.filtering) {
+      case 'address-dependent': return (index >> 1) === (from >> 1);
+      case 'address-and-port-dependent': return index === from;
+      default: return true;
+    }
+  }, this);
+};
+
+/**
+* Return how far the simulated NAT's public port for requests to one of our
+* endpoints is from the client's real port
+* @private
+* @method getPortOffset
+* @param {number} index The index of the endpoint
+* @return {number} The offset
+*/
+StunServer.prototype.getPortOffset = function (index) {
+  switch (this.options.mapping) {
+    case 'address-dependent': return index >> 1;
+    case 'address-and-port-dependent': return index;
+    default: return 0;
+  }
+};
+
+/**
+* Encode an IPv4 address attribute, e.g. XOR-MAPPED-ADDRESS
+* @private
+* @method encodeAddress
+* @param {number} type The attribute type
+* @param {string} ip The IPv4 address
+* @param {number} port The port
+* @param {boolean} xor Whether to XOR the address with the magic cookie
+* @return {Buffer} The attribute, with its type and length
+*/
+var encodeAddress = function (type, ip, port, xor) {
+  var attribute = Buffer.alloc(12);
+  attribute.writeUInt16BE(type, 0);
+  attribute.writeUInt16BE(8, 2);
+  attribute.writeUInt8(1, 5);
+  var bytes = ipaddr.IPv4.parse(ip).octets;
+  var address = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) |
+                 bytes[3]) >>> 0;
+  attribute.writeUInt16BE(xor ? port ^ (MAGIC_COOKIE >>> 16) : port, 6);
+  attribute.writeUInt32BE(xor ? (address ^ MAGIC_COOKIE) >>> 0 : address, 8);
+  return attribute;
+};
+
+module.exports = StunServer;
@@ -0,0 +1,103 @@
+/**
+* Tests of the STUN client, against the STUN server in stun-server.js
+*/
+var test = require('node:test');
+var assert = require('assert');
+var stun = require('../src/stun');
+var StunServer = require('./stun-server');
+
+var server = new StunServer();
+var retransmission = {initialInterval: 100, maxInterval: 0, maxAttempts: 0,
+                      deadline: 1000, jitter: 0};
+
+// Return an ArrayBuffer with the bytes of an array
+var toArrayBuffer = function (bytes) {
+  return new Uint8Array(bytes).buffer;
+};
+
+test.before(function () {
+  return server.start();
+});
+
+test.after(function () {
+  return server.stop();
+});
+
+test.beforeEach(function () {
+  server.options.publicIp = undefined;
+  server.options.errorCode = 0;
+  server.options.dropRequests = 0;
+});
+
+test('encodes a Binding request', function () {
+  var request = stun.encodeBindingRequest([1, 2, 3]);
+  assert.deepStrictEqual(Array.from(new Uint8Array(request)),
+                         [0, 1, 0, 0, 0x21, 0x12, 0xa4, 0x42,
+                          0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 3]);
+});
+
+test('encodes CHANGE-REQUEST and RESPONSE-PORT', function () {
+  var request = stun.encodeBindingRequest([1, 2, 3], {
+    changeIp: true, changePort: true, responsePort: 50000
+  });
+  assert.deepStrictEqual(Array.from(new Uint8Array(request)).slice(2, 4),
+                         [0, 16]);
+  assert.deepStrictEqual(Array.from(new Uint8Array(request)).slice(20),
+                         [0, 3, 0, 4, 0, 0, 0, 6,
+                          0, 0x27, 0, 4, 0xc3, 0x50, 0, 0]);
+});
+
+test('decodes an IPv6 XOR-MAPPED-ADDRESS', function () {
+  // 2001:db8::1 port 8080, XORed with the cookie and transaction ID [1, 2, 3]
+  var response = stun.decodeMessage(toArrayBuffer([
+    1, 1, 0, 24, 0x21, 0x12, 0xa4, 0x42, 0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 3,
+    0, 0x20, 0, 20, 0, 2, 0x1f ^ 0x21, 0x90 ^ 0x12,
+    0x20 ^ 0x21, 0x01 ^ 0x12, 0x0d ^ 0xa4, 0xb8 ^ 0x42,
+    0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 1 ^ 3
+  ]));
+  assert.strictEqual(response.messageType, 0x0101);
+  assert.strictEqual(response.mappedIp, '2001:db8::1');
+  assert.strictEqual(response.mappedPort, 8080);
+});
+
+test('rejects a packet without the magic cookie', function () {
+  assert.throws(function () {
+    stun.decodeMessage(toArrayBuffer([1, 1, 0, 0, 0, 0, 0, 0, 0, 0,
+                                      0, 1, 0, 0, 0, 2, 0, 0, 0, 3]));
+  }, /Not a STUN message/);
+});
+
+test('gets the public address of a local port', function () {
+  server.options.publicIp = '198.51.100.7';
+  return stun.getPublicAddress({address: '127.0.0.1', port: server.port},
+                               50200, retransmission).
+      then(function (publicAddress) {
+        assert.deepStrictEqual(publicAddress, {
+          localPort: 50200,
+          publicIp: '198.51.100.7',
+          publicPort: 50200
+        });
+      });
+});
+
+test('retransmits a Binding request that the server dropped', function () {
+  server.options.dropRequests = 1;
+  var requests = server.requests;
+  return stun.getPublicAddress({address: '127.0.0.1', port: server.port},
+                               0, retransmission).
+      then(function (publicAddress) {
+        assert.strictEqual(publicAddress.publicIp, '127.0.0.1');
+        assert.strictEqual(server.requests - requests, 2);
+      });
+});
+
+test('rejects with the error of a Binding error response', function () {
+  server.options.errorCode = 420;
+  return stun.getPublicAddress({address: '127.0.0.1', port: server.port},
+                               0, retransmission).
+      then(function () {
+        assert.fail('Expected an error');
+      }, function (err) {
+        assert.strictEqual(err.message, 'STUN Error: 420 Test');
+      });
+});
@@ -0,0 +1,36 @@
+/**
+* Tests of the UPnP helpers that don't need a router; port-control.test.js
+* tests UPnP end to end against the NAT simulator
+*/
+var test = require('node:test');
+var assert = require('assert');
+var upnp = require('../src/upnp');
+
+var WANIP1 = 'urn:schemas-upnp-org:service:WANIPConnection:1';
+var WANIP2 = 'urn:schemas-upnp-org:service:WANIPConnection:2';
+
+test('finds the control URLs of routers, most preferred service first',
+     function () {
+  var portControl = {upnpServiceTypes: {
+    'http://192.168.1.1:5000/ctl/IPConn1': WANIP1,
+    'http://192.168.1.1:5000/ctl/IPConn2': WANIP2,
+    'http://10.0.0.1/ctl/IPConn': WANIP2
+  }};
+  assert.deepStrictEqual(upnp.getControlUrls(['192.168.1.1'], portControl),
+                         ['http://192.168.1.1:5000/ctl/IPConn2',
+                          'http://192.168.1.1:5000/ctl/IPConn1']);
+  assert.deepStrictEqual(upnp.getControlUrls(['192.168.1.2'], portControl), []);
+});
+
+test('finds the control URLs of IPv6 routers without URL brackets',
+     function () {
+  var portControl = {upnpServiceTypes: {
+    'http://[fe80::1]:5000/ctl/IPConn': WANIP2,
+    'http://[::1]/ctl/IPConn': WANIP2
+  }};
+  assert.deepStrictEqual(upnp.getControlUrls(['fe80::1'], portControl),
+                         ['http://[fe80::1]:5000/ctl/IPConn']);
+  assert.deepStrictEqual(upnp.getControlUrls(['::1'], portControl),
+                         ['http://[::1]/ctl/IPConn']);
+  assert.deepStrictEqual(upnp.getControlUrls(['[::1]'], portControl), []);
+});
@@ -0,0 +1,45 @@
+/**
+* Tests of the helpers in utils.js that don't need a network
+*/
+var test = require('node:test');
+var assert = require('assert');
+var utils = require('../src/utils');
+
+// Return the parts of a PortControl that getGatewayIps() reads
+var createState = function (userRouterIps, routerIpCache, ssdpRouterIps) {
+  return {userRouterIps: userRouterIps || [], routerIpCache: routerIpCache || [],
+          ssdpRouterIps: ssdpRouterIps || []};
+};
+
+test('guesses the .1 and .254 gateways of a /24 subnet', function () {
+  assert.deepStrictEqual(
+      utils.getGatewayIps(createState(), ['192.168.5.20']),
+      ['192.168.5.1', '192.168.5.254', '192.168.4.1']);
+  // A host that is itself the .1 address isn't its own gateway
+  assert.deepStrictEqual(
+      utils.getGatewayIps(createState(), ['192.168.5.1']),
+      ['192.168.5.254', '192.168.4.1']);
+});
+
+test('guesses a /24 on a larger subnet, after the routers that worked',
+     function () {
+  // On 10.0.0.0/16, the gateway 10.0.0.1 isn't in the private IP's /24, so
+  // the guesses miss it, and only the router cache, which comes first, has it
+  assert.deepStrictEqual(
+      utils.getGatewayIps(createState(), ['10.0.5.20']),
+      ['10.0.5.1', '10.0.5.254', '10.0.1.1']);
+  assert.deepStrictEqual(
+      utils.getGatewayIps(createState([], ['10.0.0.1']), ['10.0.5.20']),
+      ['10.0.0.1', '10.0.5.1', '10.0.5.254', '10.0.1.1']);
+});
+
+test('lists each gateway once, in order of confidence', function () {
+  var state = createState(['192.168.5.1'], ['192.168.5.254', '192.168.5.1'],
+                          ['192.168.5.254']);
+  var privateIps = ['192.168.5.20', '192.168.5.21', 'fd00:1:2:3::20'];
+  assert.deepStrictEqual(utils.getGatewayIps(state, privateIps),
+                         ['192.168.5.1', '192.168.5.254', 'fd00:1:2:3::1',
+                          '192.168.4.1']);
+  assert.deepStrictEqual(utils.getGatewayIps(state, privateIps, true),
+                         ['192.168.5.1', '192.168.5.254', '192.168.4.1']);
+});
@@ -0,0 +1,54 @@
+/**
+* Tests of parsing UPnP device descriptions and SOAP responses
+*/
+var test = require('node:test');
+var assert = require('assert');
+var xml = require('../src/xml');
+
+test('parses elements, attributes and text without namespace prefixes',
+     function () {
+  var root = xml.parse('<?xml version="1.0"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
+        '<s:Body>\n  <u:Reply xmlns:u="urn:test" id=\'1\'>' +
+          '<NewExternalIPAddress> 203.0.113.1 </NewExternalIPAddress>' +
+          '<Empty/>' +
+        '</u:Reply>\n</s:Body>' +
+      '</s:Envelope>');
+  assert.strictEqual(root.name, 'Envelope');
+  var reply = xml.find(root, 'Reply');
+  assert.strictEqual(reply.attributes.id, '1');
+  assert.strictEqual(reply.attributes['xmlns:u'], 'urn:test');
+  assert.strictEqual(xml.childText(reply, 'NewExternalIPAddress'),
+                     '203.0.113.1');
+  assert.strictEqual(xml.childText(reply, 'Empty'), '');
+  assert.strictEqual(xml.childText(reply, 'Missing'), undefined);
+  assert.strictEqual(xml.child(root, 'Body').text, '');
+});
+
+test('decodes entities and CDATA, and skips comments', function () {
+  var root = xml.parse('<root a="x &quot;y&quot;">' +
+      '<!-- <ignored/> -->' +
+      '<item>a &amp; b &lt;&#65;&#x42;&gt; &unknown;</item>' +
+      '<item><![CDATA[<raw> & ]]></item>' +
+    '</root>');
+  assert.strictEqual(root.attributes.a, 'x "y"');
+  assert.deepStrictEqual(xml.children(root, 'item').map(function (item) {
+    return item.text;
+  }), ['a & b <AB> &unknown;', '<raw> &']);
+  assert.strictEqual(root.children.length, 2);
+});
+
+test('finds elements depth-first in document order', function () {
+  var root = xml.parse('<root><a><b>1</b></a><b>2</b></root>');
+  assert.strictEqual(xml.find(root, 'b').text, '1');
+  assert.strictEqual(xml.find(root, 'root'), root);
+  assert.strictEqual(xml.find(root, 'c'), undefined);
+  assert.deepStrictEqual(xml.children(undefined, 'b'), []);
+});
+
+test('rejects malformed XML', function () {
+  ['<a><b></a>', '<a>', '</a>', 'text only', '<a/><b/>'].
+      forEach(function (xmlStr) {
+        assert.throws(function () { xml.parse(xmlStr); }, /Malformed XML/);
+      });
+});